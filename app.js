@@ -1,13 +1,52 @@
 /* ---- METRICS & LABELS ---- */
-const METRIC_LABELS = {
-  unemployment_rate: "Unemployment Rate (LAUS, %)",
-  swdev_wage: "Software Dev Annual Mean Wage (OEWS)"
-};
+// Metric registry from data/metrics.json (scripts/build-metrics.js; fields documented in
+// scripts/lib/metrics.js): plain keys in `metrics`, per-occupation measures ("<measure>.<soc>")
+// in `measures`. Labels, formats, pickers and default palettes all come from it.
+let registry = { metrics: {}, measures: {} };
+// Full label per key, filled from the registry and the occupation catalog at boot
+const METRIC_LABELS = {};
+let occupations = [];          // [{ soc, title, short }] from the catalog
+let defaultSoc = null;
+const wageKey = soc => `wage_mean.${soc}`;
+// "wage_p90.151252" -> { measure: "wage_p90", soc: "151252" }; plain keys have soc null
+function splitMetric(key) {
+  const [measure, soc = null] = key.split(".");
+  return { measure, soc };
+}
+// Registry entry for a key; bare measure names ("wage_p10") resolve to the measure
+function metricInfo(key) {
+  const { measure } = splitMetric(key);
+  return registry.metrics[key] || registry.measures[measure] || null;
+}
+// Averages over states are weighted so they line up with the published national figures:
+// area-wide metrics (LAUS, JOLTS, price parity) by labor force, an occupation's wages and
+// ratios by its OEWS employment. Counts have no weight; regions sum them instead.
+function weightKey(key) {
+  const w = metricInfo(key)?.weight;
+  return w ? w.replace("{soc}", splitMetric(key).soc) : null;
+}
+const isSummed = key => metricInfo(key)?.aggregate === "sum";
+// Relative standard errors ("wage_rse.<soc>"): they qualify another metric, not shown on their own
+const isErrorMeasure = key =>
+  [...Object.values(registry.metrics), ...Object.values(registry.measures)].some(m => m.rse === splitMetric(key).measure);
+function weightNote(key) {
+  const w = weightKey(key);
+  return !w ? "unweighted" : w === "labor_force" ? "weighted by labor force" : "weighted by occupation employment";
+}
+
 function formatValue(key, v) {
   if (v == null || Number.isNaN(v)) return "—";
-  if (key === "swdev_wage") return "$" + Math.round(v).toLocaleString();
-  if (key === "unemployment_rate") return (+v).toFixed(1) + "%";
-  return String(v);
+  const info = metricInfo(key);
+  const digits = info?.digits ?? 1;
+  switch (info?.format) {
+    case "currency": return "$" + Math.round(v).toLocaleString();
+    case "integer":  return Math.round(v).toLocaleString();
+    case "percent":  return (+v).toFixed(digits) + "%";
+    case "ratio":    return (+v).toFixed(digits) + "×";
+    case "score":    return (v > 0 ? "+" : "") + (+v).toFixed(digits);
+    case "number":   return (+v).toFixed(digits);
+    default:         return String(v);
+  }
 }
 function formatAsOf(s) {
   if (!s) return "—";
@@ -19,6 +58,151 @@ function formatAsOf(s) {
   });
 }
 
+/* ---- CLASSIFICATION & PALETTES ---- */
+const CLASS_COUNT = 5;
+const NO_DATA_COLOR = "#2b3262";
+const CLASSING_LABELS = {
+  quantile: "Quantile",
+  equal: "Equal interval",
+  jenks: "Natural breaks (Jenks)",
+  stddev: "Standard deviation"
+};
+const PALETTES = {
+  sequential: { label: "Sequential", scale: () => chroma.scale("YlGnBu").mode("lab") },
+  // Blue at the good end when the registry says which end that is, else blue for low values
+  diverging:  { label: "Diverging",  scale: (info) => chroma.scale("RdYlBu").domain(info?.higher_is_better ? [0, 1] : [1, 0]).mode("lab") },
+  // Viridis from 0.2 up: ordered by lightness, so it reads under any color-vision deficiency,
+  // and its darkest class stays clear of the no-data navy
+  colorblind: { label: "Colorblind-safe", scale: () => chroma.scale(["#414487", "#2a788e", "#22a884", "#7ad151", "#fde725"]).mode("lab") }
+};
+// Standard-deviation classes are centered on the mean: ±0.5σ is the middle class
+const STDDEV_STEPS = [-1.5, -0.5, 0.5, 1.5];
+// 3×3 bivariate palette (Stevens' pink/blue), BIVARIATE_COLORS[yClass][xClass], 0 = low
+const BIVARIATE_COLORS = [
+  ["#e8e8e8", "#ace4e4", "#5ac8c8"],
+  ["#dfb0d6", "#a5add3", "#5698b9"],
+  ["#be64ac", "#8c62aa", "#3b4994"]
+];
+// Scatter points labeled as outliers: the largest residuals from the regression line
+const OUTLIER_COUNT = 4;
+
+function quantileBreaks(sorted, n) {
+  const at = q => {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos), hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  };
+  return Array.from({ length: n + 1 }, (_, i) => at(i / n));
+}
+function equalBreaks(sorted, n) {
+  const min = sorted[0], max = sorted[sorted.length - 1];
+  return Array.from({ length: n + 1 }, (_, i) => min + (max - min) * i / n);
+}
+// Jenks natural breaks (Fisher's dynamic programming form); sorted ascending input
+function jenksBreaks(sorted, n) {
+  const len = sorted.length;
+  if (len <= n) return [sorted[0], ...sorted.slice(1), ...new Array(n - len + 1).fill(sorted[len - 1])];
+  const lower = Array.from({ length: len + 1 }, () => new Array(n + 1).fill(0));
+  const variance = Array.from({ length: len + 1 }, () => new Array(n + 1).fill(Infinity));
+  for (let j = 1; j <= n; j++) { lower[1][j] = 1; variance[1][j] = 0; }
+
+  for (let l = 2; l <= len; l++) {
+    let sum = 0, sumSq = 0, w = 0, v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = sorted[i3 - 1];
+      w++; sum += val; sumSq += val * val;
+      v = sumSq - (sum * sum) / w;
+      if (i3 === 1) continue;
+      for (let j = 2; j <= n; j++) {
+        if (variance[l][j] >= v + variance[i3 - 1][j - 1]) {
+          lower[l][j] = i3;
+          variance[l][j] = v + variance[i3 - 1][j - 1];
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = new Array(n + 1);
+  breaks[0] = sorted[0];
+  breaks[n] = sorted[len - 1];
+  let k = len;
+  for (let j = n; j >= 2; j--) {
+    const id = lower[k][j] - 2;
+    breaks[j - 1] = sorted[id];
+    k = lower[k][j] - 1;
+  }
+  return breaks;
+}
+function stddevBreaks(sorted, avg) {
+  const sd = Math.sqrt(sorted.reduce((a, v) => a + (v - avg) ** 2, 0) / sorted.length);
+  return [sorted[0], ...STDDEV_STEPS.map(k => avg + k * sd), sorted[sorted.length - 1]];
+}
+
+// Returns { edges, colors, colorFor(v), labels } for the rows of one metric.
+// paletteKey null = the metric's default palette from the registry
+function buildColorScheme(rows, avg, metricKey, classing, paletteKey) {
+  const values = rows.map(r => r.value).sort((a, b) => a - b);
+  const n = classing === "stddev" ? STDDEV_STEPS.length + 1 : CLASS_COUNT;
+  const info = metricInfo(metricKey);
+  const colors = PALETTES[paletteKey || info?.palette || "sequential"].scale(info).colors(n);
+  if (!values.length) return { edges: [], colors, colorFor: () => NO_DATA_COLOR, labels: [] };
+
+  const edges =
+    classing === "equal"  ? equalBreaks(values, n) :
+    classing === "jenks"  ? jenksBreaks(values, n) :
+    classing === "stddev" ? stddevBreaks(values, avg) :
+                            quantileBreaks(values, n);
+
+  // Inner edges are class upper bounds; the outer two are just the data range
+  const classOf = v => {
+    for (let i = 1; i < n; i++) if (v <= edges[i]) return i - 1;
+    return n - 1;
+  };
+  const colorFor = v =>
+    (typeof v === "number" && !Number.isNaN(v)) ? colors[classOf(v)] : NO_DATA_COLOR;
+
+  const fmt = v => formatValue(metricKey, v);
+  const sigma = k => (k > 0 ? "+" : k < 0 ? "−" : "") + Math.abs(k) + "σ";
+  const labels = classing === "stddev"
+    ? [`< ${sigma(STDDEV_STEPS[0])} (${fmt(edges[1])})`,
+       ...STDDEV_STEPS.slice(0, -1).map((k, i) => `${sigma(k)} to ${sigma(STDDEV_STEPS[i + 1])}`),
+       `> ${sigma(STDDEV_STEPS[STDDEV_STEPS.length - 1])} (${fmt(edges[n - 1])})`]
+    : colors.map((_, i) => `${fmt(edges[i])} – ${fmt(edges[i + 1])}`);
+
+  return { edges, colors, colorFor, labels };
+}
+
+// Tertiles of each metric -> { xEdges, yEdges, colorFor(metrics), cellLabel(xi, yi) }
+function buildBivariateScheme(xRows, yRows, xKey, yKey) {
+  const tertiles = rows => rows.length ? quantileBreaks(rows.map(r => r.value).sort((a, b) => a - b), 3) : null;
+  const xEdges = tertiles(xRows), yEdges = tertiles(yRows);
+  const classOf = (edges, v) => v <= edges[1] ? 0 : v <= edges[2] ? 1 : 2;
+  const isNum = v => typeof v === "number" && !Number.isNaN(v);
+
+  const colorFor = m => (xEdges && yEdges && isNum(m?.[xKey]) && isNum(m?.[yKey]))
+    ? BIVARIATE_COLORS[classOf(yEdges, m[yKey])][classOf(xEdges, m[xKey])]
+    : NO_DATA_COLOR;
+  const range = (key, edges, i) => edges ? `${formatValue(key, edges[i])} – ${formatValue(key, edges[i + 1])}` : "—";
+  const cellLabel = (xi, yi) =>
+    `${METRIC_LABELS[xKey]}: ${range(xKey, xEdges, xi)}\n${METRIC_LABELS[yKey]}: ${range(yKey, yEdges, yi)}`;
+
+  return { xEdges, yEdges, colorFor, cellLabel };
+}
+
+// Least-squares line through [{ x, y }] -> { slope, intercept, r }
+function linearFit(points) {
+  const n = points.length;
+  const mx = points.reduce((a, p) => a + p.x, 0) / n;
+  const my = points.reduce((a, p) => a + p.y, 0) / n;
+  let sxx = 0, syy = 0, sxy = 0;
+  points.forEach(p => { sxx += (p.x - mx) ** 2; syy += (p.y - my) ** 2; sxy += (p.x - mx) * (p.y - my); });
+  const slope = sxx ? sxy / sxx : 0;
+  return { slope, intercept: my - slope * mx, r: sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0 };
+}
+
 /* us-atlas state names -> USPS abbr */
 const NAME_TO_ABBR = {
   "Alabama":"AL","Alaska":"AK","Arizona":"AZ","Arkansas":"AR","California":"CA","Colorado":"CO",
@@ -32,20 +216,151 @@ const NAME_TO_ABBR = {
   "Utah":"UT","Vermont":"VT","Virginia":"VA","Washington":"WA","West Virginia":"WV",
   "Wisconsin":"WI","Wyoming":"WY","District of Columbia":"DC","Puerto Rico":"PR"
 };
-const LOWER48_ABBRS = new Set([
-  "AL","AZ","AR","CA","CO","CT","DE","FL","GA","ID","IL","IN","IA","KS","KY","LA","ME","MD",
-  "MA","MI","MN","MS","MO","MT","NE","NV","NH","NJ","NM","NY","NC","ND","OH","OK","OR","PA",
-  "RI","SC","SD","TN","TX","UT","VT","VA","WA","WV","WI","WY","DC"
-]);
+// Drawn on the map: 50 states + DC + PR (AK, HI and PR as insets)
+const MAPPED_ABBRS = new Set([...Object.values(NAME_TO_ABBR)]);
+// Counted in U.S. averages and ranks: 50 states + DC (PR is outside the national totals)
+const NATIONAL_ABBRS = new Set([...MAPPED_ABBRS].filter(a => a !== "PR"));
+
+/* ---- INSETS (AK, HI, PR) ---- */
+// Like AlbersUSA, AK/HI/PR are moved next to the lower 48 so the locked desktop view
+// shows them. `to` is the new center [lon, lat]; longitudes are scaled by `scale` and
+// latitudes by scale × cos(to lat)/cos(source lat), which keeps shapes true in Mercator.
+const INSETS = {
+  AK: { to: [-114.0, 27.6], scale: 0.18 },
+  HI: { to: [-104.2, 26.3], scale: 0.95 },
+  PR: { to: [-76.6, 26.6],  scale: 1.5 }
+};
+const insetTransforms = {};  // abbr -> ([lon, lat]) => [lon, lat]
+
+function mapCoords(geometry, fn) {
+  const walk = c => typeof c[0] === "number" ? fn(c) : c.map(walk);
+  return { ...geometry, coordinates: walk(geometry.coordinates) };
+}
+function buildInsetTransform(feature, inset) {
+  const wrap = ([lon, lat]) => [lon > 0 ? lon - 360 : lon, lat]; // Aleutians cross 180°
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  mapCoords(feature.geometry, c => {
+    const [x, y] = wrap(c);
+    minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    return c;
+  });
+  const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+  const rad = d => d * Math.PI / 180;
+  const kx = inset.scale, ky = kx * Math.cos(rad(inset.to[1])) / Math.cos(rad(cy));
+  return c => {
+    const [x, y] = wrap(c);
+    return [inset.to[0] + (x - cx) * kx, inset.to[1] + (y - cy) * ky];
+  };
+}
+// Moves the inset states in place and remembers each transform for their sub-areas
+function applyInsets(features) {
+  features.forEach(f => {
+    const inset = INSETS[f.properties.abbr];
+    if (!inset) return;
+    const t = insetTransforms[f.properties.abbr] = buildInsetTransform(f, inset);
+    f.geometry = mapCoords(f.geometry, t);
+  });
+}
+function drawInsetFrames(features) {
+  features.filter(f => INSETS[f.properties.abbr]).forEach(f => {
+    const bounds = L.geoJSON(f).getBounds().pad(0.12);
+    L.rectangle(bounds, {
+      color: "#2b3262", weight: 1, dashArray: "4 4", fill: false, interactive: false
+    }).addTo(map);
+  });
+}
 
 /* ---- STATE ---- */
-let map, geoLayer;
+let map, geoLayer, legendControl;
+let lastLegend = null;     // what the legend control shows, for map snapshots
 let currentMetric = "unemployment_rate";
+let currentClassing = "quantile";
+let currentPalette = null;   // null = each metric's registry default
+let compareMetric = null;  // Y metric of the bivariate view (X is currentMetric); null = single metric
+let mapLevel = "states";   // "states" | "divisions" | "regions" (Census groupings, aggregated)
+let statesTopo = null;     // us-atlas topology, kept for dissolving states into regions
 let selectionHistory = []; // [most recent, ...] capped at 3
 const isMobile = window.matchMedia("(max-width: 980px)").matches;
 
+let latestByAbbr = {};        // latest.json, kept so the time slider can return to it
+let nationalMetrics = {};     // the "US" record of whichever file is on the map
+let historyIndex = null;      // data/history/index.json ({ periods: ["YYYY-MM", ...] })
+const snapshotCache = new Map();
+let currentPeriod = null;     // "YYYY-MM" while the slider is on a history period, null = latest
+let detailAbbr = null;        // state shown in the detail card
+let historyByState = null;    // lazy: data/history/by-state.json
+let changelog = null;         // data/changelog.json ({ releases: [newest, ...] }), if published
+let alerts = null;            // data/alerts.json ({ alerts: [fired watchlist rules] }), if published
+let dataManifest = null;      // data/manifest.json ({ files: { "latest.json": { path }, ... } }), if published
+
 document.addEventListener("DOMContentLoaded", boot);
 
+/* Occupation catalog: titles and the default SOC */
+async function loadOccupations() {
+  try {
+    const r = await fetch("config/occupations.json", { cache: "no-cache" });
+    if (r.ok) {
+      const catalog = await r.json();
+      occupations = catalog.occupations || [];
+      defaultSoc = catalog.default || occupations[0]?.soc || null;
+    }
+  } catch {}
+}
+
+/* Metric registry -> METRIC_LABELS for each plain key and each SOC × measure (after the catalog) */
+async function loadRegistry() {
+  const file = await loadDataFile("metrics.json");
+  if (file) registry = { metrics: file.json.metrics || {}, measures: file.json.measures || {} };
+  for (const [key, m] of Object.entries(registry.metrics)) METRIC_LABELS[key] = m.label;
+  occupations.forEach(o => {
+    for (const [measure, m] of Object.entries(registry.measures)) {
+      METRIC_LABELS[`${measure}.${o.soc}`] = `${o.title} ${m.label}`;
+    }
+  });
+}
+
+/* data/manifest.json (scripts/lib/snapshots.js): the hashed snapshot to load for each data
+   file. null when the data was published without one. */
+async function loadManifest() {
+  try {
+    const r = await fetch("data/manifest.json", { cache: "no-cache" });
+    return r.ok ? await r.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/* Fetch a JSON data file: the manifest's snapshot when it lists the file, else /data with a
+   fallback to /docs/data. Resolves null if nothing works. */
+async function loadDataFile(name) {
+  const entry = dataManifest?.files?.[name];
+  if (entry) {
+    try {
+      // Snapshots never change under their name, so the browser cache can answer
+      const r = await fetch(`data/${entry.path}`);
+      if (r.ok) return { json: await r.json(), lastModified: dataManifest.generated_at };
+    } catch {}
+  }
+  for (const base of ["data/", "docs/data/"]) {
+    try {
+      const r = await fetch(base + name, { cache: "no-cache" });
+      if (r.ok) return { json: await r.json(), lastModified: r.headers.get("last-modified") };
+    } catch {}
+  }
+  return null;
+}
+
+// us-atlas topology: the copy npm run build bundles (simplified, with "abbr" on every
+// geometry), else the pinned CDN file
+const US_ATLAS_CDN = "https://cdn.jsdelivr.net/npm/us-atlas@3.0.1/";
+async function loadTopology(name) {
+  const bundled = await loadDataFile(`topo/${name}.json`);
+  if (bundled) return bundled.json;
+  const r = await fetch(`${US_ATLAS_CDN}${name}-10m.json`);
+  return r.json();
+}
+
 async function boot() {
   // Map: desktop locked; mobile can pan
   map = L.map("map", {
@@ -55,58 +370,47 @@ async function boot() {
     scrollWheelZoom: false,
     doubleClickZoom: false,
     boxZoom: false,
-    keyboard: false,
+    keyboard: false,   // arrow keys move between states instead (see ACCESSIBILITY)
     tap: isMobile,
     zoomSnap: isMobile ? 0.5 : 1
   });
 
-  // Load metrics (prefer /data, fallback /docs/data)
+  // Load metrics (through the manifest when there is one)
+  dataManifest = await loadManifest();
   let metricsByAbbr = {};
-  let lastUpdatedText = null;
-  try {
-    const m = await fetch("data/latest.json", { cache: "no-cache" });
-    if (m.ok) {
-      metricsByAbbr = await m.json();
-      lastUpdatedText = m.headers.get("last-modified");
-    } else {
-      const m2 = await fetch("docs/data/latest.json", { cache: "no-cache" });
-      if (m2.ok) {
-        metricsByAbbr = await m2.json();
-        lastUpdatedText = m2.headers.get("last-modified");
-      }
-    }
-  } catch {
-    try {
-      const m2 = await fetch("docs/data/latest.json", { cache: "no-cache" });
-      if (m2.ok) {
-        metricsByAbbr = await m2.json();
-        lastUpdatedText = m2.headers.get("last-modified");
-      }
-    } catch {}
-  }
+  const latest = await loadDataFile("latest.json");
+  if (latest) metricsByAbbr = latest.json;
+  latestByAbbr = metricsByAbbr;
+  nationalMetrics = metricsByAbbr.US || {};
+  await loadOccupations();
+  await loadRegistry();
+  await loadStateGroups();
+  changelog = (await loadDataFile("changelog.json"))?.json || null;
+  alerts = (await loadDataFile("alerts.json"))?.json || null;
+  loadNotes();
 
-  // "Updated:" text
-  const embedded = metricsByAbbr?.__meta?.as_of || metricsByAbbr?.as_of || null;
-  const infoEl = document.getElementById("infoUpdated");
-  if (infoEl) infoEl.textContent = embedded ? `Updated: ${formatAsOf(embedded)}`
-                                            : (lastUpdatedText ? `Updated: ${formatAsOf(lastUpdatedText)}` : "Updated: —");
+  // Deep link: metric, selection, period, ... from the query string (labels are known now)
+  const urlState = readUrlState();
+  applyUrlState(urlState);
+
+  renderUpdated(latest);
 
   // States + metrics
-  const topoResp = await fetch("https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json", { cache: "no-cache" });
-  const topoJson = await topoResp.json();
+  const topoJson = statesTopo = await loadTopology("states");
   const allStates = topojson.feature(topoJson, topoJson.objects.states);
 
   allStates.features.forEach(f => {
     const name = f.properties.name;
-    const abbr = NAME_TO_ABBR[name] || null;
+    const abbr = f.properties.abbr || NAME_TO_ABBR[name] || null;
     f.properties.abbr = abbr;
     f.properties.metrics = metricsByAbbr[abbr] || {};
   });
 
   const statesGeo = {
     type: "FeatureCollection",
-    features: allStates.features.filter(f => LOWER48_ABBRS.has(f.properties.abbr))
+    features: allStates.features.filter(f => MAPPED_ABBRS.has(f.properties.abbr))
   };
+  applyInsets(statesGeo.features);
 
   // View: desktop locked; mobile fit bounds
   if (isMobile) {
@@ -121,53 +425,203 @@ async function boot() {
     map.setMinZoom(5);
     map.setMaxZoom(5);
   }
+  drawInsetFrames(statesGeo.features);
+  homeView = { center: map.getCenter(), zoom: map.getZoom(), minZoom: map.getMinZoom(), maxZoom: map.getMaxZoom() };
 
   drawStates(statesGeo, currentMetric);
   updateSidebar(statesGeo, currentMetric);
   setupControls(statesGeo);
+  setupTimeline(statesGeo).then(() => { if (urlState.period) timelineTo?.(urlState.period); });
+  setupDetail(statesGeo);
+  setupCompare(statesGeo);
+  setupHistory(statesGeo);
+  setupExport(statesGeo);
+  setupDataTable(statesGeo);
+  setupNotes();
+  setupWatchlist();
+  renderWhatsNew();
+  restoreFocus(statesGeo, urlState);
+  setupLiveData(statesGeo);
 
   // Recompute size after paint and on resize
   setTimeout(() => map.invalidateSize(), 0);
   window.addEventListener("resize", () => map.invalidateSize());
 }
 
+/* Rows with a numeric value for the metric (its weight, see weightKey, and standard error,
+   see standardError), plus the U.S. average used everywhere. Only the 50 states + DC count
+   by default; PR is still colored, against the same classes. */
+function metricRows(geojson, metricKey, abbrs = NATIONAL_ABBRS) {
+  const wKey = weightKey(metricKey);
+  return geojson.features
+    .filter(f => abbrs.has(f.properties.abbr))
+    .map(f => ({ abbr: f.properties.abbr, value: f.properties.metrics?.[metricKey],
+                 weight: wKey ? f.properties.metrics?.[wKey] : null,
+                 se: standardError(metricKey, f.properties.metrics) }))
+    .filter(r => typeof r.value === "number" && !Number.isNaN(r.value));
+}
+// Weighted over the rows that have a weight; a plain mean when none do (older files, counts)
+function usAverage(rows) {
+  if (!rows.length) return null;
+  const weighted = rows.filter(r => typeof r.weight === "number" && r.weight > 0);
+  if (!weighted.length) return rows.reduce((a,b)=>a+b.value,0)/rows.length;
+  return weighted.reduce((a, r) => a + r.value * r.weight, 0) / weighted.reduce((a, r) => a + r.weight, 0);
+}
+const isWeighted = rows => rows.some(r => typeof r.weight === "number" && r.weight > 0);
+
+// The Y metric when the bivariate view is on (state level only), else null
+function activeCompare(metricKey) {
+  return compareMetric && compareMetric !== metricKey && mapLevel === "states" ? compareMetric : null;
+}
+
+// Undo the hover/focus highlight: the outline the layer's style gives the shape (revised and
+// outlier outlines included), leaving the fill alone so a drill-down's fade stays put
+function restoreOutline(layer) {
+  const { color, weight, dashArray = null } = geoLayer.options.style(layer.feature);
+  layer.setStyle({ color, weight, dashArray });
+}
+
 function drawStates(geojson, metricKey) {
+  const refocus = shapeHasFocus();
   if (geoLayer) geoLayer.remove();
+  mapOutliers = new Map();
+  if (mapLevel !== "states") {
+    renderMapBadges();
+    return drawRegions(geojson, metricKey, refocus);
+  }
+
+  const yKey = activeCompare(metricKey);
+  let fillFor;
+  if (yKey) {
+    const bivar = buildBivariateScheme(metricRows(geojson, metricKey), metricRows(geojson, yKey), metricKey, yKey);
+    renderBivariateLegend(bivar, metricKey, yKey);
+    fillFor = m => bivar.colorFor(m);
+  } else {
+    const rows = metricRows(geojson, metricKey);
+    const scheme = buildColorScheme(rows, usAverage(rows), metricKey, currentClassing, currentPalette);
+    mapOutliers = outlierScores(rows);
+    renderLegend(scheme, metricKey, undefined, outlierLegendItems(mapOutliers));
+    fillFor = m => scheme.colorFor(m?.[metricKey]);
+  }
 
+  // States whose value for the metric BLS revised in the latest release: dashed amber outline;
+  // outliers: solid pink (dashed pink when both)
+  const revised = revisedAreas(metricKey);
   geoLayer = L.geoJSON(geojson, {
-    style: () => ({ color: "#ffffff", weight: 1.6, fillOpacity: 0 }),
+    style: f => ({
+      color: "#ffffff", weight: 1.6,
+      ...(revised.has(f.properties.abbr) ? REVISED_STYLE : {}),
+      ...(mapOutliers.has(f.properties.abbr) ? OUTLIER_STYLE : {}),
+      fillColor: fillFor(f.properties.metrics),
+      fillOpacity: 0.85
+    }),
     onEachFeature: (feature, layer) => {
       const p = feature.properties;
       const v = p.metrics?.[metricKey];
       const txt = formatValue(metricKey, v);
+      const { soc } = splitMetric(metricKey);
+      const rev = revised.get(p.abbr);
       layer.bindPopup(
         `<div style="min-width:200px">
            <div style="font-weight:700;margin-bottom:4px">${p.name} (${p.abbr||"–"})</div>
            <div>${METRIC_LABELS[metricKey]}: <strong>${txt}</strong></div>
+           ${rev ? `<div class="detail__sub">${formatBlsPeriod(rev.period)} revised: ${formatValue(metricKey, rev.previous_value)} → ${formatValue(metricKey, rev.value)}</div>` : ""}
+           ${statPopupLines(metricKey, p.abbr, p.metrics)}
+           ${alertPopupLines(p.abbr)}
+           ${yKey ? `<div>${METRIC_LABELS[yKey]}: <strong>${formatValue(yKey, p.metrics?.[yKey])}</strong></div>` : ""}
+           ${soc ? distributionSvg(p.metrics, nationalMetrics, soc, p.abbr) : ""}
+           ${p.abbr ? `<div class="popup-notes" data-notes-for="${p.abbr}"></div>` : ""}
+           ${p.abbr ? `<button type="button" class="popup-pin" data-pin="${p.abbr}">Pin to compare</button>` : ""}
          </div>`
       );
       layer.on("mouseover", () => layer.setStyle({ weight: 2.2, color: "#00e5ff" }));
-      layer.on("mouseout",  () => layer.setStyle({ weight: 1.6, color: "#ffffff" }));
+      layer.on("mouseout",  () => restoreOutline(layer));
       layer.on("click", () => {
         if (!p.abbr) return;
         selectionHistory = [p.abbr, ...selectionHistory.filter(a => a !== p.abbr)].slice(0, 3);
+        detailAbbr = p.abbr;
         layer.openPopup();
         updateSidebar(geojson, currentMetric);
+        drillDown(geojson, feature);
+        writeUrl({ push: true });
       });
     }
   }).addTo(map);
+
+  enableKeyboard(geojson, metricKey, refocus);
+  renderMapBadges();
+  if (drill) renderDrill(geojson);
+}
+
+// extra: outline rows after the classes (outliers; revisions are added here)
+function renderLegend(scheme, metricKey, scope, extra = []) {
+  if (!legendControl) {
+    legendControl = L.control({ position: "topright" });
+    legendControl.onAdd = () => L.DomUtil.create("div", "legend");
+    legendControl.addTo(map);
+  }
+  const el = legendControl.getContainer();
+  const swatch = (color, label) =>
+    `<div class="legend__row"><i style="background:${color}"></i><span>${label}</span></div>`;
+
+  const sub = `${scope ? scope + " · " : ""}${CLASSING_LABELS[currentClassing]}`;
+  lastLegend = {
+    title: METRIC_LABELS[metricKey], sub,
+    items: [...scheme.colors.map((color, i) => ({ color, label: scheme.labels[i] ?? "" })).reverse(),
+            { color: NO_DATA_COLOR, label: "No data" },
+            ...revisedLegendItems(metricKey), ...extra]
+  };
+
+  el.innerHTML =
+    `<div class="legend__title">${METRIC_LABELS[metricKey]}</div>
+     <div class="legend__sub">${sub}</div>` +
+    lastLegend.items.map(it => it.outline ? outlineSwatch(it) : swatch(it.color, it.label)).join("");
+}
+
+// 3×3 grid, X (current metric) left→right, Y (compare metric) bottom→top
+function renderBivariateLegend(scheme, xKey, yKey) {
+  if (!legendControl) {
+    legendControl = L.control({ position: "topright" });
+    legendControl.onAdd = () => L.DomUtil.create("div", "legend");
+    legendControl.addTo(map);
+  }
+  lastLegend = { title: `${METRIC_LABELS[xKey]} × ${METRIC_LABELS[yKey]}`, sub: "Tertiles · 50 states + DC",
+                 xLabel: METRIC_LABELS[xKey], yLabel: METRIC_LABELS[yKey] };
+  const revisedRow = revisedLegendItems(xKey).map(outlineSwatch).join("");
+  const cells = [2, 1, 0].flatMap(yi => [0, 1, 2].map(xi =>
+    `<i style="background:${BIVARIATE_COLORS[yi][xi]}" title="${scheme.cellLabel(xi, yi)}"></i>`)).join("");
+
+  legendControl.getContainer().innerHTML =
+    `<div class="legend__title">${METRIC_LABELS[xKey]} × ${METRIC_LABELS[yKey]}</div>
+     <div class="legend__sub">Tertiles · 50 states + DC</div>
+     <div class="bivar-legend">
+       <span class="bivar-legend__y">${METRIC_LABELS[yKey]} →</span>
+       <div class="bivar-legend__grid">${cells}</div>
+       <span class="bivar-legend__x">${METRIC_LABELS[xKey]} →</span>
+     </div>
+     <div class="legend__row"><i style="background:${NO_DATA_COLOR}"></i><span>No data</span></div>${revisedRow}`;
 }
 
 function updateSidebar(geojson, metricKey) {
-  const allRows = geojson.features
-    .map(f => ({ abbr: f.properties.abbr, value: f.properties.metrics?.[metricKey] }))
-    .filter(r => typeof r.value === "number" && !Number.isNaN(r.value));
+  const allRows = metricRows(geojson, metricKey);
+  renderDetail(geojson, metricKey);
+  renderCompare(geojson, metricKey);
+  renderDataTable(geojson, metricKey);
 
   const statMetric = document.getElementById("statMetric");
+  const statAvgLabel = document.getElementById("statAvgLabel");
   const statAvg = document.getElementById("statAvg");
   const statMax = document.getElementById("statMax");
   const statMin = document.getElementById("statMin");
   statMetric.textContent = METRIC_LABELS[metricKey];
+  if (statAvgLabel) {
+    const weighted = isWeighted(allRows);
+    statAvgLabel.textContent = weighted ? "U.S. Avg (weighted):" : "U.S. Avg:";
+    statAvgLabel.title = weighted ? `50 states + DC, ${weightNote(metricKey)}` : "Mean of 50 states + DC";
+  }
+  const levelName = { states: "State", divisions: "Division", regions: "Region" }[mapLevel];
+  document.getElementById("statMaxLabel").textContent = `Max (${levelName}):`;
+  document.getElementById("statMinLabel").textContent = `Min (${levelName}):`;
 
   // Update chips
   const chipDesktop = document.getElementById("metricChip");
@@ -175,26 +629,49 @@ function updateSidebar(geojson, metricKey) {
   if (chipDesktop) chipDesktop.textContent = METRIC_LABELS[metricKey];
   if (chipMobile)  chipMobile.textContent  = METRIC_LABELS[metricKey];
 
+  // Bivariate view: correlation in the stats card, scatter instead of the ranking
+  const yKey = activeCompare(metricKey);
+  const points = yKey ? scatterPoints(geojson, metricKey, yKey) : [];
+  const fit = points.length > 2 ? linearFit(points) : null;
+  renderStatNote(metricKey, mapLevel === "states" && !yKey ? allRows : []);
+  const corrRow = document.getElementById("statCorrRow");
+  if (corrRow) {
+    corrRow.hidden = !yKey;
+    document.getElementById("statCorr").textContent = fit ? `r = ${fit.r.toFixed(2)} (${points.length} states)` : "—";
+  }
+
+  statMax.title = statMin.title = "";
   if (allRows.length === 0) {
     statAvg.textContent = statMax.textContent = statMin.textContent = "—";
-    renderChart([], 0, metricKey);
+    if (yKey) renderScatter(points, fit, metricKey, yKey);
+    else renderChart([], 0, metricKey);
     return;
   }
 
-  const avg = allRows.reduce((a,b)=>a+b.value,0)/allRows.length;
-  const max = allRows.reduce((m,r)=> r.value>m.value?r:m, allRows[0]);
-  const min = allRows.reduce((m,r)=> r.value<m.value?r:m, allRows[0]);
+  const avg = usAverage(allRows);
+  // Max/min and the ranking follow the map: states, or the aggregated Census groups
+  const levelRows = mapLevel === "states" ? allRows : groupRows(geojson, metricKey);
+  if (!levelRows.length) {
+    statAvg.textContent = formatValue(metricKey, avg);
+    statMax.textContent = statMin.textContent = "—";
+    renderChart([], avg, metricKey);
+    return;
+  }
+  const max = levelRows.reduce((m,r)=> r.value>m.value?r:m, levelRows[0]);
+  const min = levelRows.reduce((m,r)=> r.value<m.value?r:m, levelRows[0]);
 
   statAvg.textContent = formatValue(metricKey, avg);
-  statMax.textContent = `${formatValue(metricKey, max.value)} (${max.abbr})`;
-  statMin.textContent = `${formatValue(metricKey, min.value)} (${min.abbr})`;
+  statExtreme(statMax, metricKey, max, levelRows, "above");
+  statExtreme(statMin, metricKey, min, levelRows, "below");
+
+  if (yKey) return renderScatter(points, fit, metricKey, yKey);
 
   let chartRows = [];
-  if (selectionHistory.length > 0) {
-    const lookup = Object.fromEntries(allRows.map(r => [r.abbr, r.value]));
-    chartRows = selectionHistory
-      .map(abbr => ({ abbr, value: lookup[abbr] }))
-      .filter(r => typeof r.value === "number" && !Number.isNaN(r.value));
+  if (mapLevel !== "states") {
+    chartRows = levelRows.slice().sort((a,b)=>b.value-a.value).reverse();
+  } else if (selectionHistory.length > 0) {
+    const byAbbr = Object.fromEntries(allRows.map(r => [r.abbr, r]));
+    chartRows = selectionHistory.map(abbr => byAbbr[abbr]).filter(Boolean);
   }
   if (chartRows.length === 0) {
     chartRows = allRows.slice().sort((a,b)=>b.value-a.value).slice(0,8).reverse();
@@ -203,71 +680,1954 @@ function updateSidebar(geojson, metricKey) {
   renderChart(chartRows, avg, metricKey);
 }
 
-function renderChart(rows, avg, metricKey) {
+// The sidebar chart canvas, or null (after dropping any old chart) when there is nothing to draw on
+function chartCanvas() {
   // Skip chart work entirely on phones when it's hidden by CSS
   const chartCard = document.querySelector(".chart-card");
   const isHiddenOnMobile =
     isMobile && chartCard && getComputedStyle(chartCard).display === "none";
   const canvas = document.getElementById("rankChart");
 
-  if (!canvas || isHiddenOnMobile) {
-    if (window.__chart__) { window.__chart__.destroy(); window.__chart__ = null; }
-    return;
-  }
+  if (window.__chart__) { window.__chart__.destroy(); window.__chart__ = null; }
+  return !canvas || isHiddenOnMobile ? null : canvas;
+}
+
+// Bars with 90% confidence whiskers where the rows carry a standard error
+function renderChart(rows, avg, metricKey) {
+  const canvas = chartCanvas();
+  if (!canvas) return;
+  const intervals = rows.map(r => confidenceInterval(r.value, r.se));
 
-  if (window.__chart__) window.__chart__.destroy();
   window.__chart__ = new Chart(canvas, {
     type: "bar",
     data: {
       labels: rows.map(r => r.abbr),
       datasets: [
-        { label: METRIC_LABELS[metricKey], data: rows.map(r => r.value), borderWidth: 1 },
+        { label: METRIC_LABELS[metricKey], data: rows.map(r => r.value), borderWidth: 1, errorBars: intervals },
         { type: "line", label: "U.S. Avg", data: new Array(rows.length).fill(avg), borderWidth: 2, pointRadius: 0, borderDash: [6,4] }
       ]
     },
+    plugins: [errorBars],
     options: {
       maintainAspectRatio: false,
       plugins: {
         legend: { display: true, labels: { color: "#e9ecff", boxWidth: 18 } },
         tooltip: {
           backgroundColor: "#0f1530", titleColor: "#e9ecff", bodyColor: "#e9ecff",
-          callbacks: { label: c => `${c.dataset.label}: ${formatValue(metricKey, c.raw)}` }
+          callbacks: { label: c => {
+            const ci = c.datasetIndex === 0 && intervals[c.dataIndex];
+            return `${c.dataset.label}: ${formatValue(metricKey, c.raw)}${ci ? ` (${ciText(metricKey, ci)})` : ""}`;
+          } }
         }
       },
       scales: {
         x: { grid: { display: false }, ticks: { color: "#cdd2ff" } },
         y: { grid: { color: "rgba(255,255,255,0.08)" }, ticks: { color: "#cdd2ff",
-             callback: v => formatValue(metricKey, v) } }
+             callback: v => formatValue(metricKey, v) },
+             // Room for the whiskers above the tallest bar
+             suggestedMax: intervals.some(Boolean) ? Math.max(...intervals.filter(Boolean).map(ci => ci[1])) : undefined }
       }
     }
   });
 }
 
+// Chart.js plugin: I-shaped whiskers from each dataset's errorBars[i] ([low, high] or null)
+const errorBars = {
+  id: "errorBars",
+  afterDatasetsDraw(chart) {
+    const { ctx, scales: { y } } = chart;
+    ctx.save();
+    ctx.strokeStyle = "#e9ecff";
+    ctx.lineWidth = 1.5;
+    chart.data.datasets.forEach((ds, di) => {
+      if (!ds.errorBars) return;
+      chart.getDatasetMeta(di).data.forEach((bar, i) => {
+        const ci = ds.errorBars[i];
+        if (!ci) return;
+        const top = y.getPixelForValue(ci[1]), bottom = y.getPixelForValue(ci[0]);
+        const cap = Math.min(6, bar.width / 4);
+        ctx.beginPath();
+        ctx.moveTo(bar.x, top); ctx.lineTo(bar.x, bottom);
+        ctx.moveTo(bar.x - cap, top); ctx.lineTo(bar.x + cap, top);
+        ctx.moveTo(bar.x - cap, bottom); ctx.lineTo(bar.x + cap, bottom);
+        ctx.stroke();
+      });
+    });
+    ctx.restore();
+  }
+};
+
+// States (50 + DC) with both metrics, colored by their bivariate class
+function scatterPoints(geojson, xKey, yKey) {
+  const xRows = metricRows(geojson, xKey), yRows = metricRows(geojson, yKey);
+  const yByAbbr = Object.fromEntries(yRows.map(r => [r.abbr, r.value]));
+  const scheme = buildBivariateScheme(xRows, yRows, xKey, yKey);
+  return xRows
+    .filter(r => r.abbr in yByAbbr)
+    .map(r => ({ abbr: r.abbr, x: r.value, y: yByAbbr[r.abbr],
+                 color: scheme.colorFor({ [xKey]: r.value, [yKey]: yByAbbr[r.abbr] }) }));
+}
+
+// Chart.js plugin: writes the state abbreviation next to the points in options.plugins.outlierLabels.indices
+const outlierLabels = {
+  id: "outlierLabels",
+  afterDatasetsDraw(chart, args, opts) {
+    const meta = chart.getDatasetMeta(0);
+    const { ctx } = chart;
+    ctx.save();
+    ctx.font = "600 11px system-ui, sans-serif";
+    ctx.fillStyle = "#e9ecff";
+    ctx.textBaseline = "bottom";
+    (opts.indices || []).forEach(i => {
+      const el = meta.data[i];
+      if (el) ctx.fillText(chart.data.datasets[0].data[i].abbr, el.x + 5, el.y - 3);
+    });
+    ctx.restore();
+  }
+};
+
+function renderScatter(points, fit, xKey, yKey) {
+  const canvas = chartCanvas();
+  if (!canvas) return;
+
+  // Regression line across the data range; label the states furthest from it
+  const predict = x => fit.intercept + fit.slope * x;
+  const xs = points.map(p => p.x);
+  const line = fit ? [Math.min(...xs), Math.max(...xs)].map(x => ({ x, y: predict(x) })) : [];
+  const outliers = fit
+    ? points.map((p, i) => ({ i, resid: Math.abs(p.y - predict(p.x)) }))
+        .sort((a, b) => b.resid - a.resid).slice(0, OUTLIER_COUNT).map(o => o.i)
+    : [];
+
+  const axis = key => ({
+    title: { display: true, text: METRIC_LABELS[key], color: "#cdd2ff" },
+    grid: { color: "rgba(255,255,255,0.08)" },
+    ticks: { color: "#cdd2ff", callback: v => formatValue(key, v) }
+  });
+
+  window.__chart__ = new Chart(canvas, {
+    type: "scatter",
+    data: {
+      datasets: [
+        { label: "States", data: points, pointBackgroundColor: points.map(p => p.color),
+          pointBorderColor: "#ffffff", pointBorderWidth: 1, pointRadius: 4, pointHoverRadius: 6 },
+        { type: "line", label: fit ? `Fit (r = ${fit.r.toFixed(2)})` : "Fit", data: line,
+          borderWidth: 2, borderDash: [6,4], pointRadius: 0 }
+      ]
+    },
+    plugins: [outlierLabels],
+    options: {
+      maintainAspectRatio: false,
+      plugins: {
+        outlierLabels: { indices: outliers },
+        legend: { display: true, labels: { color: "#e9ecff", boxWidth: 18 } },
+        tooltip: {
+          backgroundColor: "#0f1530", titleColor: "#e9ecff", bodyColor: "#e9ecff",
+          filter: c => c.datasetIndex === 0,
+          callbacks: {
+            title: items => items[0]?.raw.abbr ?? "",
+            label: c => [`${METRIC_LABELS[xKey]}: ${formatValue(xKey, c.raw.x)}`,
+                         `${METRIC_LABELS[yKey]}: ${formatValue(yKey, c.raw.y)}`]
+          }
+        }
+      },
+      scales: { x: axis(xKey), y: axis(yKey) }
+    }
+  });
+}
+
+// Options into a select: ungrouped first, then one <optgroup> per group in first-seen order
+function addOptions(select, options) {
+  const groups = new Map();
+  for (const o of options) {
+    if (!o.group) select.add(new Option(o.label, o.value));
+    else groups.set(o.group, [...(groups.get(o.group) || []), o]);
+  }
+  for (const [label, items] of groups) {
+    const group = document.createElement("optgroup");
+    group.label = label;
+    items.forEach(o => group.appendChild(new Option(o.label, o.value)));
+    select.appendChild(group);
+  }
+}
+
+// Metric picker: the registry's plain metrics, then every occupation (by its mean wage; the
+// measure picker switches between its other measures)
+function fillMetricSelect(select) {
+  const wage = registry.measures.wage_mean;
+  addOptions(select, [
+    ...Object.entries(registry.metrics).filter(([, m]) => m.picker !== false)
+      .map(([value, m]) => ({ value, label: m.label, group: m.group })),
+    ...(wage ? occupations.map(o => ({ value: wageKey(o.soc), label: o.title, group: wage.label })) : [])
+  ]);
+}
+
 function setupControls(geojson) {
   const selectDesktop = document.getElementById("metricSelect");
   const selectMobile  = document.getElementById("metricSelectMobile");
 
-  // Fill mobile select with the same options as desktop
-  if (selectDesktop && selectMobile && !selectMobile.options.length) {
-    Array.from(selectDesktop.options).forEach(opt => {
-      const m = document.createElement("option");
-      m.value = opt.value; m.textContent = opt.textContent;
-      selectMobile.appendChild(m);
-    });
+  // Desktop and mobile pickers list the same registry metrics
+  if (selectDesktop && !selectDesktop.options.length) fillMetricSelect(selectDesktop);
+  if (selectMobile && !selectMobile.options.length)   fillMetricSelect(selectMobile);
+
+  // Fill classification + palette pickers from the tables above
+  const classSelect   = document.getElementById("classSelect");
+  const paletteSelect = document.getElementById("paletteSelect");
+  if (classSelect && !classSelect.options.length) {
+    Object.entries(CLASSING_LABELS).forEach(([value, label]) => classSelect.add(new Option(label, value)));
+  }
+  if (paletteSelect && !paletteSelect.options.length) {
+    paletteSelect.add(new Option("Metric default", ""));
+    Object.entries(PALETTES).forEach(([value, p]) => paletteSelect.add(new Option(p.label, value)));
   }
 
-  // Set initial values
-  if (selectDesktop) selectDesktop.value = currentMetric;
-  if (selectMobile)  selectMobile.value  = currentMetric;
+  // Bivariate Y metric: any map metric, "" = off. Tertiles replace classing and palette.
+  const compareSelect = document.getElementById("compareSelect");
+  if (compareSelect && compareSelect.options.length <= 1) fillMetricSelect(compareSelect);
+  const syncCompare = () => {
+    const on = !!activeCompare(currentMetric);
+    if (classSelect)   classSelect.disabled   = on;
+    if (paletteSelect) paletteSelect.disabled = on;
+    if (compareSelect) compareSelect.disabled = mapLevel !== "states";
+  };
+
+  // States, or Census divisions/regions with weighted averages (needs config/census-regions.json)
+  const levelSelect = document.getElementById("levelSelect");
+  if (levelSelect && !stateGroups.length) levelSelect.disabled = true;
+
+  // Searchable occupation picker: datalist of "Title (SOC)" entries
+  const occSearch = document.getElementById("occupationSearch");
+  const occList   = document.getElementById("occupationList");
+  const occLabel  = o => `${o.title} (${o.soc})`;
+  if (occList && !occList.options.length) {
+    occupations.forEach(o => occList.appendChild(new Option(occLabel(o))));
+  }
+  const syncOccSearch = () => {
+    const { measure, soc } = splitMetric(currentMetric);
+    if (selectDesktop && soc) selectDesktop.value = wageKey(soc);
+    if (selectMobile && soc)  selectMobile.value  = wageKey(soc);
+    if (measureSelect) {
+      measureSelect.disabled = !soc;
+      if (soc) measureSelect.value = measure;
+    }
+    if (!occSearch) return;
+    const o = occupations.find(o => o.soc === soc);
+    occSearch.value = o ? occLabel(o) : "";
+  };
+
+  // OEWS measure for the chosen occupation (mean, percentiles, employment, LQ)
+  const measureSelect = document.getElementById("measureSelect");
+  if (measureSelect && !measureSelect.options.length) {
+    addOptions(measureSelect, Object.entries(registry.measures).filter(([, m]) => m.picker !== false)
+      .map(([value, m]) => ({ value, label: m.label, group: m.group })));
+  }
+  // Switching occupation keeps whichever measure is showing
+  const occupationMetric = (soc) => {
+    const measure = splitMetric(currentMetric).soc ? splitMetric(currentMetric).measure : "wage_mean";
+    return `${measure}.${soc}`;
+  };
+  const chooseMetric = (val) => {
+    const { soc } = splitMetric(val);
+    setMetric(soc ? occupationMetric(soc) : val);
+  };
+
+  // Every picker follows the globals (initially, and again on back/forward)
+  syncControls = () => {
+    if (selectDesktop) selectDesktop.value = currentMetric;
+    if (selectMobile)  selectMobile.value  = currentMetric;
+    if (classSelect)   classSelect.value   = currentClassing;
+    if (paletteSelect) paletteSelect.value = currentPalette || "";
+    if (compareSelect) compareSelect.value = compareMetric || "";
+    if (levelSelect)   levelSelect.value   = mapLevel;
+    syncOccSearch();
+    syncCompare();
+  };
+  syncControls();
 
   const setMetric = (val) => {
     currentMetric = val;
     if (selectDesktop && selectDesktop.value !== val) selectDesktop.value = val;
     if (selectMobile  && selectMobile.value  !== val) selectMobile.value  = val;
+    syncOccSearch();
+    syncCompare();
     drawStates(geojson, currentMetric);
     updateSidebar(geojson, currentMetric);
+    writeUrl({ push: true });
   };
 
-  if (selectDesktop) selectDesktop.addEventListener("change", () => setMetric(selectDesktop.value));
-  if (selectMobile)  selectMobile.addEventListener("change", () => setMetric(selectMobile.value));
+  if (selectDesktop) selectDesktop.addEventListener("change", () => chooseMetric(selectDesktop.value));
+  if (selectMobile)  selectMobile.addEventListener("change", () => chooseMetric(selectMobile.value));
+  if (measureSelect) measureSelect.addEventListener("change", () => {
+    const { soc } = splitMetric(currentMetric);
+    if (soc) setMetric(`${measureSelect.value}.${soc}`);
+  });
+
+  // Accept an exact pick from the list, or a unique match on title/SOC while typing
+  if (occSearch) occSearch.addEventListener("change", () => {
+    const q = occSearch.value.trim().toLowerCase();
+    if (!q) return syncOccSearch();
+    const hits = occupations.filter(o =>
+      occLabel(o).toLowerCase() === q || o.title.toLowerCase().includes(q) || o.soc.includes(q.replace("-", "")));
+    const exact = hits.find(o => occLabel(o).toLowerCase() === q);
+    const pick = exact || (hits.length === 1 ? hits[0] : null);
+    if (pick) setMetric(occupationMetric(pick.soc));
+    else syncOccSearch();
+  });
+
+  // Restyle only; the sidebar stats don't depend on classing
+  if (classSelect) classSelect.addEventListener("change", () => {
+    currentClassing = classSelect.value;
+    drawStates(geojson, currentMetric);
+    writeUrl();
+  });
+  if (paletteSelect) paletteSelect.addEventListener("change", () => {
+    currentPalette = paletteSelect.value || null;
+    drawStates(geojson, currentMetric);
+    writeUrl();
+  });
+  if (levelSelect) levelSelect.addEventListener("change", () => {
+    mapLevel = levelSelect.value;
+    if (drill) drillUp(geojson);
+    map.closePopup();
+    syncCompare();
+    drawStates(geojson, currentMetric);
+    updateSidebar(geojson, currentMetric);
+    writeUrl({ push: true });
+  });
+  if (compareSelect) compareSelect.addEventListener("change", () => {
+    compareMetric = compareSelect.value || null;
+    syncCompare();
+    drawStates(geojson, currentMetric);
+    updateSidebar(geojson, currentMetric);
+    writeUrl({ push: true });
+  });
+}
+
+/* ---- CENSUS REGIONS & DIVISIONS ---- */
+// The map at region/division level: member states dissolved into one shape, colored by the
+// group's aggregate (weighted mean, or sum for counts; see weightKey).
+const regionShapes = new Map();  // kind -> [{ group, geometries }]
+
+function levelGroups() {
+  const kind = mapLevel === "regions" ? "Census regions" : "Census divisions";
+  return stateGroups.filter(g => g.kind === kind);
+}
+
+// Every metric the members report, aggregated; plus how many members reported each one
+function groupMetrics(geojson, group) {
+  const members = new Set(group.states);
+  const keys = new Set();
+  geojson.features.forEach(f => {
+    if (members.has(f.properties.abbr)) Object.keys(f.properties.metrics || {}).forEach(k => keys.add(k));
+  });
+  const metrics = {}, reporting = {};
+  for (const key of keys) {
+    const rows = metricRows(geojson, key, members);
+    if (!rows.length || metricInfo(key)?.aggregate === null) continue;
+    metrics[key] = isSummed(key)
+      ? rows.reduce((a, r) => a + r.value, 0)
+      : usAverage(rows);
+    reporting[key] = rows.length;
+  }
+  return { metrics, reporting };
+}
+
+// [{ abbr: group code, value }] for the sidebar stats and ranking at region level
+function groupRows(geojson, metricKey) {
+  return levelGroups()
+    .map(g => ({ abbr: g.code, value: groupMetrics(geojson, g).metrics[metricKey] }))
+    .filter(r => typeof r.value === "number" && !Number.isNaN(r.value));
+}
+
+// Contiguous members merge into one outline; inset states (AK, HI) keep their moved shapes
+function groupGeometries(geojson, group) {
+  const members = new Set(group.states);
+  const geoms = statesTopo.objects.states.geometries.filter(g => {
+    const abbr = g.properties.abbr || NAME_TO_ABBR[g.properties.name];
+    return members.has(abbr) && !INSETS[abbr];
+  });
+  return [
+    ...(geoms.length ? [topojson.merge(statesTopo, geoms)] : []),
+    ...geojson.features.filter(f => members.has(f.properties.abbr) && INSETS[f.properties.abbr]).map(f => f.geometry)
+  ];
+}
+
+function drawRegions(geojson, metricKey, refocus = false) {
+  const kind = mapLevel === "regions" ? "Census regions" : "Census divisions";
+  if (!regionShapes.has(kind)) {
+    regionShapes.set(kind, levelGroups().map(group => ({ group, geometries: groupGeometries(geojson, group) })));
+  }
+  const features = regionShapes.get(kind).flatMap(({ group, geometries }) => {
+    const agg = groupMetrics(geojson, group);
+    return geometries.map(geometry => ({ type: "Feature", geometry, properties: { group, ...agg } }));
+  });
+
+  const rows = groupRows(geojson, metricKey);
+  const scheme = buildColorScheme(rows, usAverage(metricRows(geojson, metricKey)), metricKey, currentClassing, currentPalette);
+  renderLegend(scheme, metricKey, `${kind}, ${weightNote(metricKey)}`);
+
+  geoLayer = L.geoJSON({ type: "FeatureCollection", features }, {
+    style: f => ({
+      color: "#ffffff", weight: 1.6,
+      fillColor: scheme.colorFor(f.properties.metrics[metricKey]),
+      fillOpacity: 0.85
+    }),
+    onEachFeature: (feature, layer) => {
+      const { group, metrics, reporting } = feature.properties;
+      const n = reporting[metricKey] || 0;
+      layer.bindPopup(
+        `<div style="min-width:200px">
+           <div style="font-weight:700;margin-bottom:4px">${group.name}</div>
+           <div>${METRIC_LABELS[metricKey]}: <strong>${formatValue(metricKey, metrics[metricKey])}</strong></div>
+           <div class="detail__sub">${weightNote(metricKey)} · ${n} of ${group.states.length} states reporting</div>
+           <div class="detail__sub">${group.states.join(", ")}</div>
+         </div>`
+      );
+      layer.on("mouseover", () => layer.setStyle({ weight: 2.2, color: "#00e5ff" }));
+      layer.on("mouseout",  () => layer.setStyle({ weight: 1.6, color: "#ffffff" }));
+    }
+  }).addTo(map);
+
+  enableKeyboard(geojson, metricKey, refocus);
+}
+
+/* ---- DRILL-DOWN (counties / metros) ---- */
+// Clicking a state zooms to it and draws data/areas/<ABBR>.json on top: county polygons
+// (LAUS unemployment) or metro circles (LAUS unemployment + OEWS mean wages).
+let drill = null;          // { abbr, name, fips, mode: "counties" | "metros", data, layer }
+let drillMode = "counties";
+let countiesGeo = null;    // lazy FeatureCollection of every county
+let homeView = null;       // national view to restore from the breadcrumb
+let breadcrumbControl = null;
+const areaCache = new Map();
+
+async function loadCounties() {
+  if (!countiesGeo) {
+    countiesGeo = loadTopology("counties")
+      .then(topo => topojson.feature(topo, topo.objects.counties))
+      .catch(() => ({ type: "FeatureCollection", features: [] }));
+  }
+  return countiesGeo;
+}
+async function loadAreas(abbr) {
+  if (!areaCache.has(abbr)) {
+    areaCache.set(abbr, loadDataFile(`areas/${abbr}.json`).then(r => r?.json || { counties: {}, metros: {} }));
+  }
+  return areaCache.get(abbr);
+}
+
+async function drillDown(geojson, feature) {
+  const p = feature.properties;
+  const d = drill = { abbr: p.abbr, name: p.name, fips: String(feature.id).padStart(2, "0"), data: null, layer: null };
+  renderMapBadges();
+
+  map.setMinZoom(3);
+  map.setMaxZoom(12);
+  map.fitBounds(L.geoJSON(feature).getBounds(), { padding: [24, 24] });
+
+  const [data, counties] = await Promise.all([loadAreas(p.abbr), loadCounties()]);
+  if (drill !== d) return; // user moved on while loading
+  d.data = data;
+  const t = insetTransforms[d.abbr];
+  d.counties = counties.features
+    .filter(f => String(f.id).padStart(5, "0").startsWith(d.fips))
+    .map(f => t ? { ...f, geometry: mapCoords(f.geometry, t) } : f);
+  renderDrill(geojson);
+}
+
+function drillUp(geojson) {
+  if (!drill) return;
+  if (drill.layer) drill.layer.remove();
+  drill = null;
+  map.closePopup();
+  map.setMinZoom(homeView.minZoom);
+  map.setMaxZoom(homeView.maxZoom);
+  map.setView(homeView.center, homeView.zoom);
+  renderBreadcrumb(geojson);
+  drawStates(geojson, currentMetric);
+}
+
+function renderDrill(geojson) {
+  const d = drill;
+  renderBreadcrumb(geojson);
+  // Fade the other states and clear the drilled one so its sub-areas show through
+  geoLayer.eachLayer(l => l.setStyle(
+    l.feature.properties.abbr === d.abbr ? { fillOpacity: 0 } : { fillOpacity: 0.2 }
+  ));
+  if (d.layer) { d.layer.remove(); d.layer = null; }
+  if (!d.data) return;
+
+  if (drillMode === "counties") {
+    // Counties only carry LAUS unemployment
+    const key = "unemployment_rate";
+    const rows = d.counties
+      .map(f => ({ f, value: d.data.counties[String(f.id).padStart(5, "0")]?.[key] }))
+      .filter(r => typeof r.value === "number");
+    const scheme = buildColorScheme(rows, usAverage(rows), key, currentClassing, currentPalette);
+    renderLegend(scheme, key, `Counties in ${d.name}`);
+
+    d.layer = L.geoJSON({ type: "FeatureCollection", features: d.counties }, {
+      style: f => ({
+        color: "#cdd2ff", weight: 0.6,
+        fillColor: scheme.colorFor(d.data.counties[String(f.id).padStart(5, "0")]?.[key]),
+        fillOpacity: 0.85
+      }),
+      onEachFeature: (f, layer) => {
+        const rec = d.data.counties[String(f.id).padStart(5, "0")] || {};
+        layer.bindPopup(
+          `<div style="min-width:180px">
+             <div style="font-weight:700;margin-bottom:4px">${rec.name || f.properties.name} County, ${d.abbr}</div>
+             <div>${METRIC_LABELS[key]}: <strong>${formatValue(key, rec[key])}</strong></div>
+           </div>`
+        );
+        layer.on("mouseover", () => layer.setStyle({ weight: 1.6, color: "#00e5ff" }));
+        layer.on("mouseout",  () => layer.setStyle({ weight: 0.6, color: "#cdd2ff" }));
+      }
+    }).addTo(map);
+    return;
+  }
+
+  // Metros: the current metric when metros have it (unemployment, mean wages), else unemployment
+  const t = insetTransforms[d.abbr];
+  const metros = Object.entries(d.data.metros || {}).map(([cbsa, rec]) => {
+    const [lon, lat] = t ? t([rec.lon, rec.lat]) : [rec.lon, rec.lat];
+    return { cbsa, ...rec, lat, lon };
+  });
+  const key = metros.some(m => typeof m[currentMetric] === "number") ? currentMetric : "unemployment_rate";
+  const rows = metros.filter(m => typeof m[key] === "number");
+  const scheme = buildColorScheme(rows.map(m => ({ value: m[key] })), usAverage(rows.map(m => ({ value: m[key] }))),
+                                  key, currentClassing, currentPalette);
+  renderLegend(scheme, key, `Metros in ${d.name}`);
+
+  d.layer = L.layerGroup(metros.map(m => {
+    const marker = L.circleMarker([m.lat, m.lon], {
+      radius: 9, color: "#ffffff", weight: 1.4,
+      fillColor: scheme.colorFor(m[key]), fillOpacity: 0.9
+    });
+    marker.bindPopup(
+      `<div style="min-width:200px">
+         <div style="font-weight:700;margin-bottom:4px">${m.name}</div>
+         <div>${METRIC_LABELS[key]}: <strong>${formatValue(key, m[key])}</strong></div>
+         ${key !== "unemployment_rate"
+           ? `<div>${METRIC_LABELS.unemployment_rate}: <strong>${formatValue("unemployment_rate", m.unemployment_rate)}</strong></div>`
+           : ""}
+       </div>`
+    );
+    return marker;
+  })).addTo(map);
+}
+
+function renderBreadcrumb(geojson) {
+  if (!breadcrumbControl) {
+    breadcrumbControl = L.control({ position: "topleft" });
+    breadcrumbControl.onAdd = () => {
+      const el = L.DomUtil.create("div", "breadcrumb");
+      L.DomEvent.disableClickPropagation(el);
+      el.addEventListener("click", e => {
+        const btn = e.target.closest("button");
+        if (!btn) return;
+        if (btn.dataset.act === "home") {
+          drillUp(geojson);
+          return writeUrl({ push: true });
+        }
+        drillMode = btn.dataset.mode;
+        renderDrill(geojson);
+        writeUrl();
+      });
+      return el;
+    };
+    breadcrumbControl.addTo(map);
+  }
+  const el = breadcrumbControl.getContainer();
+  el.hidden = !drill;
+  if (!drill) return;
+  const modeBtn = (mode, label) =>
+    `<button type="button" data-mode="${mode}" class="${drillMode === mode ? "is-active" : ""}">${label}</button>`;
+  el.innerHTML =
+    `<button type="button" data-act="home" class="breadcrumb__home">United States</button>
+     <span class="breadcrumb__sep">›</span>
+     <strong>${drill.name}</strong>
+     <span class="breadcrumb__modes">${modeBtn("counties", "Counties")}${modeBtn("metros", "Metros")}</span>`;
+}
+
+/* ---- STATE DETAIL ---- */
+// Everything we know about one state: each metric with rank, percentile, gap to the
+// U.S. average and change vs. the same month a year earlier, plus a history chart.
+async function renderDetail(geojson, metricKey) {
+  const card = document.getElementById("stateDetail");
+  if (!card) return;
+  const feature = geojson.features.find(f => f.properties.abbr === detailAbbr);
+  if (!feature) { card.hidden = true; return; }
+
+  const p = feature.properties;
+  card.hidden = false;
+  document.getElementById("detailTitle").textContent = `${p.name} (${p.abbr})`;
+
+  // Latest has no period of its own; it is treated as the newest history period
+  const periods = historyIndex?.periods || [];
+  const period = currentPeriod || periods.at(-1) || null;
+  const yearAgo = period ? shiftPeriod(period, -12) : null;
+  const prior = yearAgo && periods.includes(yearAgo) ? await loadSnapshot(yearAgo) : null;
+  if (detailAbbr !== p.abbr) return; // another state was clicked meanwhile
+
+  // Area-wide metrics plus every OEWS measure of the occupation in focus
+  // (listing all SOC codes would bury the table)
+  const focusSoc = splitMetric(metricKey).soc || defaultSoc;
+  const keys = Object.keys(p.metrics || {}).filter(k =>
+    typeof p.metrics[k] === "number" && !isErrorMeasure(k) && [null, focusSoc].includes(splitMetric(k).soc));
+  const body = keys.map(key => {
+    const rows = metricRows(geojson, key).sort((a, b) => b.value - a.value);
+    const v = p.metrics[key];
+    const rank = rows.findIndex(r => r.abbr === p.abbr) + 1;
+    const below = rows.filter(r => r.value < v).length;
+    const pct = rows.length > 1 ? Math.round(100 * below / (rows.length - 1)) : null;
+    const avg = usAverage(rows);
+    const vsAvg = avg ? (v - avg) / avg * 100 : null;
+    const before = prior?.[p.abbr]?.[key];
+    const yoy = typeof before === "number" ? v - before : null;
+    const se = standardError(key, p.metrics);
+
+    return `<tr${key === metricKey ? ' class="is-current"' : ""}>
+      <th scope="row">${METRIC_LABELS[key] || key}</th>
+      <td><strong>${formatValue(key, v)}</strong>
+          ${se != null ? `<div class="detail__sub" title="${ciText(key, confidenceInterval(v, se))}">±${formatValue(key, Z_CRITICAL * se)}</div>` : ""}</td>
+      <td>${rank ? `#${rank} of ${rows.length}` : "—"}</td>
+      <td>${pct != null ? ordinal(pct) + " pct" : "—"}
+          ${vsAvg != null ? `<div class="detail__sub">${signed(vsAvg.toFixed(1))}% vs U.S.</div>` : ""}</td>
+      <td>${yoy != null ? signedChange(key, yoy) : "—"}</td>
+    </tr>`;
+  }).join("");
+
+  document.getElementById("detailTable").innerHTML =
+    `<thead><tr><th>Metric</th><th>Value</th><th>Rank</th><th>Percentile</th><th>YoY</th></tr></thead>
+     <tbody>${body || `<tr><td colspan="5">No data for this state.</td></tr>`}</tbody>`;
+
+  const dist = document.getElementById("detailDistribution");
+  if (dist) {
+    const occ = occupations.find(o => o.soc === focusSoc);
+    const svg = distributionSvg(p.metrics, nationalMetrics, focusSoc, p.abbr);
+    dist.innerHTML = svg ? `<div class="detail__sub">${occ ? occ.title : focusSoc} wage distribution</div>${svg}` : "";
+  }
+
+  renderDetailChart(p.abbr, metricKey);
+}
+
+/* ---- WAGE DISTRIBUTION ---- */
+// Box plot (p10–p90 whiskers, p25–p75 box, median bar, mean dot) for one SOC,
+// the state's row above the national one on a shared scale. Returns "" with no data.
+const BOX_MEASURES = ["wage_p10", "wage_p25", "wage_median", "wage_p75", "wage_p90", "wage_mean"];
+
+function distributionSvg(stateRec, nationalRec, soc, stateLabel) {
+  const pick = rec => Object.fromEntries(BOX_MEASURES.map(m => [m, rec?.[`${m}.${soc}`]])
+    .filter(([, v]) => typeof v === "number" && !Number.isNaN(v)));
+  const rows = [[stateLabel, pick(stateRec)], ["U.S.", pick(nationalRec)]]
+    .filter(([, d]) => d.wage_p25 != null && d.wage_p75 != null);
+  if (!rows.length) return "";
+
+  const all = rows.flatMap(([, d]) => Object.values(d));
+  const lo = Math.min(...all), hi = Math.max(...all);
+  const W = 240, left = 34, right = 8, rowH = 24, H = rows.length * rowH + 16;
+  const x = v => left + (hi > lo ? (v - lo) / (hi - lo) : 0.5) * (W - left - right);
+  const k = v => "$" + Math.round(v / 1000) + "k";
+
+  const body = rows.map(([label, d], i) => {
+    const y = 6 + i * rowH, mid = y + 8;
+    const from = d.wage_p10 ?? d.wage_p25, to = d.wage_p90 ?? d.wage_p75;
+    const tip = ["wage_p10", "wage_p25", "wage_median", "wage_p75", "wage_p90", "wage_mean"]
+      .filter(m => d[m] != null).map(m => `${metricInfo(m)?.short ?? m}: ${formatValue(m, d[m])}`).join("\n");
+    return `<g><title>${label}\n${tip}</title>
+      <text x="0" y="${mid + 4}" fill="#cdd2ff" font-size="10">${label}</text>
+      <line x1="${x(from)}" x2="${x(to)}" y1="${mid}" y2="${mid}" stroke="#8f98d6" />
+      <rect x="${x(d.wage_p25)}" y="${y}" width="${Math.max(1, x(d.wage_p75) - x(d.wage_p25))}" height="16"
+            fill="${i === 0 ? "rgba(0,229,255,.35)" : "rgba(143,152,214,.3)"}" stroke="${i === 0 ? "#00e5ff" : "#8f98d6"}" />
+      ${d.wage_median != null ? `<line x1="${x(d.wage_median)}" x2="${x(d.wage_median)}" y1="${y}" y2="${y + 16}" stroke="#fff" stroke-width="2" />` : ""}
+      ${d.wage_mean != null ? `<circle cx="${x(d.wage_mean)}" cy="${mid}" r="2.5" fill="#ffd166" />` : ""}
+    </g>`;
+  }).join("");
+
+  return `<svg class="dist-plot" viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" role="img"
+               aria-label="Wage distribution, ${rows.map(([l]) => l).join(" vs ")}">
+    ${body}
+    <text x="${left}" y="${H - 1}" fill="#8f98d6" font-size="9">${k(lo)}</text>
+    <text x="${W - right}" y="${H - 1}" fill="#8f98d6" font-size="9" text-anchor="end">${k(hi)}</text>
+  </svg>`;
+}
+
+async function renderDetailChart(abbr, metricKey) {
+  const canvas = document.getElementById("detailChart");
+  const empty = document.getElementById("detailChartEmpty");
+  if (!canvas) return;
+
+  if (!historyByState && historyIndex?.periods?.length) {
+    historyByState = (await loadDataFile("history/by-state.json"))?.json || {};
+  }
+  const series = historyByState?.[abbr]?.[metricKey] || [];
+
+  if (window.__detailChart__) { window.__detailChart__.destroy(); window.__detailChart__ = null; }
+  canvas.hidden = series.length < 2;
+  if (empty) empty.hidden = series.length >= 2;
+  if (series.length < 2) return;
+
+  window.__detailChart__ = new Chart(canvas, {
+    type: "line",
+    data: {
+      labels: series.map(([period]) => period),
+      datasets: [{
+        label: METRIC_LABELS[metricKey], data: series.map(([, v]) => v),
+        borderWidth: 2, pointRadius: 0, tension: 0.2,
+        borderColor: "#00e5ff", backgroundColor: "rgba(0,229,255,0.12)", fill: true
+      }]
+    },
+    options: {
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: "#0f1530", titleColor: "#e9ecff", bodyColor: "#e9ecff",
+          callbacks: { label: c => formatValue(metricKey, c.raw) }
+        }
+      },
+      scales: {
+        x: { grid: { display: false }, ticks: { color: "#cdd2ff", maxTicksLimit: 6, maxRotation: 0 } },
+        y: { grid: { color: "rgba(255,255,255,0.08)" }, ticks: { color: "#cdd2ff",
+             callback: v => formatValue(metricKey, v) } }
+      }
+    }
+  });
+}
+
+// "2024-06" shifted by n months
+function shiftPeriod(period, n) {
+  const [y, m] = period.split("-").map(Number);
+  const d = new Date(y, m - 1 + n, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+function ordinal(n) {
+  const s = ["th", "st", "nd", "rd"], v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+function signed(txt) {
+  return (+txt > 0 ? "+" : "") + txt;
+}
+// Change in the metric's own units: percentage points for rates, dollars for wages
+function signedChange(key, d) {
+  const info = metricInfo(key);
+  if (info?.format === "percent") return signed(d.toFixed(info.digits ?? 1)) + " pts";
+  if (info?.format === "score") return signed(d.toFixed(info.digits ?? 2));
+  return (d > 0 ? "+" : d < 0 ? "−" : "") + formatValue(key, Math.abs(d));
+}
+
+function setupDetail(geojson) {
+  const close = document.getElementById("detailClose");
+  if (close) close.addEventListener("click", () => {
+    detailAbbr = null;
+    renderDetail(geojson, currentMetric);
+    writeUrl();
+  });
+}
+
+/* ---- COMPARE ---- */
+// Pinned states side by side: every metric (area-wide plus the focus occupation's), each
+// state against the group's average and the U.S. average (50 states + DC), and a grouped
+// bar chart of the gaps to the U.S. Presets come from config/census-regions.json.
+let pinnedStates = [];       // abbrs in pin order; no cap
+let stateGroups = [];        // [{ kind, name, code, states }]
+let compareShow = "values";  // table cells: "values" | "group" (vs group avg) | "us" (vs U.S. avg)
+let compareSort = null;      // { key, dir: 1 | -1 }; null = current metric, highest first
+// Grouped bars get unreadable past this many metrics in the sidebar
+const COMPARE_CHART_METRICS = 8;
+
+async function loadStateGroups() {
+  try {
+    const r = await fetch("config/census-regions.json", { cache: "no-cache" });
+    if (!r.ok) return;
+    const cfg = await r.json();
+    const regions = cfg.regions || [];
+    regions.forEach(reg => stateGroups.push(
+      { kind: "Census regions", name: reg.name, code: reg.name, states: reg.divisions.flatMap(d => d.states) }));
+    regions.forEach(reg => reg.divisions.forEach(d => stateGroups.push(
+      { kind: "Census divisions", name: d.name, code: d.code || d.name, states: d.states })));
+    (cfg.lists || []).forEach(l => stateGroups.push({ kind: "Lists", name: l.name, states: l.states }));
+  } catch {}
+}
+
+// Column header: the measure without source or occupation (full label in the tooltip)
+function shortLabel(key) {
+  return metricInfo(key)?.short || key;
+}
+
+// Current metric first, then the other area-wide metrics and the focus occupation's measures
+function compareKeys(geojson, metricKey) {
+  const focusSoc = splitMetric(metricKey).soc || defaultSoc;
+  const keys = new Set([metricKey]);
+  geojson.features.forEach(f => Object.entries(f.properties.metrics || {}).forEach(([k, v]) => {
+    if (typeof v === "number" && METRIC_LABELS[k] && !isErrorMeasure(k) && [null, focusSoc].includes(splitMetric(k).soc)) keys.add(k);
+  }));
+  return [...keys];
+}
+
+function setPins(geojson, abbrs) {
+  pinnedStates = abbrList(abbrs.join(","));
+  renderCompare(geojson, currentMetric);
+  writeUrl({ push: true });
+}
+
+function togglePin(geojson, abbr) {
+  setPins(geojson, pinnedStates.includes(abbr) ? pinnedStates.filter(a => a !== abbr) : [...pinnedStates, abbr]);
+}
+
+function renderCompare(geojson, metricKey) {
+  const body = document.getElementById("compareBody");
+  const pinList = document.getElementById("pinList");
+  if (!body || !pinList) return;
+  const byAbbr = Object.fromEntries(geojson.features.map(f => [f.properties.abbr, f.properties]));
+
+  pinList.innerHTML = pinnedStates.map(a =>
+    `<button type="button" class="pin-chip" data-unpin="${a}" aria-label="Unpin ${byAbbr[a]?.name || a}">${a} ×</button>`
+  ).join("");
+  document.getElementById("compareClear").hidden = !pinnedStates.length;
+  body.hidden = !pinnedStates.length;
+  if (!pinnedStates.length) {
+    if (window.__compareChart__) { window.__compareChart__.destroy(); window.__compareChart__ = null; }
+    return;
+  }
+
+  const keys = compareKeys(geojson, metricKey);
+  const value = (abbr, k) => {
+    const v = byAbbr[abbr]?.metrics?.[k];
+    return typeof v === "number" && !Number.isNaN(v) ? v : null;
+  };
+  const usAvg = Object.fromEntries(keys.map(k => [k, usAverage(metricRows(geojson, k))]));
+  const pinSet = new Set(pinnedStates);
+  const groupAvg = Object.fromEntries(keys.map(k => [k, usAverage(metricRows(geojson, k, pinSet))]));
+
+  // States without a value sort last either way
+  const sort = compareSort && keys.includes(compareSort.key) ? compareSort : { key: metricKey, dir: -1 };
+  const rows = [...pinnedStates].sort((a, b) => {
+    const va = value(a, sort.key), vb = value(b, sort.key);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return (va - vb) * sort.dir;
+  });
+
+  const cell = (k, v) => {
+    if (v == null) return "—";
+    if (compareShow === "values") return formatValue(k, v);
+    const ref = compareShow === "group" ? groupAvg[k] : usAvg[k];
+    return ref == null ? "—" : signedChange(k, v - ref);
+  };
+  const ciTitle = (k, a) => {
+    const v = value(a, k);
+    const ci = compareShow === "values" && v != null ? confidenceInterval(v, standardError(k, byAbbr[a]?.metrics)) : null;
+    return ci ? ` title="${ciText(k, ci)}"` : "";
+  };
+  const ariaSort = k => k !== sort.key ? "none" : sort.dir < 0 ? "descending" : "ascending";
+  const arrow = k => k !== sort.key ? "" : sort.dir < 0 ? " ▼" : " ▲";
+  const avgRow = (label, avgs) =>
+    `<tr class="compare-table__avg"><th scope="row">${label}</th>${keys.map(k => `<td>${formatValue(k, avgs[k])}</td>`).join("")}</tr>`;
+
+  const occ = occupations.find(o => o.soc === (splitMetric(metricKey).soc || defaultSoc));
+  document.getElementById("compareNote").textContent = occ ? `Occupation measures: ${occ.title}` : "";
+  document.getElementById("compareTable").innerHTML =
+    `<thead><tr><th scope="col">State</th>${keys.map(k =>
+      `<th scope="col" aria-sort="${ariaSort(k)}"><button type="button" data-sort="${k}" title="${escapeXml(METRIC_LABELS[k])}">${shortLabel(k)}${arrow(k)}</button></th>`
+     ).join("")}</tr></thead>
+     <tbody>${rows.map(a =>
+      `<tr${a === detailAbbr ? ' class="is-current"' : ""}><th scope="row">${byAbbr[a]?.name || a}</th>${keys.map(k => `<td${ciTitle(k, a)}>${cell(k, value(a, k))}</td>`).join("")}</tr>`
+     ).join("")}</tbody>
+     <tfoot>${avgRow(`Group avg (${pinnedStates.length})`, groupAvg)}${avgRow("U.S. avg", usAvg)}</tfoot>`;
+  const sigEl = document.getElementById("compareSig");
+  if (sigEl) sigEl.textContent = significanceNote(sort.key, rows
+    .map(a => ({ abbr: a, value: value(a, sort.key), se: standardError(sort.key, byAbbr[a]?.metrics) }))
+    .filter(r => r.value != null));
+
+  renderCompareChart(rows, keys, value, usAvg);
+}
+
+// Grouped bars: one group per metric, one bar per state, as % above/below the U.S. average.
+// Scores (z-based, averaging ~0) have no meaningful percentage and are left out.
+function renderCompareChart(rows, keys, value, usAvg) {
+  const canvas = document.getElementById("compareChart");
+  if (window.__compareChart__) { window.__compareChart__.destroy(); window.__compareChart__ = null; }
+  if (!canvas) return;
+
+  const chartKeys = keys
+    .filter(k => usAvg[k] && metricInfo(k)?.format !== "score")
+    .slice(0, COMPARE_CHART_METRICS);
+  const pct = (a, k) => value(a, k) == null ? null : (value(a, k) - usAvg[k]) / usAvg[k] * 100;
+  const colors = chroma.scale("Set2").colors(Math.max(rows.length, 2));
+
+  window.__compareChart__ = new Chart(canvas, {
+    type: "bar",
+    data: {
+      labels: chartKeys.map(shortLabel),
+      datasets: rows.map((a, i) => ({ label: a, data: chartKeys.map(k => pct(a, k)), backgroundColor: colors[i], borderWidth: 0 }))
+    },
+    options: {
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: true, labels: { color: "#e9ecff", boxWidth: 12 } },
+        tooltip: {
+          backgroundColor: "#0f1530", titleColor: "#e9ecff", bodyColor: "#e9ecff",
+          callbacks: {
+            title: items => METRIC_LABELS[chartKeys[items[0].dataIndex]],
+            label: c => `${c.dataset.label}: ${formatValue(chartKeys[c.dataIndex], value(c.dataset.label, chartKeys[c.dataIndex]))}` +
+                        ` (${signed(c.raw.toFixed(1))}% vs U.S.)`
+          }
+        }
+      },
+      scales: {
+        x: { grid: { display: false }, ticks: { color: "#cdd2ff", maxRotation: 60, autoSkip: false } },
+        y: { grid: { color: "rgba(255,255,255,0.08)" },
+             title: { display: true, text: "% vs U.S. average", color: "#cdd2ff" },
+             ticks: { color: "#cdd2ff", callback: v => signed(String(v)) + "%" } }
+      }
+    }
+  });
+}
+
+function setupCompare(geojson) {
+  const card = document.getElementById("compareCard");
+  if (!card) return;
+  const groupSelect = document.getElementById("groupSelect");
+  const pinSelect   = document.getElementById("pinSelect");
+  const showSelect  = document.getElementById("compareShow");
+
+  if (groupSelect && groupSelect.options.length <= 1) {
+    [...new Set(stateGroups.map(g => g.kind))].forEach(kind => {
+      const group = document.createElement("optgroup");
+      group.label = kind;
+      stateGroups.forEach((g, i) => { if (g.kind === kind) group.appendChild(new Option(g.name, i)); });
+      groupSelect.appendChild(group);
+    });
+  }
+  if (pinSelect && pinSelect.options.length <= 1) {
+    geojson.features.map(f => f.properties).filter(p => p.abbr)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(p => pinSelect.add(new Option(p.name, p.abbr)));
+  }
+
+  // A preset replaces the pins; single states add to them
+  if (groupSelect) groupSelect.addEventListener("change", () => {
+    if (groupSelect.value !== "") setPins(geojson, stateGroups[+groupSelect.value].states);
+    groupSelect.value = "";
+  });
+  if (pinSelect) pinSelect.addEventListener("change", () => {
+    if (pinSelect.value && !pinnedStates.includes(pinSelect.value)) togglePin(geojson, pinSelect.value);
+    pinSelect.value = "";
+  });
+  if (showSelect) showSelect.addEventListener("change", () => {
+    compareShow = showSelect.value;
+    renderCompare(geojson, currentMetric);
+  });
+
+  card.addEventListener("click", e => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+    if (btn.id === "compareClear") return setPins(geojson, []);
+    if (btn.dataset.unpin) return togglePin(geojson, btn.dataset.unpin);
+    if (btn.dataset.sort) {
+      const key = btn.dataset.sort;
+      // Same column flips the order; a new one starts highest first
+      const active = compareSort || { key: currentMetric, dir: -1 };
+      compareSort = { key, dir: active.key === key ? -active.dir : -1 };
+      renderCompare(geojson, currentMetric);
+    }
+  });
+
+  // Popups are built once; label their pin button when they open
+  map.on("popupopen", e => {
+    const btn = e.popup.getElement()?.querySelector("[data-pin]");
+    if (!btn) return;
+    const label = () => { btn.textContent = pinnedStates.includes(btn.dataset.pin) ? "Unpin from compare" : "Pin to compare"; };
+    label();
+    btn.onclick = () => { togglePin(geojson, btn.dataset.pin); label(); };
+  });
+}
+
+/* ---- STATISTICAL CONTEXT ---- */
+// Sampling error where BLS publishes it: OEWS relative standard errors for the mean wage and
+// employment (the registry's `rse`). Intervals and tests use 90% confidence, as BLS does.
+// LAUS and JOLTS state figures are model-based and come without standard errors, so for
+// those the page says so rather than implying a gap is real. Outliers are states at least
+// OUTLIER_Z standard deviations from the mean of the 50 states + DC.
+const CONFIDENCE = 0.9;
+const Z_CRITICAL = 1.645;  // two-sided, at CONFIDENCE
+const OUTLIER_Z = 2;
+const OUTLIER_STYLE = { color: "#f06292", weight: 2.6 };
+let mapOutliers = new Map();  // abbr -> z for the metric on the map (set by drawStates)
+
+// Standard error of rec[key] from its published relative standard error, or null
+function standardError(key, rec) {
+  const info = metricInfo(key);
+  if (!info?.rse) return null;
+  const { soc } = splitMetric(key);
+  const v = rec?.[key], rse = rec?.[soc ? `${info.rse}.${soc}` : info.rse];
+  return typeof v === "number" && typeof rse === "number" ? Math.abs(v) * rse / 100 : null;
+}
+
+// [low, high] at CONFIDENCE, or null without a standard error
+function confidenceInterval(value, se) {
+  return se == null ? null : [value - Z_CRITICAL * se, value + Z_CRITICAL * se];
+}
+const ciText = (key, ci) =>
+  `${Math.round(CONFIDENCE * 100)}% CI ${formatValue(key, ci[0])} – ${formatValue(key, ci[1])}`;
+
+// Whether two independent estimates ({ value, se }) differ at CONFIDENCE; null when untestable
+function significantlyDifferent(a, b) {
+  if (a.se == null || b.se == null) return null;
+  return Math.abs(a.value - b.value) > Z_CRITICAL * Math.hypot(a.se, b.se);
+}
+
+// Why a metric shows no intervals here
+function errorNote(key) {
+  const info = metricInfo(key);
+  if (!info) return "";
+  if (info.rse) return "Confidence intervals are shown with the state ranking.";
+  if (info.source === "derived") return "Computed from other estimates without carrying their error; small gaps may not be real.";
+  if (info.source === "OEWS") return "OEWS publishes no standard error for this measure; small gaps may not be real.";
+  return `${info.source} state estimates are model-based and come without standard errors; small gaps may not be real.`;
+}
+
+// abbr -> z-score for the rows at least OUTLIER_Z from their (unweighted) mean
+function outlierScores(rows) {
+  if (rows.length < 5) return new Map();
+  const mean = rows.reduce((a, r) => a + r.value, 0) / rows.length;
+  const sd = Math.sqrt(rows.reduce((a, r) => a + (r.value - mean) ** 2, 0) / (rows.length - 1));
+  if (!sd) return new Map();
+  return new Map(rows.map(r => [r.abbr, (r.value - mean) / sd]).filter(([, z]) => Math.abs(z) >= OUTLIER_Z));
+}
+
+function outlierLegendItems(outliers) {
+  return outliers.size
+    ? [{ color: "none", outline: OUTLIER_STYLE.color, label: `Outlier, |z| ≥ ${OUTLIER_Z} (${outliers.size})` }] : [];
+}
+const outlineSwatch = it =>
+  `<div class="legend__row"><i class="legend__outline${it.dashed ? " legend__outline--dashed" : ""}" style="border-color:${it.outline}"></i><span>${it.label}</span></div>`;
+
+// BLS footnotes on the area's row ("Footnote P: preliminary."); latest data only
+function footnotesFor(key, abbr) {
+  const prov = currentPeriod ? null : latestByAbbr.__meta?.metrics?.[key];
+  return (prov?.area_footnotes?.[abbr] || []).map(c => `Footnote ${c}: ${prov.footnote_codes?.[c] ?? ""}`.trim());
+}
+
+// Confidence interval, outlier score and footnotes under a state's value in its popup
+function statPopupLines(key, abbr, rec) {
+  const v = rec?.[key];
+  const ci = typeof v === "number" ? confidenceInterval(v, standardError(key, rec)) : null;
+  const z = mapOutliers.get(abbr);
+  return [ci && ciText(key, ci),
+          z != null && `Outlier: ${z > 0 ? "+" : ""}${z.toFixed(1)} SD from the state mean`,
+          ...footnotesFor(key, abbr)]
+    .filter(Boolean).map(t => `<div class="detail__sub">${escapeXml(t)}</div>`).join("");
+}
+
+// Max/min stat: "$185,750 (CA ≈ WA)", naming the rows sampling error can't separate from it
+function statExtreme(el, key, top, rows, direction) {
+  const ties = rows.filter(r => r !== top && significantlyDifferent(top, r) === false).map(r => r.abbr);
+  const shown = ties.length ? ` ≈ ${ties.slice(0, 3).join(", ")}${ties.length > 3 ? ", …" : ""}` : "";
+  el.textContent = `${formatValue(key, top.value)} (${top.abbr}${shown})`;
+  el.title = ties.length
+    ? `Not significantly ${direction} ${ties.join(", ")} at ${Math.round(CONFIDENCE * 100)}% confidence` : "";
+}
+
+// Under the stats: what the whiskers and ≈ mean, or why there are none; then the outliers
+function renderStatNote(key, stateRows) {
+  const el = document.getElementById("statNote");
+  if (!el) return;
+  const parts = [stateRows.some(r => r.se != null)
+    ? `Whiskers show ${Math.round(CONFIDENCE * 100)}% confidence intervals; ≈ marks states within sampling error.`
+    : errorNote(key)];
+  if (mapOutliers.size) parts.push(`Outliers (|z| ≥ ${OUTLIER_Z}): ${[...mapOutliers.keys()].join(", ")}.`);
+  el.textContent = parts.filter(Boolean).join(" ");
+  el.hidden = !el.textContent;
+}
+
+// Neighbours in a sorted comparison that sampling error can't tell apart
+function significanceNote(key, rows) {
+  if (rows.length < 2) return "";
+  if (!rows.some(r => r.se != null)) return `${shortLabel(key)}: ${errorNote(key)}`;
+  const level = `${Math.round(CONFIDENCE * 100)}% confidence`;
+  const pairs = rows.slice(1).map((r, i) => [rows[i], r]).filter(([a, b]) => significantlyDifferent(a, b) === false);
+  return pairs.length
+    ? `${shortLabel(key)}: ${pairs.map(([a, b]) => `${a.abbr} vs ${b.abbr}`).join(", ")} not significantly different (${level}).`
+    : `${shortLabel(key)}: each gap in this order is significant at ${level}.`;
+}
+
+/* ---- WHAT'S NEW ---- */
+// The latest releases from data/changelog.json (written by fetch-bls.js): new periods,
+// revisions and values gone missing. States with a revised value for the shown metric get a
+// dashed outline on the map while it shows the latest data.
+const REVISED_STYLE = { color: "#ffb74d", weight: 2.2, dashArray: "4 3" };
+const WHATS_NEW_RELEASES = 3;
+const WHATS_NEW_REVISIONS = 6;  // listed one by one per metric; the rest are counted
+
+// "2024-M06" -> "Jun 2024", "2024-A01" -> "2024"
+function formatBlsPeriod(p) {
+  const m = /^(\d{4})-M(0[1-9]|1[0-2])$/.exec(p || "");
+  if (m) return formatPeriod(`${m[1]}-${m[2]}`);
+  return /^\d{4}-A01$/.test(p || "") ? p.slice(0, 4) : (p || "—");
+}
+
+// abbr -> revision entry for metricKey in the newest release (latest data only)
+function revisedAreas(metricKey) {
+  const release = changelog?.releases?.[0];
+  if (!release || currentPeriod) return new Map();
+  return new Map(release.entries.filter(e => e.type === "revision" && e.metric === metricKey).map(e => [e.area, e]));
+}
+
+function revisedLegendItems(metricKey) {
+  const n = [...revisedAreas(metricKey).keys()].filter(a => MAPPED_ABBRS.has(a)).length;
+  return n && mapLevel === "states"
+    ? [{ color: "none", outline: REVISED_STYLE.color, dashed: true, label: `Revised in latest release (${n})` }] : [];
+}
+
+function releaseItems(release) {
+  const label = k => escapeXml(METRIC_LABELS[k] || k);
+  const byMetric = (type) => {
+    const groups = new Map();
+    release.entries.filter(e => e.type === type).forEach(e => {
+      if (!groups.has(e.metric)) groups.set(e.metric, []);
+      groups.get(e.metric).push(e);
+    });
+    return [...groups];
+  };
+  const items = [];
+  for (const [metric, es] of byMetric("new_period")) {
+    const periods = [...new Set(es.map(e => e.period))].map(formatBlsPeriod).join(", ");
+    const prelim = es.some(e => e.preliminary) ? " (preliminary)" : "";
+    items.push(`<strong>${label(metric)}</strong>: ${periods}${prelim} for ${es.length} area${es.length === 1 ? "" : "s"}`);
+  }
+  for (const [metric, es] of byMetric("revision")) {
+    const shown = es.slice(0, WHATS_NEW_REVISIONS).map(e =>
+      `${e.area} ${formatValue(metric, e.previous_value)} → ${formatValue(metric, e.value)}`).join(", ");
+    const more = es.length > WHATS_NEW_REVISIONS ? ` and ${es.length - WHATS_NEW_REVISIONS} more` : "";
+    const periods = [...new Set(es.map(e => e.period))].map(formatBlsPeriod).join(", ");
+    items.push(`<strong>${label(metric)}</strong> revised (${periods}): ${shown}${more}`);
+  }
+  for (const [metric, es] of byMetric("missing")) {
+    items.push(`<strong>${label(metric)}</strong> no longer available for ${es.map(e => e.area).join(", ")}`);
+  }
+  return items;
+}
+
+function renderWhatsNew() {
+  const card = document.getElementById("whatsNewCard");
+  const list = document.getElementById("whatsNewList");
+  const releases = (changelog?.releases || []).filter(r => r.entries?.length).slice(0, WHATS_NEW_RELEASES);
+  if (!card || !list || !releases.length) return;
+  card.hidden = false;
+  list.innerHTML = releases.map(r =>
+    `<li><div class="whats-new__date">${escapeXml(formatAsOf(r.released_at))}</div>
+       <ul>${releaseItems(r).map(it => `<li>${it}</li>`).join("")}</ul></li>`).join("");
+}
+
+/* ---- LIVE DATA ---- */
+// With a manifest the page polls it (a 304 from scripts/run-pipeline.js's server while
+// nothing changed) and swaps in new snapshots of latest.json, the changelog and the registry
+// labels without a reload. A history period on the slider stays put; "Latest" gets the new data.
+const MANIFEST_POLL_MS = 5 * 60 * 1000;
+
+// "Updated:" from the file's own as_of, else the server's Last-Modified / manifest time
+function renderUpdated(latest, note = "") {
+  const el = document.getElementById("infoUpdated");
+  if (!el) return;
+  const when = latest?.json?.__meta?.as_of || latest?.json?.as_of || latest?.lastModified || null;
+  el.textContent = `Updated: ${when ? formatAsOf(when) : "—"}${note}`;
+}
+
+function setupLiveData(geojson) {
+  if (!dataManifest) return;
+  let checking = false;
+  const check = async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      const next = await loadManifest();
+      if (!next?.files || JSON.stringify(next.files) === JSON.stringify(dataManifest.files)) return;
+      const changed = name => next.files[name]?.path !== dataManifest.files?.[name]?.path;
+      const prev = dataManifest;
+      dataManifest = next;
+      if (changed("metrics.json")) await loadRegistry();
+      if (changed("changelog.json")) changelog = (await loadDataFile("changelog.json"))?.json || null;
+      if (changed("alerts.json")) {
+        alerts = (await loadDataFile("alerts.json"))?.json || null;
+        renderWatchlist();
+      }
+      if (changed("latest.json")) {
+        const latest = await loadDataFile("latest.json");
+        if (!latest) { dataManifest = prev; return; }
+        latestByAbbr = latest.json;
+        renderUpdated(latest, " · new data loaded");
+        if (!currentPeriod) {
+          nationalMetrics = latestByAbbr.US || {};
+          geojson.features.forEach(f => { f.properties.metrics = latestByAbbr[f.properties.abbr] || {}; });
+        }
+      }
+      drawStates(geojson, currentMetric);
+      updateSidebar(geojson, currentMetric);
+      renderWhatsNew();
+    } finally {
+      checking = false;
+    }
+  };
+  setInterval(check, MANIFEST_POLL_MS);
+  document.addEventListener("visibilitychange", () => { if (!document.hidden) check(); });
+}
+
+/* ---- TIME SLIDER ---- */
+// Slider positions 0..n-1 are history periods; position n is "Latest" (latest.json).
+async function setupTimeline(geojson) {
+  const card   = document.getElementById("timeCard");
+  const slider = document.getElementById("periodSlider");
+  const label  = document.getElementById("periodLabel");
+  const play   = document.getElementById("periodPlay");
+  if (!card || !slider) return;
+
+  const idx = await loadDataFile("history/index.json");
+  historyIndex = idx?.json || null;
+  const periods = historyIndex?.periods || [];
+  if (!periods.length) return; // no history shipped: keep the card hidden
+
+  card.hidden = false;
+  slider.min = 0;
+  slider.max = periods.length;
+  slider.value = periods.length;
+  label.textContent = "Latest";
+
+  let timer = null;
+  const stop = () => {
+    clearInterval(timer); timer = null;
+    play.textContent = "▶"; play.setAttribute("aria-label", "Play");
+  };
+
+  const show = async (i) => {
+    const period = i >= periods.length ? null : periods[i];
+    label.textContent = period ? formatPeriod(period) : "Latest";
+    const data = period ? await loadSnapshot(period) : latestByAbbr;
+    if (+slider.value !== i) return; // slider moved on while we were loading
+    currentPeriod = period;
+    nationalMetrics = data?.US || {};
+    geojson.features.forEach(f => { f.properties.metrics = data?.[f.properties.abbr] || {}; });
+    drawStates(geojson, currentMetric);
+    updateSidebar(geojson, currentMetric);
+    writeUrl();
+  };
+
+  // Jump straight to a period (deep links, back/forward); unknown periods mean Latest
+  timelineTo = (period) => {
+    stop();
+    const i = periods.includes(period) ? periods.indexOf(period) : periods.length;
+    slider.value = i;
+    return show(i);
+  };
+
+  slider.addEventListener("input", () => { stop(); show(+slider.value); });
+
+  play.addEventListener("click", () => {
+    if (timer) return stop();
+    if (+slider.value >= periods.length) slider.value = 0; // restart from the oldest period
+    play.textContent = "❚❚"; play.setAttribute("aria-label", "Pause");
+    show(+slider.value);
+    timer = setInterval(() => {
+      const next = +slider.value + 1;
+      if (next > periods.length) return stop();
+      slider.value = next;
+      show(next);
+    }, 900);
+  });
+}
+
+async function loadSnapshot(period) {
+  if (!snapshotCache.has(period)) {
+    snapshotCache.set(period, loadDataFile(`history/${period}.json`).then(r => r?.json || {}));
+  }
+  return snapshotCache.get(period);
+}
+
+function formatPeriod(period) {
+  const [y, m] = period.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleString(undefined, { year: "numeric", month: "short" });
+}
+
+/* ---- URL STATE ---- */
+// The view lives in the query string so a pasted link reproduces it:
+//   ?metric=wage_mean.151252&compare=unemployment_rate&states=CA,TX&state=CA&pins=CA,TX,WA
+//    &period=2023-06&classes=jenks&palette=diverging&level=regions&drill=CA&areas=metros
+// Defaults are left out. Metric, comparison, state picks and pins push history entries
+// (so back/forward step through them); period, classing and palette replace the current one.
+const URL_DEFAULTS = { metric: currentMetric, classes: currentClassing, palette: currentPalette, areas: drillMode,
+                       level: mapLevel };
+let syncControls = () => {};  // set by setupControls
+let timelineTo = null;        // set by setupTimeline once history is loaded: (period|null) => Promise
+
+const hasKey = (obj, k) => k != null && Object.hasOwn(obj, k);
+
+const abbrList = s => [...new Set((s || "").split(",").filter(a => MAPPED_ABBRS.has(a)))];
+
+// Query string -> view, dropping anything this build doesn't know (old links, typos)
+function readUrlState() {
+  const q = new URLSearchParams(location.search);
+  const metric = k => hasKey(METRIC_LABELS, k) ? k : null;
+  const abbr = a => MAPPED_ABBRS.has(a) ? a : null;
+  return {
+    metric:  metric(q.get("metric")),
+    compare: metric(q.get("compare")),
+    states:  abbrList(q.get("states")).slice(0, 3),
+    pins:    abbrList(q.get("pins")),
+    detail:  abbr(q.get("state")),
+    period:  /^\d{4}-\d{2}$/.test(q.get("period") || "") ? q.get("period") : null,
+    classes: hasKey(CLASSING_LABELS, q.get("classes")) ? q.get("classes") : null,
+    palette: hasKey(PALETTES, q.get("palette")) ? q.get("palette") : null,
+    level:   ["divisions", "regions"].includes(q.get("level")) && stateGroups.length ? q.get("level") : null,
+    drill:   abbr(q.get("drill")),
+    areas:   ["counties", "metros"].includes(q.get("areas")) ? q.get("areas") : null
+  };
+}
+
+// Everything but the period (data has to load) and the drill-down (needs the map)
+function applyUrlState(s) {
+  currentMetric    = s.metric  || URL_DEFAULTS.metric;
+  compareMetric    = s.compare;
+  currentClassing  = s.classes || URL_DEFAULTS.classes;
+  currentPalette   = s.palette || URL_DEFAULTS.palette;
+  mapLevel         = s.level   || URL_DEFAULTS.level;
+  selectionHistory = s.states;
+  pinnedStates     = s.pins;
+  detailAbbr       = s.detail;
+  drillMode        = s.areas   || URL_DEFAULTS.areas;
+}
+
+// Drill into (or back out of) the linked state and reopen its popup
+function restoreFocus(geojson, s) {
+  if (drill && drill.abbr !== s.drill) drillUp(geojson);
+  const feature = s.drill && mapLevel === "states" && geojson.features.find(f => f.properties.abbr === s.drill);
+  if (feature && !drill) drillDown(geojson, feature);
+  if (s.detail) geoLayer.eachLayer(l => { if (l.feature.properties.abbr === s.detail) l.openPopup(); });
+}
+
+function writeUrl({ push = false } = {}) {
+  const params = [
+    ["metric",  currentMetric !== URL_DEFAULTS.metric ? currentMetric : null],
+    ["compare", compareMetric],
+    ["states",  selectionHistory.join(",")],
+    ["state",   detailAbbr],
+    ["pins",    pinnedStates.join(",")],
+    ["period",  currentPeriod],
+    ["classes", currentClassing !== URL_DEFAULTS.classes ? currentClassing : null],
+    ["palette", currentPalette !== URL_DEFAULTS.palette ? currentPalette : null],
+    ["level",   mapLevel !== URL_DEFAULTS.level ? mapLevel : null],
+    ["drill",   drill?.abbr],
+    ["areas",   drill && drillMode !== URL_DEFAULTS.areas ? drillMode : null]
+  ].filter(([, v]) => v);
+  // Keep commas readable in state lists
+  const search = params.length
+    ? "?" + params.map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%2C/g, ",")}`).join("&")
+    : "";
+  if (search === location.search) return;
+  history[push ? "pushState" : "replaceState"](null, "", location.pathname + search + location.hash);
+}
+
+function setupHistory(geojson) {
+  window.addEventListener("popstate", async () => {
+    const s = readUrlState();
+    applyUrlState(s);
+    syncControls();
+    if (timelineTo && s.period !== currentPeriod) {
+      await timelineTo(s.period);  // redraws with that period's data
+    } else {
+      drawStates(geojson, currentMetric);
+      updateSidebar(geojson, currentMetric);
+    }
+    map.closePopup();
+    restoreFocus(geojson, s);
+  });
+}
+
+/* ---- NOTES ---- */
+// Planning notes on states ("office opening Q3", "hiring freeze"), kept in this browser's
+// localStorage and shared as a JSON file from the Notes card. States with notes get a badge
+// on the map; a state's popup lists its notes and takes new ones.
+const NOTES_KEY = "labor-map.notes";
+const NOTES_VERSION = 1;
+const NOTE_MAX_LENGTH = 280;
+let notes = [];           // [{ id, abbr, text, created_at }], oldest first
+let badgeLayer = null;    // map badges (notes and watchlist alerts)
+let notesPopup = null;    // the open popup, when it has a notes block
+
+const newNoteId = () => crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+const notesFor = abbr => notes.filter(n => n.abbr === abbr);
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// Notes from storage or an imported file, minus anything malformed or for a state not on the map
+function validNotes(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(n => n && MAPPED_ABBRS.has(n.abbr) && typeof n.text === "string" && n.text.trim())
+    .map(n => ({
+      id: typeof n.id === "string" && n.id ? n.id : newNoteId(),
+      abbr: n.abbr,
+      text: n.text.trim().slice(0, NOTE_MAX_LENGTH),
+      created_at: typeof n.created_at === "string" && !isNaN(Date.parse(n.created_at))
+        ? n.created_at : new Date().toISOString()
+    }));
+}
+
+function loadNotes() {
+  try {
+    notes = validNotes(JSON.parse(localStorage.getItem(NOTES_KEY) || "null")?.notes);
+  } catch {
+    notes = [];
+  }
+}
+
+// false when the browser won't store them (storage off or full); they last until the page closes
+function saveNotes() {
+  try {
+    localStorage.setItem(NOTES_KEY, JSON.stringify({ version: NOTES_VERSION, notes }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function notesChanged({ save = true, status = "" } = {}) {
+  const saved = !save || saveNotes();
+  renderMapBadges();
+  renderNotesCard(saved ? status : "Notes couldn't be saved in this browser; export them to keep them.");
+  refreshPopupNotes();
+}
+
+function addNote(abbr, text) {
+  const t = text.trim().slice(0, NOTE_MAX_LENGTH);
+  if (!t || !MAPPED_ABBRS.has(abbr)) return;
+  notes.push({ id: newNoteId(), abbr, text: t, created_at: new Date().toISOString() });
+  notesChanged();
+}
+
+function removeNote(id) {
+  notes = notes.filter(n => n.id !== id);
+  notesChanged();
+}
+
+// One badge per state with notes or a watchlist alert (states level only; not on the state
+// drilled into, whose counties it would cover). Clicking it opens the state's popup.
+function renderMapBadges() {
+  if (badgeLayer) { badgeLayer.remove(); badgeLayer = null; }
+  if (!geoLayer || mapLevel !== "states") return;
+  const badges = [];
+  geoLayer.eachLayer(layer => {
+    const abbr = layer.feature.properties.abbr;
+    const list = notesFor(abbr), fired = alertsFor(abbr);
+    if ((!list.length && !fired.length) || abbr === drill?.abbr) return;
+    const parts = [
+      fired.length ? `<span class="map-badge__alert">⚠</span>` : "",
+      list.length ? `<span class="map-badge__note">✎${list.length > 1 ? list.length : ""}</span>` : ""
+    ];
+    const badge = L.marker(layer.getBounds().getCenter(), {
+      icon: L.divIcon({ className: "map-badge", html: parts.join(""),
+                        iconSize: [(fired.length ? 16 : 0) + (list.length ? (list.length > 1 ? 22 : 16) : 0) + 6, 18] }),
+      title: `${abbr}: ${[...fired.map(alertText), ...list.map(n => n.text)].join(" · ")}`,
+      keyboard: false  // shapes already announce their alerts and notes (shapeLabel)
+    });
+    badge.on("click", () => layer.openPopup());
+    badges.push(badge);
+  });
+  badgeLayer = L.layerGroup(badges).addTo(map);
+}
+
+// The state's popup, from the Notes and Watchlist cards
+function openStatePopup(abbr) {
+  if (mapLevel !== "states") return renderNotesCard("Switch Areas to States to see notes and alerts on the map.");
+  geoLayer?.eachLayer(l => { if (l.feature.properties.abbr === abbr) l.openPopup(); });
+}
+
+// The notes block of a state popup (built empty by drawStates, filled when it opens)
+function renderPopupNotes(el) {
+  const abbr = el.dataset.notesFor;
+  const list = notesFor(abbr);
+  el.innerHTML =
+    (list.length ? `<ul class="popup-notes__list">${list.map(n =>
+      `<li><span>${escapeXml(n.text)}</span>
+         <button type="button" class="popup-notes__remove" data-remove-note="${escapeXml(n.id)}"
+                 aria-label="Delete note: ${escapeXml(n.text)}">×</button></li>`).join("")}</ul>` : "") +
+    `<form class="popup-notes__form">
+       <input type="text" maxlength="${NOTE_MAX_LENGTH}" placeholder="Add a note…" aria-label="Add a note for ${abbr}" />
+       <button type="submit">Add</button>
+     </form>`;
+}
+
+function refreshPopupNotes() {
+  const el = notesPopup?.getElement()?.querySelector("[data-notes-for]");
+  if (!el) return;
+  renderPopupNotes(el);
+  notesPopup.update();
+}
+
+function renderNotesCard(status = "") {
+  const list = document.getElementById("notesList");
+  if (!list) return;
+  document.getElementById("notesCount").textContent = notes.length ? plural(notes.length, "note") : "";
+  document.getElementById("notesStatus").textContent = status;
+  document.querySelectorAll("#notesCard [data-notes-act=export], #notesCard [data-notes-act=clear]")
+    .forEach(btn => { btn.disabled = !notes.length; });
+  const sorted = [...notes].sort((a, b) => a.abbr.localeCompare(b.abbr) || a.created_at.localeCompare(b.created_at));
+  list.innerHTML = sorted.map(n =>
+    `<li><button type="button" class="notes-card__state" data-note-state="${n.abbr}" title="Show on map">${n.abbr}</button>
+       <span title="${escapeXml(formatAsOf(n.created_at))}">${escapeXml(n.text)}</span>
+       <button type="button" class="notes-card__remove" data-remove-note="${escapeXml(n.id)}"
+               aria-label="Delete note: ${escapeXml(n.text)}">×</button></li>`).join("");
+}
+
+function exportNotes() {
+  const doc = { version: NOTES_VERSION, exported_at: new Date().toISOString(), notes };
+  download(`state_notes_${new Date().toISOString().slice(0, 10)}.json`,
+           new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }));
+}
+
+// Merge a file from exportNotes (or a bare array of notes); notes already here (same id) are kept
+async function importNotes(file) {
+  let doc;
+  try {
+    doc = JSON.parse(await file.text());
+  } catch {
+    return notesChanged({ save: false, status: `${file.name} isn't a JSON file.` });
+  }
+  const raw = Array.isArray(doc) ? doc : doc?.notes;
+  if (!Array.isArray(raw)) return notesChanged({ save: false, status: `${file.name} has no notes to import.` });
+  const incoming = validNotes(raw);
+  const have = new Set(notes.map(n => n.id));
+  const added = [];
+  for (const n of incoming) {
+    if (have.has(n.id)) continue;
+    have.add(n.id);
+    added.push(n);
+  }
+  notes = [...notes, ...added];
+  const skipped = raw.length - incoming.length, dupes = incoming.length - added.length;
+  notesChanged({
+    status: `Imported ${plural(added.length, "note")} from ${file.name}` +
+      (dupes ? `; ${dupes} already here` : "") + (skipped ? `; ${skipped} skipped (no text or unknown state)` : "") + "."
+  });
+}
+
+function setupNotes() {
+  const card = document.getElementById("notesCard");
+  const fileInput = document.getElementById("notesFile");
+
+  card?.addEventListener("click", e => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+    if (btn.dataset.removeNote) return removeNote(btn.dataset.removeNote);
+    if (btn.dataset.noteState) return openStatePopup(btn.dataset.noteState);
+    const act = btn.dataset.notesAct;
+    if (act === "export") exportNotes();
+    else if (act === "import") fileInput?.click();
+    else if (act === "clear" && confirm(`Delete all ${plural(notes.length, "note")}? Export them first to keep a copy.`)) {
+      notes = [];
+      notesChanged();
+    }
+  });
+  fileInput?.addEventListener("change", () => {
+    const [file] = fileInput.files;
+    fileInput.value = "";
+    if (file) importNotes(file);
+  });
+
+  map.on("popupopen", e => {
+    const el = e.popup.getElement()?.querySelector("[data-notes-for]");
+    if (!el) return;
+    notesPopup = e.popup;
+    el.onsubmit = ev => {
+      ev.preventDefault();
+      addNote(el.dataset.notesFor, el.querySelector("input")?.value || "");
+      el.querySelector("input")?.focus();
+    };
+    el.onclick = ev => {
+      const id = ev.target.closest("[data-remove-note]")?.dataset.removeNote;
+      if (id) removeNote(id);
+    };
+    renderPopupNotes(el);
+    e.popup.update();
+  });
+  map.on("popupclose", e => { if (e.popup === notesPopup) notesPopup = null; });
+
+  // Another tab added or removed notes
+  window.addEventListener("storage", e => {
+    if (e.key !== NOTES_KEY) return;
+    loadNotes();
+    notesChanged({ save: false });
+  });
+
+  renderNotesCard();
+}
+
+/* ---- WATCHLIST ---- */
+// Rules in config/watchlist.json that fired in the latest release (data/alerts.json, written
+// by fetch-bls.js with a digest next to it): listed in the Watchlist card, a ⚠ on the state's
+// map badge and a line in its popup. Like revisions, they are shown with the latest data only.
+
+function alertsFor(abbr) {
+  return currentPeriod ? [] : (alerts?.alerts || []).filter(a => a.area === abbr);
+}
+// The message without its leading "WA: " (the state is named around it)
+const alertText = a => a.message.replace(/^[A-Z]{2}: /, "");
+
+function alertPopupLines(abbr) {
+  return alertsFor(abbr).map(a => `<div class="popup-alert">⚠ ${escapeXml(alertText(a))}</div>`).join("");
+}
+
+function renderWatchlist() {
+  const card = document.getElementById("watchlistCard");
+  const list = document.getElementById("watchlistList");
+  if (!card || !list) return;
+  const fired = alerts?.alerts || [];
+  card.hidden = !fired.length;
+  if (!fired.length) return;
+  document.getElementById("watchlistMeta").textContent =
+    `${plural(fired.length, "rule")} fired · checked ${formatAsOf(alerts.checked_at)}`;
+  list.innerHTML = fired.map(a =>
+    `<li>${MAPPED_ABBRS.has(a.area)
+           ? `<button type="button" class="notes-card__state" data-alert-state="${a.area}" title="Show on map">${a.area}</button>`
+           : `<strong>${escapeXml(a.area)}</strong>`}
+       <span>${escapeXml(alertText(a))}${a.note ? ` <em>${escapeXml(a.note)}</em>` : ""}</span></li>`).join("");
+}
+
+function setupWatchlist() {
+  document.getElementById("watchlistList")?.addEventListener("click", e => {
+    const abbr = e.target.closest("[data-alert-state]")?.dataset.alertState;
+    if (abbr) openStatePopup(abbr);
+  });
+  renderWatchlist();
+}
+
+/* ---- EXPORT ---- */
+// Downloads of what is on screen: the metric table (CSV/JSON, with ranks and the U.S.
+// average), the sidebar chart (PNG) and the map with title, legend and timestamp (SVG/PNG).
+
+function download(filename, blob) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+const escapeXml = s => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const csvCell = v => v == null ? "" : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+// "unemployment_rate_latest", "wage_mean.151252_vs_unemployment_rate_2023-06"
+function exportName(metricKey) {
+  const yKey = activeCompare(metricKey);
+  return `${metricKey}${yKey ? "_vs_" + yKey : ""}_${currentPeriod || "latest"}`;
+}
+
+// One row per mapped state with each shown metric and its rank (1 = highest, 50 states + DC)
+function viewTable(geojson, metricKey) {
+  const keys = [metricKey, activeCompare(metricKey)].filter(Boolean);
+  const order = Object.fromEntries(keys.map(k =>
+    [k, metricRows(geojson, k).sort((a, b) => b.value - a.value).map(r => r.abbr)]));
+  const rows = geojson.features.map(f => f.properties).filter(p => p.abbr)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(p => {
+      const row = { state: p.name, abbr: p.abbr };
+      for (const k of keys) {
+        const v = p.metrics?.[k];
+        row[k] = typeof v === "number" && !Number.isNaN(v) ? v : null;
+        row[`${k}_rank`] = order[k].indexOf(p.abbr) + 1 || null;
+      }
+      return row;
+    });
+  const averages = Object.fromEntries(keys.map(k => [k, usAverage(metricRows(geojson, k))]));
+  return { keys, rows, averages };
+}
+
+function exportCsv(geojson, metricKey) {
+  const { keys, rows, averages } = viewTable(geojson, metricKey);
+  const header = ["state", "abbr", ...keys.flatMap(k => [k, `${k}_rank`])];
+  const avgRow = { state: "U.S. average (50 states + DC)", abbr: "US",
+                   ...Object.fromEntries(keys.map(k => [k, averages[k]])) };
+  const lines = [header, ...[...rows, avgRow].map(r => header.map(h => r[h]))].map(r => r.map(csvCell).join(","));
+  download(`${exportName(metricKey)}.csv`, new Blob([lines.join("\n") + "\n"], { type: "text/csv" }));
+}
+
+function exportJson(geojson, metricKey) {
+  const { keys, rows, averages } = viewTable(geojson, metricKey);
+  const doc = {
+    metrics: keys.map(k => ({ key: k, label: METRIC_LABELS[k] })),
+    period: currentPeriod || "latest",
+    as_of: currentPeriod ? null : (latestByAbbr.__meta?.as_of ?? null),
+    us_average: averages,
+    states: rows
+  };
+  download(`${exportName(metricKey)}.json`, new Blob([JSON.stringify(doc, null, 2)], { type: "application/json" }));
+}
+
+// Chart.js draws on a transparent canvas; flatten it onto the card background
+function exportChartPng(metricKey) {
+  const chart = window.__chart__;
+  if (!chart) return;
+  const out = document.createElement("canvas");
+  out.width = chart.canvas.width;
+  out.height = chart.canvas.height;
+  const ctx = out.getContext("2d");
+  ctx.fillStyle = "#0e1330";
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(chart.canvas, 0, 0);
+  out.toBlob(b => download(`${exportName(metricKey)}_chart.png`, b), "image/png");
+}
+
+function legendSvg(legend, x, y) {
+  if (!legend) return "";
+  const head =
+    `<text x="10" y="18" font-weight="700" font-size="12.5">${escapeXml(legend.title)}</text>
+     <text x="10" y="34" font-size="11" opacity=".75">${escapeXml(legend.sub)}</text>`;
+  let body, width, height;
+  if (legend.items) {
+    body = legend.items.map((it, i) =>
+      `<rect x="10" y="${44 + i * 18}" width="16" height="12" rx="3" fill="${it.color}"
+         ${it.outline ? `stroke="${it.outline}" stroke-width="1.5"${it.dashed ? ' stroke-dasharray="3 2"' : ""}` : 'stroke="rgba(255,255,255,.25)"'}/>
+       <text x="34" y="${54 + i * 18}" font-size="11.5">${escapeXml(it.label)}</text>`).join("");
+    width = 240;
+    height = 52 + legend.items.length * 18;
+  } else {
+    body = [2, 1, 0].flatMap((yi, row) => [0, 1, 2].map(xi =>
+      `<rect x="${30 + xi * 19}" y="${44 + row * 19}" width="18" height="18" fill="${BIVARIATE_COLORS[yi][xi]}"/>`)).join("") +
+      `<text transform="translate(22 ${44 + 57}) rotate(-90)" font-size="10.5">${escapeXml(legend.yLabel)} →</text>
+       <text x="30" y="${44 + 57 + 14}" font-size="10.5">${escapeXml(legend.xLabel)} →</text>`;
+    width = 260;
+    height = 130;
+  }
+  return `<g transform="translate(${x - width} ${y})" fill="#e9ecff" font-family="system-ui, sans-serif">
+    <rect width="${width}" height="${height}" rx="10" fill="rgba(15,21,48,0.85)" stroke="#2b3262"/>
+    ${head}${body}</g>`;
+}
+
+// The map's vector layers as one standalone SVG, with title, legend and timestamp
+function mapSvg(metricKey) {
+  const src = map.getPanes().overlayPane.querySelector("svg");
+  if (!src) return null;
+  const size = map.getSize();
+  // Paths are in layer pixels; crop the clone to the part of the layer in view
+  const tl = map.containerPointToLayerPoint([0, 0]);
+  const layer = src.cloneNode(true);
+  layer.removeAttribute("style");
+  layer.removeAttribute("class");
+  layer.setAttribute("viewBox", `${tl.x} ${tl.y} ${size.x} ${size.y}`);
+  layer.setAttribute("width", size.x);
+  layer.setAttribute("height", size.y);
+  layer.setAttribute("y", 44);
+
+  const yKey = activeCompare(metricKey);
+  const title = [METRIC_LABELS[metricKey] + (yKey ? ` × ${METRIC_LABELS[yKey]}` : ""),
+                 drill ? drill.name : null,
+                 currentPeriod ? formatPeriod(currentPeriod) : null].filter(Boolean).join(" · ");
+  const updated = (document.getElementById("infoUpdated")?.textContent || "").split(" · ")[0];
+  const height = size.y + 44;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size.x}" height="${height}" viewBox="0 0 ${size.x} ${height}">
+  <rect width="100%" height="100%" fill="#0b1020"/>
+  <text x="14" y="28" fill="#e9ecff" font-family="system-ui, sans-serif" font-size="17" font-weight="700">${escapeXml(title)}</text>
+  ${new XMLSerializer().serializeToString(layer)}
+  ${legendSvg(lastLegend, size.x - 12, 56)}
+  <text x="14" y="${height - 12}" fill="#cdd2ff" font-family="system-ui, sans-serif" font-size="12">${escapeXml(updated)} · Tech Labor Insights</text>
+</svg>`;
+}
+
+function exportMap(metricKey, format) {
+  const svg = mapSvg(metricKey);
+  if (!svg) return;
+  const blob = new Blob([svg], { type: "image/svg+xml" });
+  if (format === "svg") return download(`${exportName(metricKey)}_map.svg`, blob);
+
+  // PNG: rasterize the same SVG at 2× for sharp slides
+  const img = new Image();
+  const url = URL.createObjectURL(blob);
+  img.onload = () => {
+    const scale = 2;
+    const out = document.createElement("canvas");
+    out.width = img.width * scale;
+    out.height = img.height * scale;
+    const ctx = out.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0);
+    URL.revokeObjectURL(url);
+    out.toBlob(b => download(`${exportName(metricKey)}_map.png`, b), "image/png");
+  };
+  img.src = url;
+}
+
+function setupExport(geojson) {
+  const card = document.getElementById("exportCard");
+  if (!card) return;
+  card.addEventListener("click", e => {
+    const kind = e.target.closest("button")?.dataset.export;
+    if (kind === "csv") exportCsv(geojson, currentMetric);
+    else if (kind === "json") exportJson(geojson, currentMetric);
+    else if (kind === "chart") exportChartPng(currentMetric);
+    else if (kind === "map-png") exportMap(currentMetric, "png");
+    else if (kind === "map-svg") exportMap(currentMetric, "svg");
+  });
+}
+
+/* ---- ACCESSIBILITY ---- */
+// Map shapes work from the keyboard: one shape is in the tab order at a time (roving
+// tabindex), arrow keys move to the nearest shape in that direction, Enter/Space act as a
+// click and Escape closes the popup. Each shape's aria-label reads its name, value and rank.
+// The data table holds the same values as rows, sortable, for screen readers and for anyone
+// who would rather read numbers than colors.
+let keyFocus = null;       // abbr (or Census group code) of the shape in the tab order
+let dataTableSort = null;  // { key, dir: 1 | -1 }; null = map metric, highest first
+const ARROW_STEPS = { ArrowRight: [1, 0], ArrowLeft: [-1, 0], ArrowDown: [0, 1], ArrowUp: [0, -1] };
+
+// viewTable's rows for whatever the map shows: states, or Census divisions/regions
+function levelTable(geojson, metricKey) {
+  if (mapLevel === "states") return viewTable(geojson, metricKey);
+  const order = groupRows(geojson, metricKey).sort((a, b) => b.value - a.value).map(r => r.abbr);
+  const rows = levelGroups().map(g => {
+    const v = groupMetrics(geojson, g).metrics[metricKey];
+    return { state: g.name, abbr: g.code, [metricKey]: typeof v === "number" && !Number.isNaN(v) ? v : null,
+             [`${metricKey}_rank`]: order.indexOf(g.code) + 1 || null };
+  });
+  return { keys: [metricKey], rows };
+}
+
+// "California: Unemployment Rate 5.5%, 12th highest of 51"
+function shapeLabel(row, keys, ranked) {
+  const part = k => {
+    if (row[k] == null) return `${METRIC_LABELS[k]} no data`;
+    const rank = row[`${k}_rank`];
+    return `${METRIC_LABELS[k]} ${formatValue(k, row[k])}, ${rank ? `${ordinal(rank)} highest of ${ranked[k]}` : "not ranked"}`;
+  };
+  const rev = mapLevel === "states" && revisedAreas(keys[0]).get(row.abbr);
+  const z = mapOutliers.get(row.abbr);
+  const noted = mapLevel === "states" ? notesFor(row.abbr).length : 0;
+  const fired = mapLevel === "states" ? alertsFor(row.abbr) : [];
+  return `${row.state}: ${keys.map(part).join("; ")}${rev ? `; ${formatBlsPeriod(rev.period)} revised from ${formatValue(keys[0], rev.previous_value)} to ${formatValue(keys[0], rev.value)}` : ""}` +
+    (z != null ? `; outlier, ${Math.abs(z).toFixed(1)} standard deviations ${z > 0 ? "above" : "below"} the mean` : "") +
+    fired.map(a => `; watchlist alert: ${alertText(a)}`).join("") +
+    (noted ? `; ${plural(noted, "note")}` : "");
+}
+
+function shapeHasFocus() {
+  return !!geoLayer && geoLayer.getLayers().some(l => l.getElement?.() === document.activeElement);
+}
+
+function enableKeyboard(geojson, metricKey, refocus) {
+  const { keys, rows } = levelTable(geojson, metricKey);
+  const byId = Object.fromEntries(rows.map(r => [r.abbr, r]));
+  const ranked = Object.fromEntries(keys.map(k => [k, rows.filter(r => r[`${k}_rank`]).length]));
+
+  // A group with inset members (the West: contiguous states, AK, HI) has several shapes
+  const items = geoLayer.getLayers()
+    .map(layer => ({ layer, el: layer.getElement(), id: layer.feature.properties.abbr || layer.feature.properties.group?.code }))
+    .filter(it => it.el && byId[it.id])
+    .sort((a, b) => byId[a.id].state.localeCompare(byId[b.id].state));
+  if (!items.length) return;
+  if (!items.some(it => it.id === keyFocus)) keyFocus = items[0].id;
+
+  const first = it => items.find(o => o.id === it.id) === it;
+  const moveTo = it => {
+    items.forEach(o => o.el.setAttribute("tabindex", o === it ? "0" : "-1"));
+    it.el.focus();
+  };
+  // Nearest shape center in the arrow's direction, sideways distance counting double
+  const step = (from, [dx, dy]) => {
+    const at = it => map.latLngToContainerPoint(it.layer.getBounds().getCenter());
+    const origin = at(from);
+    let best = null, bestScore = Infinity;
+    for (const it of items) {
+      if (it.id === from.id) continue;
+      const p = at(it), vx = p.x - origin.x, vy = p.y - origin.y;
+      const along = vx * dx + vy * dy;
+      if (along <= 0) continue;
+      const score = along + 2 * Math.abs(vx * dy - vy * dx);
+      if (score < bestScore) { best = it; bestScore = score; }
+    }
+    return best;
+  };
+
+  for (const it of items) {
+    const { layer, el, id } = it;
+    el.setAttribute("role", "button");
+    el.setAttribute("aria-label", shapeLabel(byId[id], keys, ranked));
+    el.setAttribute("aria-describedby", "mapKeyHelp");
+    el.setAttribute("tabindex", id === keyFocus && first(it) ? "0" : "-1");
+    el.addEventListener("focus", () => { keyFocus = id; layer.setStyle({ weight: 2.2, color: "#00e5ff" }); });
+    el.addEventListener("blur",  () => restoreOutline(layer));
+    el.addEventListener("keydown", e => {
+      let next = null;
+      if (ARROW_STEPS[e.key]) next = step(it, ARROW_STEPS[e.key]);
+      else if (e.key === "Home") next = items[0];
+      else if (e.key === "End") next = items[items.length - 1];
+      else if (e.key === "Enter" || e.key === " ") {
+        // States drill down on click; regions only have a popup
+        if (layer.feature.properties.abbr) layer.fire("click");
+        else layer.openPopup();
+      } else if (e.key === "Escape") map.closePopup();
+      else return;
+      e.preventDefault();
+      if (next) moveTo(next);
+    });
+  }
+  // Redrawn under the keyboard (new metric, time slider): keep focus on the same shape
+  if (refocus) moveTo(items.find(it => it.id === keyFocus));
+}
+
+function renderDataTable(geojson, metricKey) {
+  const table = document.getElementById("dataTable");
+  const wrap = document.getElementById("dataTableWrap");
+  if (!table || !wrap || wrap.hidden) return;
+  const { keys, rows } = levelTable(geojson, metricKey);
+
+  const sort = dataTableSort && (dataTableSort.key === "state" || keys.includes(dataTableSort.key))
+    ? dataTableSort : { key: metricKey, dir: -1 };
+  // Areas without a value sort last either way
+  rows.sort((a, b) => {
+    if (sort.key === "state") return a.state.localeCompare(b.state) * sort.dir;
+    const va = a[sort.key], vb = b[sort.key];
+    if (va == null || vb == null) return (va == null) - (vb == null) || a.state.localeCompare(b.state);
+    return (va - vb) * sort.dir;
+  });
+
+  const levelName = { states: "State", divisions: "Division", regions: "Region" }[mapLevel];
+  const ariaSort = k => k !== sort.key ? "none" : sort.dir < 0 ? "descending" : "ascending";
+  const arrow = k => k !== sort.key ? "" : sort.dir < 0 ? " ▼" : " ▲";
+  const header = (k, label) =>
+    `<th scope="col" aria-sort="${ariaSort(k)}"><button type="button" data-sort="${k}">${escapeXml(label)}${arrow(k)}</button></th>`;
+  const period = currentPeriod ? formatPeriod(currentPeriod) : "latest";
+
+  table.innerHTML =
+    `<caption>${escapeXml(keys.map(k => METRIC_LABELS[k]).join(" and "))} by ${levelName.toLowerCase()}, ${period}.
+       Rank 1 is the highest${mapLevel === "states" ? " of the 50 states + DC" : ""}.</caption>
+     <thead><tr>${header("state", levelName)}${keys.map(k =>
+       `${header(k, METRIC_LABELS[k])}<th scope="col">Rank</th>`).join("")}</tr></thead>
+     <tbody>${rows.map(r =>
+       `<tr${r.abbr === detailAbbr ? ' class="is-current"' : ""}><th scope="row">${escapeXml(r.state)}</th>${keys.map(k =>
+         `<td class="num">${formatValue(k, r[k])}</td><td class="num">${r[`${k}_rank`] ?? "—"}</td>`).join("")}</tr>`
+     ).join("")}</tbody>`;
+}
+
+function setupDataTable(geojson) {
+  const toggle = document.getElementById("tableToggle");
+  const wrap = document.getElementById("dataTableWrap");
+  const table = document.getElementById("dataTable");
+  if (!toggle || !wrap || !table) return;
+
+  toggle.addEventListener("click", () => {
+    wrap.hidden = !wrap.hidden;
+    toggle.setAttribute("aria-expanded", String(!wrap.hidden));
+    toggle.textContent = wrap.hidden ? "Show data table" : "Hide data table";
+    renderDataTable(geojson, currentMetric);
+  });
+  table.addEventListener("click", e => {
+    const key = e.target.closest("button")?.dataset.sort;
+    if (!key) return;
+    // Same column flips the order; a new one starts highest first (names A–Z)
+    const active = dataTableSort || { key: currentMetric, dir: -1 };
+    dataTableSort = { key, dir: active.key === key ? -active.dir : key === "state" ? 1 : -1 };
+    renderDataTable(geojson, currentMetric);
+    table.querySelector(`[data-sort="${key}"]`)?.focus();
+  });
 }
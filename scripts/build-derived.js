@@ -0,0 +1,43 @@
+// scripts/build-derived.js
+// Compute the derived metrics in config/derived-metrics.json (cost-of-living adjusted
+// wages, wage vs. U.S. median, opportunity index, ...) from the fetched fields in
+// data/latest.json and write them back next to the raw metrics.
+// Runs as the last fetch-bls.js step; safe to re-run on its own after editing a formula.
+// Derived columns whose definition was removed are dropped.
+
+import fs from "fs";
+import path from "path";
+import { OUT_FILE, readLatest, writeLatest, publishLatest } from "./lib/latest.js";
+import { loadDerived, applyDerived } from "./lib/derived.js";
+
+const CATALOG_FILE = path.join("config", "occupations.json");
+
+function main() {
+  const derived = loadDerived();
+  const socs = JSON.parse(fs.readFileSync(CATALOG_FILE, "utf-8")).occupations.map(o => o.soc);
+  const out = readLatest();
+
+  // Forget derived columns from an earlier run before recomputing
+  const prevMetrics = out.__meta?.metrics || {};
+  const stale = Object.keys(prevMetrics).filter(k => prevMetrics[k]?.source === "derived");
+  for (const key of stale) {
+    delete prevMetrics[key];
+    for (const [abbr, rec] of Object.entries(out)) if (abbr !== "__meta") delete rec[key];
+  }
+
+  const metrics = applyDerived(out, derived, socs);
+  writeLatest(out, metrics, { fetched: false });
+
+  const flat = derived.metrics.filter(d => !d.per_occupation).length;
+  const perOcc = derived.metrics.length - flat;
+  console.log(`Wrote ${OUT_FILE} — ${Object.keys(metrics).length} derived columns ` +
+    `(${flat} area-wide, ${perOcc} per occupation × ${socs.length} occupations)`);
+  publishLatest();
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.stack || err.message || err);
+  process.exit(1);
+}
@@ -0,0 +1,22 @@
+// scripts/build-metrics.js
+// Write the metric registry (lib/metrics.js plus the derived metrics in
+// config/derived-metrics.json) to data/metrics.json and mirror it to docs/data/, where the
+// page reads labels, formats, pickers and default palettes from it.
+// Runs as a fetch-bls.js step; safe to re-run on its own after editing either source.
+
+import { REGISTRY_FILE, buildRegistry, writeRegistry } from "./lib/metrics.js";
+import { loadDerived } from "./lib/derived.js";
+
+function main() {
+  const registry = buildRegistry(loadDerived().metrics);
+  writeRegistry(registry);
+  console.log(`Wrote ${REGISTRY_FILE} — ${Object.keys(registry.metrics).length} area-wide metrics, ` +
+    `${Object.keys(registry.measures).length} per-occupation measures`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.stack || err.message || err);
+  process.exit(1);
+}
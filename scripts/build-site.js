@@ -0,0 +1,180 @@
+// scripts/build-site.js
+// Self-contained copy of the site in docs/ that needs no CDN, so the map still draws when
+// the network is down or the machine is air-gapped:
+//   docs/index.html                 the page, CDN tags swapped for vendor/ copies, every local
+//                                   script and stylesheet carrying an SRI integrity attribute
+//   docs/app.js, docs/assets/, favicon
+//   docs/config/*.json              occupation catalog, derived metrics, Census regions
+//   docs/data/metrics.json          the metric registry (labels, formats, pickers; lib/metrics.js)
+//   docs/vendor/                    Leaflet (+ its images), topojson-client, chroma-js, Chart.js,
+//                                   copied from node_modules at the versions pinned in package.json
+//   docs/data/topo/states.json      us-atlas states, simplified, each geometry with its "abbr"
+//   docs/data/topo/counties.json    us-atlas counties, simplified, each geometry with its state "abbr"
+//   docs/manifest.json              sha384 and size of every file above
+// docs/data/latest.json, history/, areas/, snapshots/, the data manifest and the watchlist
+// alerts and digest are left to the fetch scripts (they validate and mirror on every run),
+// so they are not in the manifest. Everything this script writes is in .gitignore; docs/data/
+// latest.json and metrics.json are the only tracked files under docs/.
+//
+// Usage:
+//   npm run build                   build docs/
+//   npm run build -- --check        verify docs/ against docs/manifest.json, exit 1 on a mismatch
+//
+// Env:
+//   TOPO_SIMPLIFY   share of the least significant points to drop, 0–1 (default 0.2)
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { presimplify, simplify, quantile } from "topojson-simplify";
+import { quantize } from "topojson-client";
+import { FIPS_TO_ABBR } from "./lib/states.js";
+import { buildRegistry } from "./lib/metrics.js";
+import { loadDerived } from "./lib/derived.js";
+
+const OUT_DIR = "docs";
+const MANIFEST_FILE = path.join(OUT_DIR, "manifest.json");
+
+// CDN URL in index.html -> the node_modules file that replaces it. The URLs must match
+// index.html exactly, so a version bump there without one in package.json fails the build.
+const VENDOR = [
+  { url: "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+    from: "node_modules/leaflet/dist/leaflet.css", to: "vendor/leaflet/leaflet.css" },
+  { url: "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+    from: "node_modules/leaflet/dist/leaflet.js", to: "vendor/leaflet/leaflet.js" },
+  { url: "https://cdn.jsdelivr.net/npm/topojson-client@3.1.0/dist/topojson-client.min.js",
+    from: "node_modules/topojson-client/dist/topojson-client.min.js", to: "vendor/topojson-client.min.js" },
+  { url: "https://cdn.jsdelivr.net/npm/chroma-js@2.4.2/dist/chroma.min.js",
+    from: "node_modules/chroma-js/chroma.min.js", to: "vendor/chroma.min.js" },
+  { url: "https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js",
+    from: "node_modules/chart.js/dist/chart.umd.js", to: "vendor/chart.umd.min.js" }
+];
+// Leaflet's stylesheet points at images/ next to it
+const VENDOR_DIRS = [{ from: "node_modules/leaflet/dist/images", to: "vendor/leaflet/images" }];
+
+const SITE_FILES = ["app.js", "assets/style.css", "glow_round_favicon.png"];
+
+const TOPOLOGY = [
+  { name: "states", from: "node_modules/us-atlas/states-10m.json", object: "states", abbr: id => FIPS_TO_ABBR[id] },
+  { name: "counties", from: "node_modules/us-atlas/counties-10m.json", object: "counties",
+    abbr: id => FIPS_TO_ABBR[String(id).padStart(5, "0").slice(0, 2)] }
+];
+
+const sri = (buf) => "sha384-" + crypto.createHash("sha384").update(buf).digest("base64");
+
+function copy(from, to) {
+  const dest = path.join(OUT_DIR, to);
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.copyFileSync(from, dest);
+  return to;
+}
+
+// The registry the page builds its pickers from: code and config, not fetched data
+function buildRegistryFile() {
+  const to = path.join("data", "metrics.json");
+  fs.mkdirSync(path.join(OUT_DIR, "data"), { recursive: true });
+  fs.writeFileSync(path.join(OUT_DIR, to), JSON.stringify(buildRegistry(loadDerived().metrics), null, 2));
+  return to;
+}
+
+// Simplify and tag every geometry with its state abbreviation (the page joins on it)
+function buildTopology({ name, from, object, abbr }, share) {
+  let topo = JSON.parse(fs.readFileSync(from, "utf-8"));
+  if (share > 0) {
+    topo = presimplify(topo);
+    topo = simplify(topo, quantile(topo, share));
+    // presimplify decodes to plain coordinates with each point's weight as a third one;
+    // drop the weights and quantize again like the us-atlas originals
+    topo.arcs = topo.arcs.map(arc => arc.map(([x, y]) => [x, y]));
+    topo = quantize(topo, 1e5);
+  }
+  for (const g of topo.objects[object].geometries) {
+    g.properties = { ...g.properties, abbr: abbr(g.id) ?? null };
+  }
+  const to = path.join("data", "topo", `${name}.json`);
+  fs.mkdirSync(path.join(OUT_DIR, path.dirname(to)), { recursive: true });
+  fs.writeFileSync(path.join(OUT_DIR, to), JSON.stringify(topo));
+  return to;
+}
+
+// CDN tags -> vendor/, then an integrity attribute on every local script and stylesheet
+function buildIndex() {
+  let html = fs.readFileSync("index.html", "utf-8");
+  for (const v of VENDOR) {
+    if (!html.includes(`"${v.url}"`)) throw new Error(`index.html no longer loads ${v.url}; update VENDOR in build-site.js`);
+    html = html.replaceAll(`"${v.url}"`, `"${v.to}"`);
+  }
+  const leftover = /(?:src|href)="(https?:\/\/[^"]+\.(?:js|css))"/.exec(html);
+  if (leftover) throw new Error(`index.html loads ${leftover[1]}, which has no vendored copy`);
+
+  html = html.replace(/<(script|link)\b([^>]*?)\s(src|href)="([^"]+)"([^>]*)>/g, (tag, el, before, attr, url, after) => {
+    const file = path.join(OUT_DIR, url.split("?")[0]);
+    if (/^https?:/.test(url) || !fs.existsSync(file) || /integrity=/.test(tag)) return tag;
+    if (el === "link" && !/rel="stylesheet"/.test(before + after)) return tag;
+    return `<${el}${before} ${attr}="${url}" integrity="${sri(fs.readFileSync(file))}"${after}>`;
+  });
+  fs.writeFileSync(path.join(OUT_DIR, "index.html"), html);
+  return "index.html";
+}
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(e =>
+    e.isDirectory() ? listFiles(path.join(dir, e.name)) : [path.join(dir, e.name)]);
+}
+
+function build() {
+  const share = Number(process.env.TOPO_SIMPLIFY ?? "0.2");
+  if (!(share >= 0 && share < 1)) throw new Error(`TOPO_SIMPLIFY must be in [0, 1), got ${process.env.TOPO_SIMPLIFY}`);
+  const pkg = JSON.parse(fs.readFileSync("package.json", "utf-8"));
+
+  const files = [
+    ...SITE_FILES.map(f => copy(f, f)),
+    ...fs.readdirSync("config").filter(f => f.endsWith(".json")).map(f => copy(path.join("config", f), path.join("config", f))),
+    ...VENDOR.map(v => copy(v.from, v.to)),
+    ...VENDOR_DIRS.flatMap(d => listFiles(d.from).map(f => copy(f, path.join(d.to, path.relative(d.from, f))))),
+    ...TOPOLOGY.map(t => buildTopology(t, share)),
+    buildRegistryFile()
+  ];
+  files.push(buildIndex()); // last: its integrity attributes hash the copies above
+
+  const manifest = {
+    generated_at: new Date().toISOString(),
+    libraries: Object.fromEntries(Object.entries(pkg.devDependencies || {})),
+    topo_simplify: share,
+    files: Object.fromEntries(files.sort().map(f => {
+      const buf = fs.readFileSync(path.join(OUT_DIR, f));
+      return [f.split(path.sep).join("/"), { integrity: sri(buf), bytes: buf.length }];
+    }))
+  };
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+  const bytes = Object.values(manifest.files).reduce((a, f) => a + f.bytes, 0);
+  console.log(`Built ${OUT_DIR}/ — ${files.length} files, ${(bytes / 1024).toFixed(0)} KiB (manifest: ${MANIFEST_FILE})`);
+  if (!fs.existsSync(path.join(OUT_DIR, "data", "latest.json"))) {
+    console.warn("  warning: docs/data/latest.json is missing; run npm run fetch-bls to publish data");
+  }
+}
+
+function check() {
+  if (!fs.existsSync(MANIFEST_FILE)) throw new Error(`${MANIFEST_FILE} not found; run npm run build first`);
+  const { files } = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf-8"));
+  const problems = [];
+  for (const [f, { integrity }] of Object.entries(files)) {
+    const file = path.join(OUT_DIR, f);
+    if (!fs.existsSync(file)) problems.push(`${f}: missing`);
+    else if (sri(fs.readFileSync(file)) !== integrity) problems.push(`${f}: contents changed since the build`);
+  }
+  if (problems.length) {
+    console.error(`${MANIFEST_FILE}: ${problems.length} problem(s):\n  ${problems.join("\n  ")}`);
+    process.exit(1);
+  }
+  console.log(`${MANIFEST_FILE}: all ${Object.keys(files).length} files match`);
+}
+
+try {
+  if (process.argv.includes("--check")) check();
+  else build();
+} catch (err) {
+  console.error(err.stack || err.message || err);
+  process.exit(1);
+}
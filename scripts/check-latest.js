@@ -1,19 +1,35 @@
+// scripts/check-latest.js
+// Quick look at data/latest.json: how many states have each metric (labeled from the
+// metric registry, unknown keys flagged) and a few sample records.
+
 import fs from "fs";
+import { LATEST_FILE } from "./lib/latest.js";
+import { buildRegistry } from "./lib/metrics.js";
+import { loadDerived } from "./lib/derived.js";
 
-const path = "data/latest.json";
-if (!fs.existsSync(path)) {
-  console.error("Missing data/latest.json");
+if (!fs.existsSync(LATEST_FILE)) {
+  console.error(`Missing ${LATEST_FILE}`);
   process.exit(1);
 }
-const j = JSON.parse(fs.readFileSync(path, "utf-8"));
+const j = JSON.parse(fs.readFileSync(LATEST_FILE, "utf-8"));
+const registry = buildRegistry(loadDerived().metrics);
+const labelOf = (key) => {
+  const [measure, soc] = key.split(".");
+  const entry = soc ? registry.measures[measure] : registry.metrics[key];
+  return entry ? `${entry.label}${soc ? ` [${soc}]` : ""}` : "(not in the metric registry)";
+};
 
-let swCount = 0, unempCount = 0;
+// Count states with a finite value for every metric key present
+const counts = {};
 for (const [state, rec] of Object.entries(j)) {
-  if (Number.isFinite(rec?.swdev_wage)) swCount++;
-  if (Number.isFinite(rec?.unemployment_rate)) unempCount++;
+  if (state.startsWith("__") || !rec || typeof rec !== "object") continue;
+  for (const [metric, v] of Object.entries(rec)) {
+    counts[metric] = (counts[metric] || 0) + (Number.isFinite(v) ? 1 : 0);
+  }
+}
+for (const metric of Object.keys(counts).sort()) {
+  console.log(`States with ${metric} — ${labelOf(metric)}:`, counts[metric]);
 }
-console.log("States with unemployment_rate:", unempCount);
-console.log("States with swdev_wage:", swCount);
 
 // Show a few sample states
 for (const s of ["CA","TX","FL","NY","IL","WA","DC"]) {
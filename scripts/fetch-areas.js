@@ -0,0 +1,114 @@
+// scripts/fetch-areas.js
+// Sub-state areas for the map's drill-down view:
+//   LAUS county unemployment rate   LAUCN{FIPS5}0000000003        (not seasonally adjusted)
+//   LAUS metro unemployment rate    LAUMT{FIPS2}{CBSA5}00000003   (not seasonally adjusted)
+//   OEWS metro annual mean wage     OEUM00{CBSA5}000000{SOC}04    (areatype M)
+// Counties come from the us-atlas topology the map draws (the pinned package in node_modules,
+// which npm run build vendors too); metros from config/metros.json.
+// Writes one file per state: data/areas/CA.json ->
+//   { "counties": { "06001": { "name": "Alameda", "unemployment_rate": 4.9 }, ... },
+//     "metros":   { "41860": { "name": "...", "lat": .., "lon": .., "unemployment_rate": 4.1,
+//                              "wage_mean.151252": 190000, ... }, ... } }
+// A metro spanning several states is written into each of them.
+
+import fs from "fs";
+import path from "path";
+import { createBlsClient, latestValue } from "./lib/bls-client.js";
+import { STATES, FIPS_TO_ABBR } from "./lib/states.js";
+
+const OUT_DIR = path.join("data", "areas");
+const DOCS_OUT_DIR = path.join("docs", "data", "areas");
+const CATALOG_FILE = path.join("config", "occupations.json");
+const METROS_FILE = path.join("config", "metros.json");
+const COUNTIES_TOPO = path.join("node_modules", "us-atlas", "counties-10m.json");
+
+const countySeriesId = (fips5) => `LAUCN${fips5}${"0".repeat(8)}03`;
+const metroLausId = (fips2, cbsa) => `LAUMT${fips2}${cbsa}${"0".repeat(6)}03`;
+const metroOewsId = (cbsa, soc) => `OEUM00${cbsa}000000${soc}04`;
+
+// Latest value per series ID; { values, quotaHit }
+async function fetchValues(client, ids, label) {
+  const res = await client.fetchSeries(ids, { latest: true });
+  const values = {};
+  for (const [id, rows] of Object.entries(res.series)) {
+    const v = latestValue(rows);
+    if (v != null) values[id] = v;
+  }
+  for (const e of res.errors) console.warn(`${label}: ${e.code} — ${e.message}`);
+  console.log(`${label}: ${Object.keys(values).length}/${ids.length} values`);
+  return { values, quotaHit: res.quotaExceeded };
+}
+
+// County FIPS + names for the states we draw, straight from the map's topology
+function loadCounties() {
+  const topo = JSON.parse(fs.readFileSync(COUNTIES_TOPO, "utf-8"));
+  const wanted = new Set(Object.values(STATES));
+  return topo.objects.counties.geometries
+    .map(g => ({ fips: String(g.id).padStart(5, "0"), name: g.properties?.name || "" }))
+    .filter(c => wanted.has(c.fips.slice(0, 2)));
+}
+
+async function main() {
+  const client = createBlsClient();
+  const socs = JSON.parse(fs.readFileSync(CATALOG_FILE, "utf-8")).occupations.map(o => o.soc);
+  const metros = JSON.parse(fs.readFileSync(METROS_FILE, "utf-8")).metros;
+  const counties = loadCounties();
+  console.log(`Areas: ${counties.length} counties, ${metros.length} metros, ${socs.length} occupations`);
+
+  const countyRes = await fetchValues(client, counties.map(c => countySeriesId(c.fips)), "LAUS counties");
+  const metroRes = countyRes.quotaHit ? { values: {}, quotaHit: true }
+    : await fetchValues(client, metros.map(m => metroLausId(m.fips, m.cbsa)), "LAUS metros");
+  const wageRes = metroRes.quotaHit ? { values: {}, quotaHit: true }
+    : await fetchValues(client, socs.flatMap(soc => metros.map(m => metroOewsId(m.cbsa, soc))), "OEWS metros");
+
+  const byState = {};
+  const fileFor = (abbr) => (byState[abbr] ||= readExisting(abbr));
+
+  for (const c of counties) {
+    const abbr = FIPS_TO_ABBR[c.fips.slice(0, 2)];
+    const rec = (fileFor(abbr).counties[c.fips] ||= { name: c.name, unemployment_rate: null });
+    rec.name = c.name;
+    const v = countyRes.values[countySeriesId(c.fips)];
+    if (v != null) rec.unemployment_rate = v;
+  }
+
+  for (const m of metros) {
+    const values = { unemployment_rate: metroRes.values[metroLausId(m.fips, m.cbsa)] };
+    for (const soc of socs) values[`wage_mean.${soc}`] = wageRes.values[metroOewsId(m.cbsa, soc)];
+    for (const abbr of m.states) {
+      if (!STATES[abbr]) continue;
+      const rec = (fileFor(abbr).metros[m.cbsa] ||= {});
+      Object.assign(rec, { name: m.name, lat: m.lat, lon: m.lon });
+      for (const [k, v] of Object.entries(values)) {
+        if (v != null) rec[k] = v;
+        else if (!(k in rec)) rec[k] = null;
+      }
+    }
+  }
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  for (const [abbr, data] of Object.entries(byState)) {
+    fs.writeFileSync(path.join(OUT_DIR, `${abbr}.json`), JSON.stringify(data, null, 2));
+  }
+  console.log(`Wrote ${Object.keys(byState).length} state files to ${OUT_DIR}`);
+
+  if (fs.existsSync("docs")) {
+    fs.mkdirSync(DOCS_OUT_DIR, { recursive: true });
+    for (const f of fs.readdirSync(OUT_DIR)) {
+      fs.copyFileSync(path.join(OUT_DIR, f), path.join(DOCS_OUT_DIR, f));
+    }
+    console.log(`Mirrored ${DOCS_OUT_DIR}`);
+  }
+}
+
+// Merge into the previous file so a quota-cut run never blanks out older values
+function readExisting(abbr) {
+  const file = path.join(OUT_DIR, `${abbr}.json`);
+  const prev = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : {};
+  return { counties: prev.counties || {}, metros: prev.metros || {} };
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message || err);
+  process.exit(1);
+});
@@ -1,23 +1,151 @@
 // scripts/fetch-bls.js
-// Orchestrator: run OEWS first, then LAUS (both quota-friendly).
+// Orchestrator: run OEWS first, then LAUS and JOLTS (all quota-friendly), compute the
+// derived metrics and the metric registry (data/metrics.json), then validate data/latest.json
+// and only then mirror it to docs/.
+// The steps work on a staging copy; it replaces data/latest.json only when the run changed
+// something, and each such release is recorded in data/changelog.json (new periods,
+// revisions, values gone missing; see lib/changelog.js) and checked against the watchlist
+// rules in config/watchlist.json (data/alerts.json and a digest; lib/watchlist.js).
+// Both are worked out before anything is written; then the changelog, alerts and latest.json
+// are written and published together, and rolled back if any of it fails.
+// Publishing also writes the hashed snapshots and data/manifest.json the page loads them
+// through (lib/snapshots.js).
+//
+// Usage:
+//   npm run fetch-bls                      every survey
+//   npm run fetch-bls -- --only LAUS,JOLTS  just those surveys (the release runner fetches
+//                                          the one that is due); the rest keep their values
 
+import fs from "fs";
+import path from "path";
 import { spawnSync } from "child_process";
+import { LATEST_FILE, DOCS_OUT, LEGACY_KEYS, ValidationError, readLatest, checkLatest, publishLatest } from "./lib/latest.js";
+import { CHANGELOG_FILE, DOCS_CHANGELOG, diffLatest, sameData, newRelease, appendRelease } from "./lib/changelog.js";
+import { writeSnapshots } from "./lib/snapshots.js";
+import { buildRegistry } from "./lib/metrics.js";
+import { loadDerived } from "./lib/derived.js";
+import { WATCHLIST_FILE, ALERTS_FILE, ALERT_FILES, DIGEST_HTML, loadWatchlist, alertsDocument, writeAlerts } from "./lib/watchlist.js";
+
+const STAGING_FILE = path.join(".cache", "latest.staging.json");
+const CATALOG_FILE = path.join("config", "occupations.json");
+// survey -> fetch step, in run order
+const SURVEYS = {
+  OEWS:  ["OEWS (wage_mean.<soc>)", "scripts/fetch-oews.js"],
+  LAUS:  ["LAUS (unemployment_rate)", "scripts/fetch-laus.js"],
+  JOLTS: ["JOLTS (openings/hires/quits/layoffs rates)", "scripts/fetch-jolts.js"]
+};
+
+// Surveys named by --only (all of them without it)
+function surveysToFetch(args) {
+  const i = args.indexOf("--only");
+  if (i < 0) return Object.keys(SURVEYS);
+  const names = (args[i + 1] || "").split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+  const unknown = names.filter(s => !SURVEYS[s]);
+  if (!names.length || unknown.length) {
+    throw new Error(`--only takes a comma-separated list of ${Object.keys(SURVEYS).join(", ")}` +
+      (unknown.length ? `; unknown: ${unknown.join(", ")}` : ""));
+  }
+  return Object.keys(SURVEYS).filter(s => names.includes(s));
+}
+
+// What publishing a release writes (the hashed snapshots are new files the manifest only
+// points at once it is rewritten, last)
+const RELEASE_FILES = [LATEST_FILE, DOCS_OUT, CHANGELOG_FILE, DOCS_CHANGELOG,
+                       ...ALERT_FILES.flatMap(f => [f, path.join("docs", f)])];
+
+// Run fn; if it throws, put `files` back as they were (removing the ones it created)
+function withRollback(files, fn) {
+  const isFile = f => fs.existsSync(f) && fs.statSync(f).isFile();
+  const saved = files.map(f => [f, isFile(f) ? fs.readFileSync(f) : null]);
+  try {
+    return fn();
+  } catch (err) {
+    for (const [f, buf] of saved) {
+      if (buf) fs.writeFileSync(f, buf);
+      else if (isFile(f)) fs.rmSync(f);
+    }
+    throw err;
+  }
+}
 
 function run(stepName, file) {
   console.log(`\n=== ${stepName} ===`);
-  const res = spawnSync(process.execPath, [file], { stdio: "inherit", env: process.env });
+  const res = spawnSync(process.execPath, [file], {
+    stdio: "inherit",
+    env: { ...process.env, LATEST_NO_PUBLISH: "1", LATEST_OUT: STAGING_FILE }
+  });
   if (res.status !== 0) {
     throw new Error(`${stepName} failed with exit code ${res.status}`);
   }
 }
 
 async function main() {
-  run("OEWS (swdev_wage)", "scripts/fetch-oews.js");
-  run("LAUS (unemployment_rate)", "scripts/fetch-laus.js");
-  console.log("\nAll done ✅  latest.json updated and mirrored to docs/ if present.");
+  const surveys = surveysToFetch(process.argv.slice(2));
+  // Rules first: a typo in the watchlist should stop the run before it spends API quota
+  const registry = buildRegistry(loadDerived().metrics);
+  const watchlist = loadWatchlist(registry, { legacyKeys: LEGACY_KEYS });
+
+  fs.mkdirSync(path.dirname(STAGING_FILE), { recursive: true });
+  if (fs.existsSync(LATEST_FILE)) fs.copyFileSync(LATEST_FILE, STAGING_FILE);
+  else fs.rmSync(STAGING_FILE, { force: true });
+
+  try {
+    for (const survey of surveys) run(...SURVEYS[survey]);
+    run("Derived metrics", "scripts/build-derived.js");
+    run("Metric registry", "scripts/build-metrics.js");
+
+    console.log("\n=== Validate ===");
+    const { errors, warnings } = checkLatest(STAGING_FILE);
+    for (const w of warnings) console.warn(`  warning: ${w}`);
+    if (errors.length) throw new ValidationError(STAGING_FILE, errors);
+
+    console.log("\n=== Changes ===");
+    // Previous file with legacy keys migrated, so a rename doesn't read as a change
+    const prev = readLatest();
+    const next = JSON.parse(fs.readFileSync(STAGING_FILE, "utf-8"));
+    if (fs.existsSync(LATEST_FILE) && sameData(prev, next)) {
+      console.log(`No new or revised values; ${LATEST_FILE} left as it was.`);
+      writeSnapshots(); // the metric registry may still have changed
+      return;
+    }
+    const entries = diffLatest(prev, next);
+    const release = entries.length ? newRelease(entries, { asOf: next.__meta?.as_of ?? null }) : null;
+    if (release) {
+      console.log(`Release: ` +
+        Object.entries(release.counts).map(([type, n]) => `${n} ${type.replace("_", " ")}`).join(", "));
+    } else {
+      console.log("Metadata or derived values changed; no series moved, so no changelog entry.");
+    }
+
+    console.log("\n=== Watchlist ===");
+    let alerts = null;
+    if (watchlist) {
+      const occupations = JSON.parse(fs.readFileSync(CATALOG_FILE, "utf-8")).occupations || [];
+      alerts = alertsDocument(watchlist, prev, next, { registry, occupations });
+      for (const a of alerts.alerts) console.log(`  ${a.message}`);
+      console.log(`${alerts.alerts.length} of ${watchlist.length} rule(s) fired`);
+    } else {
+      console.log(`No ${WATCHLIST_FILE}; skipped.`);
+    }
+
+    console.log("\n=== Publish ===");
+    // All or nothing: a run that fails part-way leaves the previous files, so the next run
+    // still sees this release as new and records it
+    withRollback(RELEASE_FILES, () => {
+      if (release) appendRelease(release);
+      if (alerts) writeAlerts(alerts);
+      fs.copyFileSync(STAGING_FILE, LATEST_FILE);
+      publishLatest({ force: true });
+    });
+    if (release) console.log(`Recorded the release in ${CHANGELOG_FILE}`);
+    if (alerts) console.log(`Wrote ${ALERTS_FILE}; digest in ${DIGEST_HTML}`);
+    console.log("\nAll done ✅  latest.json updated, validated and mirrored to docs/ if present.");
+  } finally {
+    fs.rmSync(STAGING_FILE, { force: true });
+  }
 }
 
 main().catch(err => {
-  console.error(err.stack || err.message || err);
+  console.error(["ValidationError", "WatchlistError"].includes(err.name) ? err.message : (err.stack || err.message || err));
   process.exit(1);
 });
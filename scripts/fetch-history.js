@@ -0,0 +1,152 @@
+// scripts/fetch-history.js
+// Multi-year history for the map's time slider:
+//   LAUS statewide unemployment rate and labor force (monthly, seasonally adjusted)
+//   JOLTS openings, hires, quits and layoffs rates (monthly, seasonally adjusted; no PR)
+//   OEWS annual mean wage for every occupation in config/occupations.json (annual, datatype 04)
+//   derived metrics from config/derived-metrics.json, computed per snapshot
+// Uses startyear/endyear windows instead of latest:true. The API caps a window at
+// 20 years with a key (10 without); the shared client splits longer spans.
+//
+// Writes one snapshot per month, shaped exactly like latest.json:
+//   data/history/2024-06.json  -> { "CA": { unemployment_rate, openings_rate, "wage_mean.151252", ... }, ... }
+// plus data/history/index.json listing the periods (oldest -> newest) and
+// data/history/by-state.json with each state's full series for the detail chart:
+//   { "CA": { "unemployment_rate": [["2024-05", 5.4], ["2024-06", 5.5], ...], ... } }
+//
+// Env:
+//   HISTORY_YEARS  number of years to pull, counting the current one (default 10)
+
+import fs from "fs";
+import path from "path";
+import { createBlsClient } from "./lib/bls-client.js";
+import { STATES } from "./lib/states.js";
+import { loadDerived, applyDerived } from "./lib/derived.js";
+
+const OUT_DIR = path.join("data", "history");
+const DOCS_OUT_DIR = path.join("docs", "data", "history");
+const CATALOG_FILE = path.join("config", "occupations.json");
+
+// Same series layouts as fetch-laus.js / fetch-jolts.js / fetch-oews.js
+const lausSeriesId = (fips2, measure = "03") => `LASST${fips2}${"0".repeat(11)}${measure}`;
+const LAUS_MEASURES = { "03": "unemployment_rate", "06": "labor_force" };
+const joltsSeriesId = (fips2, element) => `JTS000000${fips2}${"0".repeat(7)}${element}R`;
+const JOLTS_ELEMENTS = { JO: "openings_rate", HI: "hires_rate", QU: "quits_rate", LD: "layoffs_rate" };
+const oewsSeriesId = (fips2, soc) => `OEUS${fips2}00000000000${soc}04`;
+
+async function main() {
+  const client = createBlsClient();
+  const years = Math.max(1, parseInt(process.env.HISTORY_YEARS || "10", 10));
+  const endyear = new Date().getFullYear();
+  const startyear = endyear - years + 1;
+  const states = Object.entries(STATES);
+  const socs = JSON.parse(fs.readFileSync(CATALOG_FILE, "utf-8")).occupations.map(o => o.soc);
+
+  console.log(`History window: ${startyear}-${endyear} (${client.tier})`);
+
+  const span = { startyear, endyear };
+  const joltsStates = states.filter(([abbr]) => abbr !== "PR");
+  const lausRes = await client.fetchSeries(
+    Object.keys(LAUS_MEASURES).flatMap(m => states.map(([_, f]) => lausSeriesId(f, m))), span
+  );
+  const joltsRes = lausRes.quotaExceeded ? lausRes : await client.fetchSeries(
+    Object.keys(JOLTS_ELEMENTS).flatMap(el => joltsStates.map(([_, f]) => joltsSeriesId(f, el))), span
+  );
+  const oewsRes = joltsRes.quotaExceeded ? joltsRes : await client.fetchSeries(
+    socs.flatMap(soc => states.map(([_, f]) => oewsSeriesId(f, soc))), span
+  );
+  // A partial history would leave holes in the slider; keep the old snapshots instead
+  if (lausRes.quotaExceeded || joltsRes.quotaExceeded || oewsRes.quotaExceeded) {
+    console.warn("History quota hit; keeping existing snapshots.");
+    return;
+  }
+  const failed = [...lausRes.errors, ...joltsRes.errors, ...oewsRes.errors];
+  if (failed.length) throw failed[0];
+  const laus = lausRes.series, jolts = joltsRes.series, oews = oewsRes.series;
+  console.log(
+    `LAUS monthly: ${Object.keys(laus).length} series; JOLTS monthly: ${Object.keys(jolts).length} series; ` +
+    `OEWS annual: ${Object.keys(oews).length} series`
+  );
+
+  // snapshots["2024-06"]["CA"] = { unemployment_rate, "wage_mean.<soc>", ... }
+  const snapshots = {};
+  for (const [abbr, fips] of states) {
+    for (const [measure, key] of Object.entries(LAUS_MEASURES)) {
+      for (const row of laus[lausSeriesId(fips, measure)] || []) {
+        if (!/^M(0[1-9]|1[0-2])$/.test(row.period)) continue; // skip M13 annual average
+        const v = parseFloat(row.value);
+        const period = `${row.year}-${row.period.slice(1)}`;
+        ((snapshots[period] ||= {})[abbr] ||= {})[key] = Number.isFinite(v) ? v : null;
+      }
+    }
+  }
+  for (const [abbr, fips] of joltsStates) {
+    for (const [el, key] of Object.entries(JOLTS_ELEMENTS)) {
+      for (const row of jolts[joltsSeriesId(fips, el)] || []) {
+        if (!/^M(0[1-9]|1[0-2])$/.test(row.period)) continue;
+        const v = parseFloat(row.value);
+        const period = `${row.year}-${row.period.slice(1)}`;
+        // LAUS defines the months on the slider; JOLTS is published later and fills in what it has
+        if (snapshots[period]?.[abbr]) snapshots[period][abbr][key] = Number.isFinite(v) ? v : null;
+      }
+    }
+  }
+
+  // OEWS is annual: each month takes the newest estimate published for its year or earlier
+  // wageByYear["wage_mean.151252"]["CA"][2023] = 185750
+  const wageByYear = {};
+  for (const soc of socs) {
+    for (const [abbr, fips] of states) {
+      for (const row of oews[oewsSeriesId(fips, soc)] || []) {
+        const v = Number(row.value);
+        if (row.value !== "" && Number.isFinite(v)) ((wageByYear[`wage_mean.${soc}`] ||= {})[abbr] ||= {})[row.year] = v;
+      }
+    }
+  }
+  const periods = Object.keys(snapshots).sort();
+  for (const period of periods) {
+    const year = Number(period.slice(0, 4));
+    for (const [abbr] of states) {
+      const rec = (snapshots[period][abbr] ||= { unemployment_rate: null });
+      for (const soc of socs) {
+        const byYear = wageByYear[`wage_mean.${soc}`]?.[abbr] || {};
+        const y = Object.keys(byYear).map(Number).filter(y => y <= year).sort((a, b) => b - a)[0];
+        rec[`wage_mean.${soc}`] = y != null ? byYear[y] : null;
+      }
+    }
+  }
+
+  // Same formulas as build-derived.js; ones needing the U.S. record (absent here) stay empty
+  const derived = loadDerived();
+  for (const period of periods) applyDerived(snapshots[period], derived, socs);
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  for (const period of periods) {
+    fs.writeFileSync(path.join(OUT_DIR, `${period}.json`), JSON.stringify(snapshots[period], null, 2));
+  }
+  const index = { as_of: new Date().toISOString(), periods };
+  fs.writeFileSync(path.join(OUT_DIR, "index.json"), JSON.stringify(index, null, 2));
+
+  const byState = {};
+  for (const period of periods) {
+    for (const [abbr, rec] of Object.entries(snapshots[period])) {
+      for (const [metric, v] of Object.entries(rec)) {
+        if (v != null) ((byState[abbr] ||= {})[metric] ||= []).push([period, v]);
+      }
+    }
+  }
+  fs.writeFileSync(path.join(OUT_DIR, "by-state.json"), JSON.stringify(byState));
+  console.log(`Wrote ${periods.length} snapshots to ${OUT_DIR} (${periods[0] || "—"} … ${periods.at(-1) || "—"})`);
+
+  if (fs.existsSync("docs")) {
+    fs.mkdirSync(DOCS_OUT_DIR, { recursive: true });
+    for (const f of fs.readdirSync(OUT_DIR)) {
+      fs.copyFileSync(path.join(OUT_DIR, f), path.join(DOCS_OUT_DIR, f));
+    }
+    console.log(`Mirrored ${DOCS_OUT_DIR}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message || err);
+  process.exit(1);
+});
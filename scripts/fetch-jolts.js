@@ -0,0 +1,95 @@
+// scripts/fetch-jolts.js
+// JOLTS state estimates (seasonally adjusted, total nonfarm) for the 50 states, DC and the U.S.:
+// job openings, hires, quits and layoffs & discharges rates, in percent.
+// JOLTS does not publish Puerto Rico.
+//
+// Series layout (21 chars):
+//   JT + seasonal(1) + industry(6) + state(2) + area(5) + sizeclass(2) + dataelement(2) + ratelevel(1)
+//   e.g. CA job openings rate: JTS000000060000000JOR     U.S.: JTS000000000000000JOR
+//
+// This year and last through the shared BLS client, for the month before the newest as well
+// (BLS revises it each release); preserves existing data if quota is hit.
+
+import { createBlsClient, monthlyRows, recentWindow } from "./lib/bls-client.js";
+import { STATES, FIPS_TO_ABBR } from "./lib/states.js";
+import { OUT_FILE, readLatest, writeLatest, publishLatest } from "./lib/latest.js";
+import { provenance, priorValues } from "./lib/schema.js";
+
+// JOLTS data element -> metric key
+const ELEMENTS = {
+  JO: "openings_rate",  // job openings / (employment + job openings)
+  HI: "hires_rate",
+  QU: "quits_rate",
+  LD: "layoffs_rate"    // layoffs and discharges
+};
+
+const NATIONAL = { abbr: "US", fips: "00" };
+
+const buildSeriesId = (fips2, element) => `JTS000000${fips2}${"0".repeat(7)}${element}R`;
+
+async function main() {
+  const client = createBlsClient();
+  const areas = [
+    ...Object.entries(STATES).filter(([abbr]) => abbr !== "PR"),
+    [NATIONAL.abbr, NATIONAL.fips]
+  ];
+  const allSeriesIds = Object.keys(ELEMENTS).flatMap(el => areas.map(([, fips]) => buildSeriesId(fips, el)));
+
+  // 4 elements × 52 areas = 208 series, two years each -> five requests keyed
+  const res = await client.fetchSeries(allSeriesIds, recentWindow());
+  if (res.quotaExceeded && !Object.keys(res.series).length) {
+    console.warn("JOLTS quota hit; preserving existing rates and continuing.");
+    writeLatest(readLatest());
+    publishLatest();
+    return;
+  }
+  if (res.quotaExceeded) console.warn("JOLTS quota hit part-way; merging the series that came back.");
+  else if (res.errors.length) throw res.errors[0]; // real error
+
+  // Merge into existing JSON (don’t clobber unemployment_rate or wage_mean.*)
+  const out = readLatest();
+  const rowsByMetric = {};
+  const priorByMetric = {};
+  const filled = {};
+
+  for (const [id, rows] of Object.entries(res.series)) {
+    // e.g., JTS000000060000000JOR
+    const fips2 = id.substring(9, 11);  // J T S 000000 {FIPS2} ...
+    const abbr = fips2 === NATIONAL.fips ? NATIONAL.abbr : FIPS_TO_ABBR[fips2];
+    const key = ELEMENTS[id.substring(18, 20)];
+    if (!abbr || !key) continue;
+
+    if (!out[abbr]) out[abbr] = {};
+    const [row, prior] = monthlyRows(rows);
+    if (!row || row.value === "") {
+      if (!(key in out[abbr])) out[abbr][key] = null;
+      continue;
+    }
+
+    const v = parseFloat(row.value);
+    out[abbr][key] = Number.isFinite(v) ? v : null;
+    if (Number.isFinite(v)) {
+      (rowsByMetric[key] ||= {})[abbr] = row;
+      if (prior) (priorByMetric[key] ||= {})[abbr] = prior;
+      filled[key] = (filled[key] || 0) + 1;
+    }
+  }
+
+  const metrics = {};
+  for (const [el, key] of Object.entries(ELEMENTS)) {
+    if (!filled[key]) continue;
+    metrics[key] = provenance("JOLTS", buildSeriesId("{fips}", el), rowsByMetric[key], {
+      national_series: buildSeriesId(NATIONAL.fips, el),
+      ...priorValues(priorByMetric[key])
+    });
+  }
+  writeLatest(out, metrics);
+  const counts = Object.values(ELEMENTS).map(k => `${k} ${filled[k] || 0}`).join(", ");
+  console.log(`Wrote ${OUT_FILE} — ${counts} (of ${areas.length} areas)`);
+  publishLatest();
+}
+
+main().catch(err => {
+  console.error(err.stack || err.message || err);
+  process.exit(1);
+});
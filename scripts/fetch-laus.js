@@ -1,106 +1,82 @@
 // scripts/fetch-laus.js
-// LAUS statewide unemployment rate (seasonally adjusted) for lower-48 + DC.
-// Single POST to BLS with latest:true to minimize quota usage.
+// LAUS statewide unemployment rate and labor force (seasonally adjusted) for the 50 states,
+// DC and Puerto Rico. The labor force weights state rates into regional and U.S. averages.
+// Asks for this year and last through the shared BLS client (still three keyed requests), so
+// the month before the newest comes back too and a revision to it reaches the changelog.
 // Gracefully preserves existing data if quota is hit instead of crashing.
+// Records the series' period, footnotes and preliminary flag in __meta.metrics.
 
-import fs from "fs";
-import path from "path";
-import axios from "axios";
+import { createBlsClient, monthlyRows, recentWindow } from "./lib/bls-client.js";
+import { STATES, FIPS_TO_ABBR } from "./lib/states.js";
+import { OUT_FILE, readLatest, writeLatest, publishLatest } from "./lib/latest.js";
+import { provenance, priorValues } from "./lib/schema.js";
 
-const OUT_FILE = path.join("data", "latest.json");
-const DOCS_OUT = path.join("docs", "data", "latest.json");
+// LAUS measure code (last two digits of the series ID) -> latest.json field
+const MEASURES = { "03": "unemployment_rate", "06": "labor_force" };
 
-// Lower-48 + DC FIPS (skip AK=02, HI=15)
-const STATES = {
-  AL:"01", AZ:"04", AR:"05", CA:"06", CO:"08", CT:"09", DE:"10", FL:"12",
-  GA:"13", ID:"16", IL:"17", IN:"18", IA:"19", KS:"20", KY:"21", LA:"22",
-  ME:"23", MD:"24", MA:"25", MI:"26", MN:"27", MS:"28", MO:"29", MT:"30",
-  NE:"31", NV:"32", NH:"33", NJ:"34", NM:"35", NY:"36", NC:"37", ND:"38",
-  OH:"39", OK:"40", OR:"41", PA:"42", RI:"44", SC:"45", SD:"46", TN:"47",
-  TX:"48", UT:"49", VT:"50", VA:"51", WA:"53", WV:"54", WI:"55", WY:"56", DC:"11"
-};
-
-// Build statewide SA unemployment rate ID: LASST{FIPS2}00000000000003
-function buildSeriesId(fips2) {
+// Build statewide SA series ID: LASST{FIPS2}000000000000{measure}, e.g. LASST060000000000003
+function buildSeriesId(fips2, measure = "03") {
   const area = `ST${fips2}${"0".repeat(11)}`; // ST + FIPS2 + 11 zeros
-  return `LA${"S"}${area}03`;                 // LASST..03
-}
-
-async function fetchLatest(seriesIds, key) {
-  const payload = { seriesid: seriesIds, latest: true };
-  if (key) payload.registrationkey = key;
-
-  const resp = await axios.post(
-    "https://api.bls.gov/publicAPI/v2/timeseries/data/",
-    payload,
-    { headers: { "Content-Type": "application/json" }, timeout: 30000 }
-  );
-
-  if (resp?.data?.status !== "REQUEST_SUCCEEDED") {
-    const msg = JSON.stringify(resp?.data || {}, null, 2);
-    // If quota, don't blow up the whole run — caller will handle.
-    throw new Error(`BLS API failure: ${msg}`);
-  }
-  return resp.data.Results.series || [];
+  return `LA${"S"}${area}${measure}`;         // LASST..03
 }
 
 async function main() {
-  const key = process.env.BLS_API_KEY || process.env.bls_api_key;
-  const allSeriesIds = Object.values(STATES).map(buildSeriesId);
-
-  let mergedSeries;
-  try {
-    // Single request (49 series) with latest:true keeps requests minimal
-    mergedSeries = await fetchLatest(allSeriesIds, key);
-  } catch (e) {
-    const m = String(e.message || e);
-    if (m.includes("daily threshold") || m.includes("REQUEST_NOT_PROCESSED")) {
-      console.warn("LAUS quota hit; preserving existing unemployment_rate and continuing.");
-      // Don’t write anything new, just ensure docs mirror stays in sync with existing file.
-      const out = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, "utf-8")) : {};
-      fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
-      fs.writeFileSync(OUT_FILE, JSON.stringify(out, null, 2));
-      if (fs.existsSync("docs")) {
-        fs.mkdirSync(path.dirname(DOCS_OUT), { recursive: true });
-        fs.copyFileSync(OUT_FILE, DOCS_OUT);
-      }
-      return;
-    }
-    throw e; // real error
+  const client = createBlsClient();
+  const allSeriesIds = Object.keys(MEASURES).flatMap(m => Object.values(STATES).map(f => buildSeriesId(f, m)));
+
+  // 2 × 52 series over two years -> three requests keyed (the client chunks them)
+  const res = await client.fetchSeries(allSeriesIds, recentWindow());
+  if (res.quotaExceeded && !Object.keys(res.series).length) {
+    console.warn("LAUS quota hit; preserving existing unemployment_rate and labor_force and continuing.");
+    // Don’t fetch anything new, just ensure docs mirror stays in sync with existing file.
+    writeLatest(readLatest());
+    publishLatest();
+    return;
   }
+  if (res.quotaExceeded) console.warn("LAUS quota hit part-way; merging the states that came back.");
+  else if (res.errors.length) throw res.errors[0]; // real error
 
-  // Merge into existing JSON (don’t clobber other fields like swdev_wage)
-  const out = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, "utf-8")) : {};
-  let filled = 0;
+  // Merge into existing JSON (don’t clobber other fields like wage_mean.*)
+  const out = readLatest();
+  const rowsByArea = {}; // field -> { abbr: row }
+  const priorByArea = {}; // field -> { abbr: row for the month before }
+  const filled = {};     // field -> count
 
-  for (const s of mergedSeries) {
-    const id = s.seriesID;            // e.g., LASST060000000000003
+  for (const [id, rows] of Object.entries(res.series)) {
+    // e.g., LASST060000000000003
     const fips2 = id.substring(5, 7); // L A S S T {FIPS2} ...
-    const abbr = Object.keys(STATES).find(k => STATES[k] === fips2);
-    if (!abbr) continue;
+    const abbr = FIPS_TO_ABBR[fips2];
+    const field = MEASURES[id.slice(-2)];
+    if (!abbr || !field) continue;
 
-    const row = (s.data || [])[0];    // latest:true returns one row
+    const [row, prior] = monthlyRows(rows);
     if (!row || row.value === "") {
       if (!out[abbr]) out[abbr] = {};
-      if (!("unemployment_rate" in out[abbr])) out[abbr].unemployment_rate = null;
+      if (!(field in out[abbr])) out[abbr][field] = null;
       continue;
     }
 
     const v = parseFloat(row.value);
     if (!out[abbr]) out[abbr] = {};
-    out[abbr].unemployment_rate = Number.isFinite(v) ? v : null;
-    filled++;
+    out[abbr][field] = Number.isFinite(v) ? v : null;
+    if (Number.isFinite(v)) {
+      (rowsByArea[field] ||= {})[abbr] = row;
+      if (prior) (priorByArea[field] ||= {})[abbr] = prior;
+    }
+    filled[field] = (filled[field] || 0) + 1;
   }
 
-  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
-  fs.writeFileSync(OUT_FILE, JSON.stringify(out, null, 2));
-  console.log(`Wrote ${OUT_FILE} — updated unemployment_rate for ${filled}/${Object.keys(STATES).length} states`);
-
-  if (fs.existsSync("docs")) {
-    fs.mkdirSync(path.dirname(DOCS_OUT), { recursive: true });
-    fs.copyFileSync(OUT_FILE, DOCS_OUT);
-    console.log(`Mirrored ${DOCS_OUT}`);
+  const metrics = {};
+  for (const [measure, field] of Object.entries(MEASURES)) {
+    if (!rowsByArea[field]) continue;
+    metrics[field] = provenance("LAUS", buildSeriesId("{fips}", measure), rowsByArea[field],
+                                priorValues(priorByArea[field]));
   }
+  writeLatest(out, metrics);
+  const total = Object.keys(STATES).length;
+  console.log(`Wrote ${OUT_FILE} — updated ` +
+    Object.values(MEASURES).map(f => `${f} for ${filled[f] || 0}/${total}`).join(", ") + " states");
+  publishLatest();
 }
 
 main().catch(err => {
@@ -1,187 +1,200 @@
 // scripts/fetch-oews.js
-// OEWS Annual Mean Wage for Software Developers (SOC 15-1252) by state.
-// Uses the BLS Public Data API (no file downloads).
+// OEWS wages and employment by state (plus the U.S. total) for every occupation
+// in config/occupations.json. Uses the BLS Public Data API (no file downloads).
 //
 // Correct OEWS series layout (25 chars total):
 //   OE + seasonal(1) + areatype(1) + area(7) + industry(6) + occupation(6) + datatype(2)
-// We want: seasonal=U (unadjusted), areatype=S (state),
-//          area = <FIPS2> + '00000'  (e.g., CA -> '0600000'),
+// We want: seasonal=U (unadjusted), areatype=S (state) or N (national),
+//          area = <FIPS2> + '00000'  (e.g., CA -> '0600000'; national -> '0000000'),
 //          industry=000000 (cross-industry),
-//          occupation=151252 (Software Developers),
-//          datatype=04 (Annual mean wage).
+//          occupation=<SOC> from the catalog (e.g., 151252 Software Developers),
+//          datatype = one of DATATYPES below (04 = Annual mean wage).
 //
-// Example (CA): OEUS060000000000015125204   <-- 25 chars
+// Example (CA, Software Developers): OEUS060000000000015125204   <-- 25 chars
+//
+// Output keys are "<measure>.<SOC>": "wage_mean.151252", "wage_p90.152051", ...
+// The national figures are written under the "US" key next to the states, and each
+// measure's series template, survey year and footnotes go to __meta.metrics.
+//
+// Quota: every occupation gets the CORE_DATATYPES (mean wage, employment, concentration);
+// the percentiles and standard errors are only fetched for the catalog's default
+// occupation, which keeps a full run near 80 keyed requests of the 500/day.
+// The series are chunked to the keyed/unkeyed per-request cap by lib/bls-client.js.
+//
+// Env: OEWS_DETAIL=all   fetch percentiles and standard errors for every occupation
 
 import fs from "fs";
 import path from "path";
-import axios from "axios";
+import { createBlsClient, latestValue } from "./lib/bls-client.js";
+import { STATES } from "./lib/states.js";
+import { OUT_FILE, readLatest, writeLatest, publishLatest } from "./lib/latest.js";
+import { provenance } from "./lib/schema.js";
 
-const OUT_FILE = path.join("data", "latest.json");
-const DOCS_OUT = path.join("docs", "data", "latest.json");
+const CATALOG_FILE = path.join("config", "occupations.json");
 
 // Fixed codes for this query
 const SEASONAL = "U";           // unadjusted
-const AREATYPE = "S";           // state
 const INDUSTRY = "000000";      // cross-industry (6 digits)
-const SOC = "151252";           // Software Developers
 const PRIMARY_DATATYPE = "04";  // Annual mean wage (preferred)
-// Optional fallback (hourly mean wage -> annual via *2080)
+// Optional fallback for the mean only (hourly mean wage -> annual via *2080)
 const FALLBACK_DATATYPES = ["03"];
 
-// Lower-48 + DC FIPS (skip AK=02, HI=15)
-const STATES = {
-  AL:"01", AZ:"04", AR:"05", CA:"06", CO:"08", CT:"09", DE:"10", FL:"12",
-  GA:"13", ID:"16", IL:"17", IN:"18", IA:"19", KS:"20", KY:"21", LA:"22",
-  ME:"23", MD:"24", MA:"25", MI:"26", MN:"27", MS:"28", MO:"29", MT:"30",
-  NE:"31", NV:"32", NH:"33", NJ:"34", NM:"35", NY:"36", NC:"37", ND:"38",
-  OH:"39", OK:"40", OR:"41", PA:"42", RI:"44", SC:"45", SD:"46", TN:"47",
-  TX:"48", UT:"49", VT:"50", VA:"51", WA:"53", WV:"54", WI:"55", WY:"56", DC:"11"
+// OEWS datatype -> measure name used in the output key
+const DATATYPES = {
+  "04": "wage_mean",          // annual mean wage
+  "11": "wage_p10",           // annual 10th percentile wage
+  "12": "wage_p25",           // annual 25th percentile wage
+  "13": "wage_median",        // annual median wage
+  "14": "wage_p75",           // annual 75th percentile wage
+  "15": "wage_p90",           // annual 90th percentile wage
+  "01": "employment",         // employment
+  "16": "emp_per_1000",       // employment per 1,000 jobs
+  "17": "location_quotient",  // location quotient
+  "02": "employment_rse",     // employment percent relative standard error
+  "05": "wage_rse"            // mean wage percent relative standard error
 };
 
+// Needed for every occupation: the headline wage and the weights/concentration behind it
+const CORE_DATATYPES = ["04", "01", "16", "17"];
+
+// National total: areatype N, all-zero area code
+const NATIONAL = { abbr: "US", fips: "00", areatype: "N" };
+
 // Build 7-digit OEWS area for statewide series: <FIPS2> + '00000'
 const areaFromFips = (fips2) => `${fips2}00000`;
 
 // Compose the 25-char series ID (NO ownership block)
-const makeSeriesId = (fips2, datatype) =>
-  `OE${SEASONAL}${AREATYPE}${areaFromFips(fips2)}${INDUSTRY}${SOC}${datatype}`;
-
-async function fetchLatest(seriesIds, key) {
-  const payload = { seriesid: seriesIds, latest: true, ...(key ? { registrationkey: key } : {}) };
-  const resp = await axios.post(
-    "https://api.bls.gov/publicAPI/v2/timeseries/data/",
-    payload,
-    { headers: { "Content-Type": "application/json" }, timeout: 60000 }
-  );
-  if (resp?.data?.status !== "REQUEST_SUCCEEDED") {
-    throw new Error("BLS API failure: " + JSON.stringify(resp?.data || {}, null, 2));
-  }
-  const out = {};
-  for (const s of resp.data.Results?.series || []) {
-    const row = (s.data || [])[0];
-    if (row && row.value !== "") out[s.seriesID] = Number(row.value);
+const makeSeriesId = (fips2, soc, datatype, areatype = "S") =>
+  `OE${SEASONAL}${areatype}${areaFromFips(fips2)}${INDUSTRY}${soc}${datatype}`;
+
+const metricKey = (datatype, soc) => `${DATATYPES[datatype]}.${soc}`;
+
+function loadCatalog() {
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, "utf-8"));
+  const occupations = (catalog.occupations || []).filter(o => /^\d{6}$/.test(o.soc));
+  if (!occupations.length) throw new Error(`No occupations with a 6-digit SOC in ${CATALOG_FILE}`);
+  const focus = occupations.some(o => o.soc === catalog.default) ? catalog.default : occupations[0].soc;
+  return { occupations, focus };
+}
+
+// Latest value (and its row) per series ID for the given IDs; { values, rows, quotaHit }
+async function fetchValues(client, ids, label) {
+  const res = await client.fetchSeries(ids, { latest: true });
+  const values = {};
+  const rows = {};
+  for (const [id, seriesRows] of Object.entries(res.series)) {
+    // Top-coded or suppressed cells come back as "-" / "*" with a footnote
+    const v = latestValue(seriesRows);
+    if (v != null) values[id] = v;
+    if (seriesRows[0]) rows[id] = seriesRows[0];
   }
-  return out;
+  for (const e of res.errors) console.warn(`${label}: ${e.code} — ${e.message}`);
+  console.log(`${label}: ${Object.keys(values).length}/${ids.length} values`);
+  return { values, rows, quotaHit: res.quotaExceeded };
 }
 
 async function main() {
-  const key = process.env.BLS_API_KEY || process.env.bls_api_key;
-  console.log("BLS key detected:", key ? key.slice(0, 6) + "…" : "(none)");
+  const client = createBlsClient();
+  console.log("BLS key detected:", client.key ? client.key.slice(0, 6) + "…" : "(none)");
 
+  const { occupations, focus } = loadCatalog();
   const states = Object.entries(STATES); // [ [abbr, fips2], ... ]
-
-  // Build all primary series IDs
-  const primaryIds = states.map(([_, fips]) => makeSeriesId(fips, PRIMARY_DATATYPE));
+  const areas = [...states.map(([abbr, fips]) => ({ abbr, fips, areatype: "S" })), NATIONAL];
+  const pairs = occupations.flatMap(o => areas.map(a => ({ soc: o.soc, ...a })));
+  const seriesFor = (p, dt) => makeSeriesId(p.fips, p.soc, dt, p.areatype);
+  const datatypes = Object.keys(DATATYPES);
+  const allDetail = process.env.OEWS_DETAIL === "all";
+  const datatypesFor = soc => allDetail || soc === focus ? datatypes : CORE_DATATYPES;
+  const seriesCount = pairs.reduce((n, p) => n + datatypesFor(p.soc).length, 0);
+  console.log(
+    `Catalog: ${occupations.length} occupations × ${areas.length} areas = ${seriesCount} series` +
+    ` (percentiles and standard errors for ${allDetail ? "every occupation" : focus})`
+  );
 
   // Show a couple examples — should match your working one-off test format
   console.log(
     "Sample series IDs:",
-    makeSeriesId("06", PRIMARY_DATATYPE), // CA
-    makeSeriesId("48", PRIMARY_DATATYPE)  // TX
+    makeSeriesId("06", occupations[0].soc, PRIMARY_DATATYPE), // CA
+    makeSeriesId("48", occupations[0].soc, PRIMARY_DATATYPE)  // TX
   );
 
-  // Try one POST with all 49 series
-  let valuesPrimary = {};
-  try {
-    valuesPrimary = await fetchLatest(primaryIds, key);
-  } catch (e) {
-    const msg = String(e.message || e);
-    if (msg.includes("daily threshold") || msg.includes("REQUEST_NOT_PROCESSED")) {
-      console.warn("OEWS quota hit; preserving existing swdev_wage and continuing.");
-      return mirrorExistingOnly();
-    }
-    throw e;
+  // Mean wage first so a short quota still yields the headline metric
+  const ordered = [PRIMARY_DATATYPE, ...datatypes.filter(dt => dt !== PRIMARY_DATATYPE)];
+  const primary = await fetchValues(
+    client, ordered.flatMap(dt => pairs.filter(p => datatypesFor(p.soc).includes(dt)).map(p => seriesFor(p, dt))), "OEWS"
+  );
+  if (primary.quotaHit && !Object.keys(primary.values).length) {
+    console.warn("OEWS quota hit; preserving existing wages and continuing.");
+    writeLatest(readLatest());
+    publishLatest();
+    return;
   }
 
-  // If nothing came back (unlikely now), retry in mini-batches of 10
-  if (Object.keys(valuesPrimary).length === 0) {
-    console.warn("OEWS: 0/49 values on the single POST — retrying in mini-batches of 10.");
-    valuesPrimary = {};
-    const queue = primaryIds.slice();
-    while (queue.length) {
-      const chunk = queue.splice(0, 10);
-      try {
-        const res = await fetchLatest(chunk, key);
-        Object.assign(valuesPrimary, res);
-        console.log(`Mini-batch got ${Object.keys(res).length}/${chunk.length} values`);
-      } catch (e) {
-        const msg = String(e.message || e);
-        if (msg.includes("daily threshold") || msg.includes("REQUEST_NOT_PROCESSED")) {
-          console.warn("OEWS fallback quota hit during mini-batch; preserving current results.");
-          break;
-        } else {
-          console.warn("OEWS mini-batch error (continuing):", msg);
-        }
-      }
+  // Optional fallback: hourly mean wage (03) -> convert to annual (x2080)
+  const valuesFallback = {};
+  const rowsFallback = {};
+  let missing = pairs.filter(p => !(seriesFor(p, PRIMARY_DATATYPE) in primary.values));
+  if (missing.length && !primary.quotaHit) {
+    for (const dt of FALLBACK_DATATYPES) {
+      const res = await fetchValues(client, missing.map(p => seriesFor(p, dt)), `OEWS fallback ${dt}`);
+      Object.assign(valuesFallback, res.values);
+      Object.assign(rowsFallback, res.rows);
+      missing = missing.filter(p => !(seriesFor(p, dt) in valuesFallback));
+      if (!missing.length || res.quotaHit) break;
     }
   }
 
-  // Optional fallback: hourly mean wage (03) -> convert to annual (x2080)
-  let valuesFallback = {};
-  const missing = states.filter(([_, fips]) => !(makeSeriesId(fips, PRIMARY_DATATYPE) in valuesPrimary));
-  if (missing.length && FALLBACK_DATATYPES.length) {
-    for (const dt of FALLBACK_DATATYPES) {
-      const ids = missing.map(([_, fips]) => makeSeriesId(fips, dt));
-      const queue = ids.slice();
-      while (queue.length) {
-        const chunk = queue.splice(0, 10);
-        try {
-          const res = await fetchLatest(chunk, key);
-          Object.assign(valuesFallback, res);
-        } catch (e) {
-          const msg = String(e.message || e);
-          if (msg.includes("daily threshold") || msg.includes("REQUEST_NOT_PROCESSED")) {
-            console.warn("OEWS fallback quota hit; stopping fallback attempts.");
-            break;
-          }
+  // Merge into latest.json
+  const out = readLatest();
+  const filled = {};
+  const rowsByMetric = {};  // metric -> { abbr: row } for provenance
+  const annualized = {};    // metric -> areas whose mean came from the hourly fallback
+
+  for (const p of pairs) {
+    if (!out[p.abbr]) out[p.abbr] = p.areatype === "S" ? { unemployment_rate: null } : {};
+    for (const dt of datatypesFor(p.soc)) {
+      const k = metricKey(dt, p.soc);
+      let val = primary.values[seriesFor(p, dt)];
+      let row = primary.rows[seriesFor(p, dt)];
+      if (val == null && dt === PRIMARY_DATATYPE) {
+        const hourly = valuesFallback[seriesFor(p, "03")];
+        if (Number.isFinite(hourly)) {
+          val = Math.round(hourly * 2080);
+          row = rowsFallback[seriesFor(p, "03")];
+          (annualized[k] ||= []).push(p.abbr);
         }
       }
-      // remove filled
-      for (let i = missing.length - 1; i >= 0; i--) {
-        const [_, fips] = missing[i];
-        if (makeSeriesId(fips, dt) in valuesFallback) missing.splice(i, 1);
+      if (Number.isFinite(val)) {
+        out[p.abbr][k] = val;
+        filled[k] = (filled[k] || 0) + 1;
+      } else if (!(k in out[p.abbr])) {
+        out[p.abbr][k] = null;
       }
-      if (!missing.length) break;
+      // Footnotes on suppressed/top-coded cells are provenance too
+      if (row) (rowsByMetric[k] ||= {})[p.abbr] = row;
     }
   }
 
-  // Merge into latest.json
-  const out = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, "utf-8")) : {};
-  let swCount = 0;
-
-  for (const [abbr, fips] of states) {
-    let val = valuesPrimary[makeSeriesId(fips, PRIMARY_DATATYPE)];
-    if (val == null) {
-      const hourly = valuesFallback[makeSeriesId(fips, "03")];
-      if (Number.isFinite(hourly)) val = Math.round(hourly * 2080);
-    }
-    if (!out[abbr]) out[abbr] = { unemployment_rate: null, swdev_wage: null };
-    if (Number.isFinite(val)) {
-      out[abbr].swdev_wage = val;
-      swCount++;
-    } else if (!("swdev_wage" in out[abbr])) {
-      out[abbr].swdev_wage = null;
+  const metrics = {};
+  for (const o of occupations) {
+    for (const dt of datatypesFor(o.soc)) {
+      const k = metricKey(dt, o.soc);
+      if (!filled[k]) continue;
+      metrics[k] = provenance("OEWS", makeSeriesId("{fips}", o.soc, dt), rowsByMetric[k], {
+        national_series: makeSeriesId(NATIONAL.fips, o.soc, dt, NATIONAL.areatype),
+        ...(annualized[k] ? { annualized_from_hourly: annualized[k] } : {})
+      });
     }
   }
 
-  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
-  fs.writeFileSync(OUT_FILE, JSON.stringify(out, null, 2));
-  console.log(`Wrote ${OUT_FILE} — swdev_wage filled for ${swCount}/${states.length} states`);
-
-  if (fs.existsSync("docs")) {
-    fs.mkdirSync(path.dirname(DOCS_OUT), { recursive: true });
-    fs.copyFileSync(OUT_FILE, DOCS_OUT);
-    console.log(`Mirrored ${DOCS_OUT}`);
+  writeLatest(out, metrics);
+  console.log(`Wrote ${OUT_FILE}`);
+  for (const o of occupations) {
+    const counts = datatypesFor(o.soc).map(dt => `${DATATYPES[dt]} ${filled[metricKey(dt, o.soc)] || 0}`).join(", ");
+    console.log(`  ${o.soc} ${o.title}: ${counts} (of ${areas.length} areas)`);
   }
-}
 
-function mirrorExistingOnly() {
-  const out = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, "utf-8")) : {};
-  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
-  fs.writeFileSync(OUT_FILE, JSON.stringify(out, null, 2));
-  if (fs.existsSync("docs")) {
-    fs.mkdirSync(path.dirname(DOCS_OUT), { recursive: true });
-    fs.copyFileSync(OUT_FILE, DOCS_OUT);
-  }
+  publishLatest();
 }
 
 main().catch(err => {
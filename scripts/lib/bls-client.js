@@ -0,0 +1,216 @@
+// scripts/lib/bls-client.js
+// Shared client for the BLS Public Data API v2 timeseries endpoint, used by every fetch script.
+//   - chunks series to the per-request cap (50 with a key, 25 without) and splits
+//     startyear/endyear spans into windows the API accepts (20 years keyed, 10 unkeyed)
+//   - retries network errors, 429s and 5xx responses with exponential backoff
+//   - counts requests per (Eastern) day against the keyed/unkeyed daily limits
+//   - caches each series' rows on disk, keyed by series ID + period window, so a
+//     repeat run inside the TTL spends no quota
+// Failures are BlsError objects with a `code`; nothing is stringified JSON.
+//
+// Env:
+//   BLS_API_KEY / bls_api_key   registration key (optional)
+//   BLS_API_URL                 endpoint override (the offline mock server uses this)
+//   BLS_CACHE_DIR               cache + quota ledger directory (default .cache/bls)
+//   BLS_CACHE_TTL_HOURS         how long cached series stay fresh (default 12)
+//   BLS_NO_CACHE=1              bypass the response cache (quota is still counted)
+
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+
+export const DEFAULT_API_URL = "https://api.bls.gov/publicAPI/v2/timeseries/data/";
+
+export const LIMITS = {
+  keyed:   { seriesPerRequest: 50, yearsPerRequest: 20, requestsPerDay: 500 },
+  unkeyed: { seriesPerRequest: 25, yearsPerRequest: 10, requestsPerDay: 25 }
+};
+
+// code: QUOTA_EXCEEDED | REQUEST_FAILED | HTTP_ERROR | NETWORK_ERROR | MALFORMED_RESPONSE
+export class BlsError extends Error {
+  constructor(code, message, { status = null, messages = [], seriesIds = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "BlsError";
+    this.code = code;
+    this.status = status;       // HTTP status, when there was a response
+    this.messages = messages;   // the API's own "message" array
+    this.seriesIds = seriesIds; // series in the failed request
+  }
+}
+
+export const isQuotaError = (e) => e?.code === "QUOTA_EXCEEDED";
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// BLS resets the daily count at midnight US Eastern
+const quotaDay = () => new Date().toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+export function yearWindows(start, end, size) {
+  const out = [];
+  for (let y = start; y <= end; y += size) out.push([y, Math.min(end, y + size - 1)]);
+  return out;
+}
+
+export function createBlsClient({
+  key = process.env.BLS_API_KEY || process.env.bls_api_key || null,
+  apiUrl = process.env.BLS_API_URL || DEFAULT_API_URL,
+  cacheDir = process.env.BLS_CACHE_DIR || path.join(".cache", "bls"),
+  cacheTtlHours = Number(process.env.BLS_CACHE_TTL_HOURS || 12),
+  useCache = process.env.BLS_NO_CACHE !== "1",
+  retries = 3,
+  backoffMs = 1000,
+  timeout = 60000
+} = {}) {
+  const tier = key ? "keyed" : "unkeyed";
+  const limits = LIMITS[tier];
+  const quotaFile = path.join(cacheDir, "quota.json");
+
+  /* ---- quota ledger ---- */
+  function readQuota() {
+    try {
+      const q = JSON.parse(fs.readFileSync(quotaFile, "utf-8"));
+      if (q.day === quotaDay()) return q;
+    } catch {}
+    return { day: quotaDay(), keyed: 0, unkeyed: 0 };
+  }
+  function countRequest() {
+    const q = readQuota();
+    q[tier]++;
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(quotaFile, JSON.stringify(q, null, 2));
+  }
+  function quota() {
+    const used = readQuota()[tier];
+    return { tier, used, limit: limits.requestsPerDay, remaining: Math.max(0, limits.requestsPerDay - used) };
+  }
+
+  /* ---- response cache (one file per series + window) ---- */
+  const cacheFile = (id, windowKey) => path.join(cacheDir, "series", `${id}.${windowKey}.json`);
+  function readCache(id, windowKey) {
+    if (!useCache) return null;
+    try {
+      const c = JSON.parse(fs.readFileSync(cacheFile(id, windowKey), "utf-8"));
+      if (Date.now() - Date.parse(c.fetched_at) < cacheTtlHours * 3600e3) return c.series;
+    } catch {}
+    return null;
+  }
+  function writeCache(id, windowKey, series) {
+    const file = cacheFile(id, windowKey);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ fetched_at: new Date().toISOString(), series }));
+  }
+
+  /* ---- one POST, with retries ---- */
+  async function post(seriesIds, windowOpts) {
+    if (quota().remaining <= 0) {
+      throw new BlsError("QUOTA_EXCEEDED",
+        `Local ledger: ${limits.requestsPerDay} ${tier} requests already used today`, { seriesIds });
+    }
+    const payload = { seriesid: seriesIds, ...windowOpts, ...(key ? { registrationkey: key } : {}) };
+
+    for (let attempt = 0; ; attempt++) {
+      let resp;
+      try {
+        countRequest();
+        resp = await axios.post(apiUrl, payload, {
+          headers: { "Content-Type": "application/json" }, timeout
+        });
+      } catch (e) {
+        const status = e.response?.status ?? null;
+        const transient = status == null || status === 429 || status >= 500;
+        if (transient && attempt < retries) {
+          await sleep(backoffMs * 2 ** attempt);
+          continue;
+        }
+        throw new BlsError(status == null ? "NETWORK_ERROR" : "HTTP_ERROR",
+          `BLS request failed${status ? ` with HTTP ${status}` : ""}: ${e.message}`,
+          { status, seriesIds, cause: e });
+      }
+
+      const body = resp.data;
+      const messages = Array.isArray(body?.message) ? body.message : [];
+      if (body?.status !== "REQUEST_SUCCEEDED") {
+        const quotaHit = messages.some(m => /daily threshold/i.test(m));
+        throw new BlsError(quotaHit ? "QUOTA_EXCEEDED" : "REQUEST_FAILED",
+          messages[0] || `BLS status ${body?.status ?? "(missing)"}`,
+          { status: resp.status, messages, seriesIds });
+      }
+      if (!Array.isArray(body.Results?.series)) {
+        throw new BlsError("MALFORMED_RESPONSE", "Response has no Results.series array",
+          { status: resp.status, messages, seriesIds });
+      }
+      return { series: body.Results.series, messages };
+    }
+  }
+
+  /**
+   * Fetch series, batched and cached.
+   *   opts: { latest: true } or { startyear, endyear }
+   * Returns { series: { [seriesID]: [rows...] }, messages, errors, quotaExceeded }.
+   * Rows keep the API shape ({ year, period, value, footnotes, latest? ... }). A failed
+   * batch lands in `errors` and the rest carry on; once the quota is gone, nothing more
+   * is requested.
+   */
+  async function fetchSeries(seriesIds, { latest = false, startyear, endyear } = {}) {
+    const windows = latest ? [null] : yearWindows(Number(startyear), Number(endyear), limits.yearsPerRequest);
+    const result = { series: {}, messages: [], errors: [], quotaExceeded: false };
+
+    for (const win of windows) {
+      const windowKey = win ? `${win[0]}-${win[1]}` : "latest";
+      const windowOpts = win ? { startyear: String(win[0]), endyear: String(win[1]) } : { latest: true };
+
+      const pending = [];
+      for (const id of [...new Set(seriesIds)]) {
+        const cached = readCache(id, windowKey);
+        if (cached) (result.series[id] ||= []).push(...(cached.data || []));
+        else pending.push(id);
+      }
+
+      for (const ids of chunk(pending, limits.seriesPerRequest)) {
+        if (result.quotaExceeded) break;
+        try {
+          const { series, messages } = await post(ids, windowOpts);
+          result.messages.push(...messages);
+          for (const s of series) {
+            if (!s?.seriesID) continue;
+            (result.series[s.seriesID] ||= []).push(...(s.data || []));
+            if (useCache) writeCache(s.seriesID, windowKey, s);
+          }
+        } catch (e) {
+          if (!(e instanceof BlsError)) throw e;
+          result.errors.push(e);
+          if (isQuotaError(e)) result.quotaExceeded = true;
+        }
+      }
+    }
+    return result;
+  }
+
+  return { key, tier, limits, quota, fetchSeries };
+}
+
+// Latest row's numeric value, or null for blanks, "-" (suppressed/top-coded) and the like
+export function latestValue(rows) {
+  const row = (rows || [])[0];
+  if (!row || row.value === "") return null;
+  const v = Number(row.value);
+  return Number.isFinite(v) ? v : null;
+}
+
+// Monthly rows (M01–M12; a startyear/endyear window also returns M13 annual averages), newest first
+export function monthlyRows(rows) {
+  return (rows || []).filter(r => /^M(0[1-9]|1[0-2])$/.test(r.period))
+    .sort((a, b) => `${b.year}-${b.period}`.localeCompare(`${a.year}-${a.period}`));
+}
+
+// Last year and this one: the newest month and the one before it, which BLS revises when it
+// publishes the next, even in January. latest:true would return the newest month alone.
+export function recentWindow(now = new Date()) {
+  return { startyear: now.getUTCFullYear() - 1, endyear: now.getUTCFullYear() };
+}
@@ -0,0 +1,107 @@
+// scripts/lib/calendar.js
+// The BLS release calendar in config/release-calendar.json: when each survey's next release
+// is due, as a UTC instant. Rules are "the nth weekday of every month (or of one month a
+// year)" at a wall-clock time in the calendar's timezone; explicit dates win while any is
+// still ahead. A release may carry its own "retry" in place of the calendar's (OEWS, whose
+// ~80 requests a run would spend the daily quota on hourly retries). Used by scripts/run-pipeline.js.
+
+import fs from "fs";
+import path from "path";
+
+export const CALENDAR_FILE = path.join("config", "release-calendar.json");
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+export class CalendarError extends Error {
+  constructor(message) {
+    super(`${CALENDAR_FILE}: ${message}`);
+    this.name = "CalendarError";
+  }
+}
+
+const validRetry = (r) => Number(r?.every_minutes) > 0 && Number.isInteger(r?.attempts) && r.attempts >= 0;
+
+export function loadCalendar(file = CALENDAR_FILE) {
+  const cal = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(cal.releases) || !cal.releases.length) throw new CalendarError("no releases");
+  if (cal.retry && !validRetry(cal.retry)) throw new CalendarError("retry needs every_minutes > 0 and whole attempts");
+  for (const r of cal.releases) {
+    if (!r.survey) throw new CalendarError("a release has no survey");
+    if (!/^\d{2}:\d{2}$/.test(r.time || "")) throw new CalendarError(`${r.survey}: time must be HH:MM`);
+    if (!WEEKDAYS.includes(r.rule?.weekday)) throw new CalendarError(`${r.survey}: unknown weekday "${r.rule?.weekday}"`);
+    if (!["month", "year"].includes(r.rule.every)) throw new CalendarError(`${r.survey}: rule.every must be "month" or "year"`);
+    if (r.rule.every === "year" && !(r.rule.month >= 1 && r.rule.month <= 12)) {
+      throw new CalendarError(`${r.survey}: yearly rules need a month (1–12)`);
+    }
+    const week = r.rule.week;
+    if (!(week === -1 || (Number.isInteger(week) && week >= 1 && week <= 4))) {
+      throw new CalendarError(`${r.survey}: rule.week must be 1–4 or -1`);
+    }
+    if (r.retry && !validRetry(r.retry)) throw new CalendarError(`${r.survey}: retry needs every_minutes > 0 and whole attempts`);
+    for (const d of r.dates || []) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) throw new CalendarError(`${r.survey}: date "${d}" is not YYYY-MM-DD`);
+    }
+  }
+  return { timezone: "America/New_York", delay_minutes: 0, retry: { every_minutes: 60, attempts: 0 }, ...cal };
+}
+
+// Milliseconds the zone is ahead of UTC at instant t
+function zoneOffset(t, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric",
+    hour: "numeric", minute: "numeric", second: "numeric"
+  }).formatToParts(new Date(t)).map(p => [p.type, +p.value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - t;
+}
+
+// The UTC instant of a wall-clock time in `timeZone` (second pass settles DST changeovers)
+export function zonedInstant(year, month, day, time, timeZone) {
+  const [hh, mm] = time.split(":").map(Number);
+  const wall = Date.UTC(year, month - 1, day, hh, mm);
+  let t = wall - zoneOffset(wall, timeZone);
+  t = wall - zoneOffset(t, timeZone);
+  return new Date(t);
+}
+
+// Day of the month of the nth (or last, n = -1) weekday
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month, 0));
+    return last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+  }
+  const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+}
+
+// Next instant after `from` for one release entry
+function nextOccurrence(release, timeZone, from) {
+  const listed = (release.dates || [])
+    .map(d => { const [y, m, day] = d.split("-").map(Number); return zonedInstant(y, m, day, release.time, timeZone); })
+    .filter(t => t > from)
+    .sort((a, b) => a - b);
+  if (listed.length) return listed[0];
+
+  const { every, month, weekday, week } = release.rule;
+  const wd = WEEKDAYS.indexOf(weekday);
+  let y = from.getUTCFullYear(), m = every === "year" ? month : from.getUTCMonth() + 1;
+  // Start a step back so a release earlier today (in the zone) isn't skipped by the UTC date
+  if (every === "month") { m -= 1; if (m < 1) { m = 12; y -= 1; } } else { y -= 1; }
+  for (let i = 0; i < 26; i++) {
+    const at = zonedInstant(y, m, nthWeekday(y, m, wd, week), release.time, timeZone);
+    if (at > from) return at;
+    if (every === "month") { m += 1; if (m > 12) { m = 1; y += 1; } } else { y += 1; }
+  }
+  return null;
+}
+
+/**
+ * Upcoming releases after `from`, soonest first: [{ survey, title, at: Date, retry }]
+ * (one per calendar entry; retry is the release's own or the calendar's).
+ */
+export function upcomingReleases(calendar, from = new Date()) {
+  return calendar.releases
+    .map(r => ({ survey: r.survey, title: r.title || r.survey, at: nextOccurrence(r, calendar.timezone, from),
+                 retry: r.retry || calendar.retry }))
+    .filter(r => r.at)
+    .sort((a, b) => a.at - b.at);
+}
@@ -0,0 +1,123 @@
+// scripts/lib/changelog.js
+// Change detection between two latest.json documents, and the data-release changelog
+// (data/changelog.json, mirrored to docs/data/) that fetch-bls.js appends to:
+//   { "schema_version": 1,
+//     "releases": [ { "released_at", "as_of", "counts": { type: n }, "entries": [...] }, ... ] }
+// Newest release first. Each entry is one series (metric × area) and period:
+//   { type, metric, area, series, period, value, previous_value, preliminary, previous_period? }
+//   type "new_period"  the series moved to a later period (or has its first value)
+//        "revision"    same period, different value (LAUS revises preliminary months), or the
+//                      month before a new period, from the metric's provenance "prior" values:
+//                      BLS revises it in the release that publishes the next month
+//        "missing"     had a value, now null or gone
+// Derived metrics are left out: they follow their inputs, which have entries of their own.
+
+import fs from "fs";
+import path from "path";
+import { STATES } from "./states.js";
+
+export const CHANGELOG_FILE = path.join("data", "changelog.json");
+export const DOCS_CHANGELOG = path.join("docs", "data", "changelog.json");
+const CHANGELOG_VERSION = 1;
+// Older releases drop off the end; the history snapshots keep the values themselves
+const MAX_RELEASES = 100;
+
+const ok = (v) => typeof v === "number" && Number.isFinite(v);
+
+// "2024-M06" for the area's row, from the metric's provenance (null when unknown)
+function periodOf(prov, area) {
+  if (!prov) return null;
+  if (prov.other_periods?.[area]) return prov.other_periods[area];
+  return prov.year && prov.period ? `${prov.year}-${prov.period}` : null;
+}
+
+// Concrete series ID for one area, from the "{fips}" template in the provenance
+function seriesOf(prov, area) {
+  if (!prov?.series) return null;
+  if (area === "US") return prov.national_series ?? null;
+  return STATES[area] ? prov.series.replace("{fips}", STATES[area]) : null;
+}
+
+/**
+ * Entries for everything that changed from `prev` to `next` (both latest.json documents).
+ * Periods come from each document's own __meta.metrics, so a value that moved from
+ * June to July is a new period, and a June value that changed is a revision: either in
+ * place, or in `next`'s prior values when July arrived in the same release.
+ */
+export function diffLatest(prev, next) {
+  const prevMeta = prev.__meta?.metrics || {};
+  const nextMeta = next.__meta?.metrics || {};
+  const areas = [...new Set([...Object.keys(prev), ...Object.keys(next)])].filter(a => a !== "__meta").sort();
+  const entries = [];
+
+  for (const area of areas) {
+    const before = prev[area] || {}, after = next[area] || {};
+    const metrics = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const metric of metrics) {
+      const pProv = prevMeta[metric], nProv = nextMeta[metric];
+      if ((nProv || pProv)?.source === "derived") continue;
+      const was = ok(before[metric]) ? before[metric] : null;
+      const now = ok(after[metric]) ? after[metric] : null;
+      const wasPeriod = periodOf(pProv, area), nowPeriod = periodOf(nProv, area);
+      if (was == null && now == null) continue;
+
+      const base = { metric, area, series: seriesOf(nProv || pProv, area) };
+      if (now == null) {
+        entries.push({ type: "missing", ...base, period: wasPeriod, value: null, previous_value: was, preliminary: false });
+      } else if (was == null || nowPeriod !== wasPeriod) {
+        const prior = nProv?.prior?.[area];
+        if (was != null && prior?.period === wasPeriod && prior.value !== was) {
+          entries.push({ type: "revision", ...base, period: wasPeriod, value: prior.value, previous_value: was,
+                         preliminary: false });
+        }
+        entries.push({ type: "new_period", ...base, period: nowPeriod, value: now, previous_value: was,
+                       preliminary: !!nProv?.preliminary, previous_period: wasPeriod });
+      } else if (now !== was) {
+        entries.push({ type: "revision", ...base, period: nowPeriod ?? wasPeriod, value: now, previous_value: was,
+                       preliminary: !!nProv?.preliminary });
+      }
+    }
+  }
+  return entries;
+}
+
+// Everything but the run timestamps (as_of, fetched_at), for "did this run change anything?"
+function comparable(doc) {
+  const { __meta = {}, ...areas } = doc;
+  const metrics = Object.fromEntries(Object.entries(__meta.metrics || {})
+    .map(([k, { fetched_at, ...p }]) => [k, p]));
+  return JSON.stringify({ schema_version: __meta.schema_version, metrics, areas });
+}
+
+export function sameData(prev, next) {
+  return comparable(prev) === comparable(next);
+}
+
+export function readChangelog(file = CHANGELOG_FILE) {
+  if (!fs.existsSync(file)) return { schema_version: CHANGELOG_VERSION, releases: [] };
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+// A release record for `entries` (from diffLatest), not yet written
+export function newRelease(entries, { asOf = null } = {}) {
+  const counts = {};
+  for (const e of entries) counts[e.type] = (counts[e.type] || 0) + 1;
+  return { released_at: new Date().toISOString(), as_of: asOf, counts, entries };
+}
+
+/**
+ * Prepend `release` (from newRelease) to data/changelog.json and mirror it to docs/ (when
+ * docs/ exists). Returns the release.
+ */
+export function appendRelease(release) {
+  const log = readChangelog();
+  log.schema_version = CHANGELOG_VERSION;
+  log.releases = [release, ...(log.releases || [])].slice(0, MAX_RELEASES);
+  fs.mkdirSync(path.dirname(CHANGELOG_FILE), { recursive: true });
+  fs.writeFileSync(CHANGELOG_FILE, JSON.stringify(log, null, 2));
+  if (fs.existsSync("docs")) {
+    fs.mkdirSync(path.dirname(DOCS_CHANGELOG), { recursive: true });
+    fs.copyFileSync(CHANGELOG_FILE, DOCS_CHANGELOG);
+  }
+  return release;
+}
@@ -0,0 +1,258 @@
+// scripts/lib/derived.js
+// Derived metrics: formulas over the fields of latest.json (and bundled inputs such as
+// BEA Regional Price Parities), defined in config/derived-metrics.json.
+//
+// Formula language:
+//   numbers, + - * / and parentheses, unary minus
+//   field references       unemployment_rate, openings_rate, wage_mean.{soc}, rpp
+//                          ({soc} is filled in for definitions with "per_occupation": true)
+//   z(expr)                z-score of expr across the 50 states + DC
+//   national(field)        the "US" record's value of field, the same for every state
+// Formulas are evaluated a column at a time (one value per state). Any missing input, or
+// a division by zero, makes that state's result null. A definition may use the ones
+// listed before it.
+
+import fs from "fs";
+import path from "path";
+import { FIPS_TO_ABBR } from "./states.js";
+
+export const DERIVED_FILE = path.join("config", "derived-metrics.json");
+
+export class FormulaError extends Error {
+  constructor(message, formula, pos) {
+    super(pos == null ? `${message} in "${formula}"` : `${message} at ${pos} in "${formula}"`);
+    this.name = "FormulaError";
+    this.formula = formula;
+    this.pos = pos;
+  }
+}
+
+/* ---- parsing ---- */
+const FUNCTIONS = { z: 1, national: 1 };
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*(?:\.(?:\{soc\}|\d{6}))?)|(.))/y;
+  let m;
+  while (re.lastIndex < src.length && (m = re.exec(src))) {
+    const pos = m.index + m[0].length - (m[1] || m[2] || m[3] || "").length;
+    if (m[1]) tokens.push({ type: "num", value: Number(m[1]), pos });
+    else if (m[2]) tokens.push({ type: "ident", value: m[2], pos });
+    else if (m[3]) {
+      if (!"+-*/(),".includes(m[3])) throw new FormulaError(`Unexpected "${m[3]}"`, src, pos);
+      tokens.push({ type: m[3], pos });
+    }
+  }
+  tokens.push({ type: "end", pos: src.length });
+  return tokens;
+}
+
+/**
+ * Parse a formula into a tree of
+ *   { type: "num", value } | { type: "ref", name } | { type: "neg", arg }
+ *   { type: "+"|"-"|"*"|"/", left, right } | { type: "call", fn, args }
+ */
+export function parseFormula(src) {
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const expect = (type) => {
+    const t = tokens[i];
+    if (t.type !== type) throw new FormulaError(`Expected "${type}"`, src, t.pos);
+    i++;
+    return t;
+  };
+
+  // expr := term (("+" | "-") term)*     term := unary (("*" | "/") unary)*
+  function expr() {
+    let node = term();
+    while (peek().type === "+" || peek().type === "-") {
+      const op = tokens[i++].type;
+      node = { type: op, left: node, right: term() };
+    }
+    return node;
+  }
+  function term() {
+    let node = unary();
+    while (peek().type === "*" || peek().type === "/") {
+      const op = tokens[i++].type;
+      node = { type: op, left: node, right: unary() };
+    }
+    return node;
+  }
+  function unary() {
+    if (peek().type === "-") { i++; return { type: "neg", arg: unary() }; }
+    return primary();
+  }
+  function primary() {
+    const t = tokens[i++];
+    if (t.type === "num") return { type: "num", value: t.value };
+    if (t.type === "(") {
+      const node = expr();
+      expect(")");
+      return node;
+    }
+    if (t.type === "ident") {
+      if (peek().type !== "(") return { type: "ref", name: t.value };
+      if (!(t.value in FUNCTIONS)) throw new FormulaError(`Unknown function "${t.value}"`, src, t.pos);
+      i++;
+      const args = [expr()];
+      while (peek().type === ",") { i++; args.push(expr()); }
+      expect(")");
+      if (args.length !== FUNCTIONS[t.value]) {
+        throw new FormulaError(`${t.value}() takes ${FUNCTIONS[t.value]} argument(s)`, src, t.pos);
+      }
+      if (t.value === "national" && args[0].type !== "ref") {
+        throw new FormulaError("national() takes a field name", src, t.pos);
+      }
+      return { type: "call", fn: t.value, args };
+    }
+    throw new FormulaError(t.type === "end" ? "Unexpected end of formula" : `Unexpected "${t.type}"`, src, t.pos);
+  }
+
+  const tree = expr();
+  if (peek().type !== "end") throw new FormulaError(`Unexpected "${peek().type}"`, src, peek().pos);
+  return tree;
+}
+
+// Field names a tree reads, e.g. ["wage_mean.{soc}", "rpp"]
+export function formulaRefs(tree, out = new Set()) {
+  if (tree.type === "ref") out.add(tree.name);
+  for (const child of [tree.left, tree.right, tree.arg, ...(tree.args || [])]) {
+    if (child) formulaRefs(child, out);
+  }
+  return [...out];
+}
+
+/* ---- evaluation ---- */
+const ok = (v) => typeof v === "number" && Number.isFinite(v);
+
+function zScores(column, areas) {
+  const vals = areas.filter(a => a !== "PR").map(a => column[a]).filter(ok);
+  if (vals.length < 2) return {};
+  const mean = vals.reduce((s, v) => s + v, 0) / vals.length;
+  const sd = Math.sqrt(vals.reduce((s, v) => s + (v - mean) ** 2, 0) / vals.length);
+  if (!sd) return {};
+  return Object.fromEntries(areas.map(a => [a, ok(column[a]) ? (column[a] - mean) / sd : null]));
+}
+
+/**
+ * Evaluate a parsed formula for every area.
+ *   ctx: { areas: [abbr], lookup(name, abbr) -> number|null, soc }
+ * Returns { [abbr]: number|null }.
+ */
+export function evaluate(tree, ctx) {
+  const { areas } = ctx;
+  const name = (n) => n.replace("{soc}", ctx.soc);
+  const each = (fn) => Object.fromEntries(areas.map(a => [a, fn(a)]));
+
+  switch (tree.type) {
+    case "num":
+      return each(() => tree.value);
+    case "ref":
+      return each(a => ctx.lookup(name(tree.name), a));
+    case "neg": {
+      const x = evaluate(tree.arg, ctx);
+      return each(a => ok(x[a]) ? -x[a] : null);
+    }
+    case "call": {
+      if (tree.fn === "national") {
+        const v = ctx.lookup(name(tree.args[0].name), "US");
+        return each(() => v);
+      }
+      return zScores(evaluate(tree.args[0], ctx), areas);
+    }
+    default: {
+      const l = evaluate(tree.left, ctx), r = evaluate(tree.right, ctx);
+      return each(a => {
+        if (!ok(l[a]) || !ok(r[a])) return null;
+        if (tree.type === "+") return l[a] + r[a];
+        if (tree.type === "-") return l[a] - r[a];
+        if (tree.type === "*") return l[a] * r[a];
+        return r[a] === 0 ? null : l[a] / r[a];
+      });
+    }
+  }
+}
+
+/* ---- definitions & inputs ---- */
+// Minimal CSV: header row, "#" comment lines, no quoted commas
+export function readCsv(file) {
+  const lines = fs.readFileSync(file, "utf-8").split(/\r?\n/).filter(l => l.trim() && !l.startsWith("#"));
+  const header = lines.shift().split(",").map(s => s.trim());
+  return lines.map(l => Object.fromEntries(l.split(",").map((v, i) => [header[i], v.trim()])));
+}
+
+/**
+ * Read config/derived-metrics.json and the input tables it names.
+ * Returns { metrics: [{ ...definition, tree }], inputs: { name: { [abbr]: number } }, inputMeta }.
+ */
+export function loadDerived(file = DERIVED_FILE) {
+  if (!fs.existsSync(file)) return { metrics: [], inputs: {}, inputMeta: {} };
+  const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+
+  const inputs = {};
+  const inputMeta = {};
+  for (const [name, spec] of Object.entries(config.inputs || {})) {
+    const table = {};
+    for (const row of readCsv(spec.file)) {
+      const abbr = row.fips === "00" ? "US" : FIPS_TO_ABBR[row.fips];
+      const v = Number(row[spec.column]);
+      if (abbr && row[spec.column] !== "" && Number.isFinite(v)) table[abbr] = v;
+    }
+    inputs[name] = table;
+    inputMeta[name] = Object.fromEntries(Object.entries(spec).filter(([k]) => k !== "file" && k !== "column"));
+  }
+
+  const seen = new Set();
+  const metrics = (config.metrics || []).map(def => {
+    if (!/^[a-z][a-z0-9_]*$/.test(def.key || "")) throw new Error(`Derived metric key "${def.key}" is not snake_case`);
+    if (seen.has(def.key)) throw new Error(`Derived metric "${def.key}" is defined twice`);
+    seen.add(def.key);
+    const tree = parseFormula(def.formula);
+    if (!def.per_occupation && formulaRefs(tree).some(r => r.includes("{soc}"))) {
+      throw new FormulaError(`{soc} used outside a per_occupation metric`, def.formula);
+    }
+    return { ...def, tree };
+  });
+  return { metrics, inputs, inputMeta };
+}
+
+/**
+ * Compute every derived metric for the state records of `doc` (latest.json or a history
+ * snapshot), writing the results into those records in place.
+ *   socs: catalog SOC codes for per-occupation definitions
+ * Returns { [metricKey]: provenance } for __meta.metrics.
+ */
+export function applyDerived(doc, { metrics, inputs, inputMeta }, socs) {
+  const areas = Object.keys(doc).filter(k => k !== "__meta" && k !== "US");
+  const lookup = (name, abbr) => {
+    const v = name in inputs ? inputs[name][abbr] : doc[abbr]?.[name];
+    return ok(v) ? v : null;
+  };
+
+  const provenance = {};
+  for (const def of metrics) {
+    for (const soc of def.per_occupation ? socs : [null]) {
+      const key = soc ? `${def.key}.${soc}` : def.key;
+      const column = evaluate(def.tree, { areas, lookup, soc });
+      const filled = areas.filter(a => ok(column[a])).length;
+      // An occupation with none of the inputs yet gets no column at all
+      if (!filled) continue;
+      for (const abbr of areas) {
+        doc[abbr][key] = ok(column[abbr]) ? round(column[abbr], def.decimals ?? 4) : null;
+      }
+      const refs = formulaRefs(def.tree).map(r => soc ? r.replace("{soc}", soc) : r);
+      provenance[key] = {
+        source: "derived",
+        formula: soc ? def.formula.replaceAll("{soc}", soc) : def.formula,
+        inputs: refs,
+        areas: filled,
+        ...Object.fromEntries(refs.filter(r => inputMeta[r]).map(r => [r, inputMeta[r]]))
+      };
+    }
+  }
+  return provenance;
+}
+
+const round = (v, decimals) => Math.round(v * 10 ** decimals) / 10 ** decimals;
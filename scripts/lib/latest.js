@@ -0,0 +1,114 @@
+// scripts/lib/latest.js
+// Reading, writing and publishing data/latest.json (schema in ./schema.js).
+//   readLatest()            existing file (or an empty v1 document), legacy keys migrated
+//   writeLatest(out, prov)  stamps __meta (version, as_of, per-metric provenance) and writes
+//   publishLatest()         validates data/latest.json, mirrors it to docs/data/ and
+//                           refreshes the hashed snapshots and data/manifest.json (./snapshots.js)
+// fetch-bls.js sets LATEST_NO_PUBLISH=1 for its steps and publishes once at the end,
+// so a half-updated file never reaches docs/. It also points the steps at a staging copy
+// with LATEST_OUT, so data/latest.json is only rewritten when the run changed something.
+
+import fs from "fs";
+import path from "path";
+import { SCHEMA_VERSION, validateLatest } from "./schema.js";
+import { DERIVED_FILE } from "./derived.js";
+import { MANIFEST_FILE, writeSnapshots } from "./snapshots.js";
+
+export const LATEST_FILE = path.join("data", "latest.json");
+export const OUT_FILE = process.env.LATEST_OUT || LATEST_FILE;
+export const DOCS_OUT = path.join("docs", "data", "latest.json");
+const CATALOG_FILE = path.join("config", "occupations.json");
+
+// Metric written before the catalog existed; migrated to wage_mean.151252
+export const LEGACY_KEYS = { swdev_wage: "wage_mean.151252" };
+
+export class ValidationError extends Error {
+  constructor(file, errors) {
+    super(`${file} failed validation with ${errors.length} error(s):\n  ${errors.join("\n  ")}`);
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+export function readLatest() {
+  const out = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, "utf-8")) : {};
+  migrateLegacyKeys(out);
+  return out;
+}
+
+// Rename pre-catalog keys in place, never overwriting a value under the new key
+function migrateLegacyKeys(out) {
+  for (const [abbr, rec] of Object.entries(out)) {
+    if (abbr === "__meta" || !rec || typeof rec !== "object") continue;
+    for (const [oldKey, newKey] of Object.entries(LEGACY_KEYS)) {
+      if (!(oldKey in rec)) continue;
+      if (rec[newKey] == null) rec[newKey] = rec[oldKey];
+      delete rec[oldKey];
+    }
+  }
+}
+
+/**
+ * Write `out` with an up-to-date __meta first in the file.
+ *   metrics: { [metricKey]: provenance record } for what this run fetched or computed;
+ *            as_of only moves when something was fetched (fetched: false for recomputes)
+ */
+export function writeLatest(out, metrics = {}, { fetched = Object.keys(metrics).length > 0 } = {}) {
+  const now = new Date().toISOString();
+  const prev = out.__meta || {};
+  const meta = {
+    schema_version: SCHEMA_VERSION,
+    as_of: fetched ? now : (prev.as_of ?? null),
+    metrics: { ...(prev.metrics || {}) }
+  };
+  for (const [key, p] of Object.entries(metrics)) meta.metrics[key] = { ...p, fetched_at: now };
+
+  const { __meta, ...areas } = out;
+  const doc = { __meta: meta, ...areas };
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, JSON.stringify(doc, null, 2));
+  return doc;
+}
+
+// Catalog SOCs for the validator's stale-occupation warning; null when there is no catalog
+function catalogSocs() {
+  try {
+    return JSON.parse(fs.readFileSync(CATALOG_FILE, "utf-8")).occupations.map(o => o.soc);
+  } catch {
+    return null;
+  }
+}
+
+// Derived metric definitions (keys, ranges) so their columns count as known metrics
+function derivedDefs() {
+  try {
+    return JSON.parse(fs.readFileSync(DERIVED_FILE, "utf-8")).metrics || [];
+  } catch {
+    return [];
+  }
+}
+
+export function checkLatest(file = OUT_FILE) {
+  const json = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return validateLatest(json, { socs: catalogSocs(), derived: derivedDefs() });
+}
+
+/**
+ * Validate data/latest.json, copy it to docs/data/ (when docs/ exists) and snapshot it
+ * into the manifest. Throws ValidationError instead of publishing a file that fails the schema.
+ */
+export function publishLatest({ force = false } = {}) {
+  if (!force && process.env.LATEST_NO_PUBLISH === "1") return false;
+
+  const { errors, warnings } = checkLatest();
+  for (const w of warnings) console.warn(`  warning: ${w}`);
+  if (errors.length) throw new ValidationError(OUT_FILE, errors);
+
+  if (fs.existsSync("docs")) {
+    fs.mkdirSync(path.dirname(DOCS_OUT), { recursive: true });
+    fs.copyFileSync(OUT_FILE, DOCS_OUT);
+    console.log(`Validated and mirrored ${DOCS_OUT}`);
+  }
+  if (writeSnapshots().changed) console.log(`Updated ${MANIFEST_FILE}`);
+  return true;
+}
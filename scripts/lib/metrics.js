@@ -0,0 +1,141 @@
+// scripts/lib/metrics.js
+// The metric registry: every field latest.json can hold and how to show it. The validator
+// takes its ranges from here, and scripts/build-metrics.js expands it (plus the derived
+// metrics in config/derived-metrics.json) into data/metrics.json, which the page builds its
+// metric pickers, labels, popups, chart axes and stats from. Adding a metric means an entry
+// here and the fetch script that writes it.
+//
+// Entry fields:
+//   label             full label, as in pickers and popups ("Unemployment Rate (LAUS, %)")
+//   short             column and axis label ("Unemployment")
+//   unit              what a value counts ("%", "persons", "$ per year", ...)
+//   format, digits    how the page prints values: percent | currency | integer | number | ratio | score
+//                     (digits after the point for percent/number/ratio/score, default 1)
+//   source            LAUS | JOLTS | OEWS | derived
+//   higher_is_better  true | false | null (neither, e.g. sizes); orients diverging palettes
+//   palette           default map palette: sequential | diverging | colorblind
+//   group             picker section (null = top of the list); picker: false keeps it out
+//   aggregate         how states combine into regions and the U.S.: "mean" (weighted) | "sum",
+//                     or null when they don't (an error measure says nothing about a region)
+//   weight            weight for "mean": "labor_force", "employment.{soc}", or null
+//   rse               the measure holding this one's relative standard error, for confidence
+//                     intervals and significance tests; null when the source publishes none
+//                     (LAUS and JOLTS state figures are model-based and come without one)
+//   min, max, integer plausible range, enforced by lib/schema.js
+
+import fs from "fs";
+import path from "path";
+
+export const REGISTRY_VERSION = 1;
+export const REGISTRY_FILE = path.join("data", "metrics.json");
+export const DOCS_REGISTRY = path.join("docs", "data", "metrics.json");
+
+const rate = (label, short, source, higherIsBetter, max) => ({
+  label, short, unit: "%", format: "percent", digits: 1, source,
+  higher_is_better: higherIsBetter, palette: "sequential",
+  aggregate: "mean", weight: "labor_force", rse: null, min: 0, max
+});
+
+// Area-wide metrics: one value per state (and the U.S. where BLS publishes one)
+export const AREA_METRICS = {
+  unemployment_rate: { ...rate("Unemployment Rate (LAUS, %)", "Unemployment", "LAUS", false, 40), group: null },
+  openings_rate: { ...rate("Job Openings Rate (JOLTS, %)", "Openings", "JOLTS", true, 20), group: "Openings & turnover (JOLTS)" },
+  quits_rate:    { ...rate("Quits Rate (JOLTS, %)", "Quits", "JOLTS", true, 20), group: "Openings & turnover (JOLTS)" },
+  hires_rate:    { ...rate("Hires Rate (JOLTS, %)", "Hires", "JOLTS", true, 20), group: "Openings & turnover (JOLTS)" },
+  layoffs_rate:  { ...rate("Layoffs & Discharges Rate (JOLTS, %)", "Layoffs", "JOLTS", false, 20), group: "Openings & turnover (JOLTS)" },
+  labor_force: {
+    label: "Labor Force (LAUS)", short: "Labor force", unit: "persons", format: "integer", source: "LAUS",
+    higher_is_better: null, palette: "sequential", group: null, picker: false,
+    aggregate: "sum", weight: null, rse: null, min: 0, max: 50000000, integer: true
+  }
+};
+
+const wage = (label, short, rse = null) => ({
+  label, short, unit: "$ per year", format: "currency", source: "OEWS",
+  higher_is_better: true, palette: "sequential",
+  aggregate: "mean", weight: "employment.{soc}", rse, min: 10000, max: 1000000
+});
+
+// OEWS relative standard errors (standard error as a % of the estimate)
+const relativeError = (label, short) => ({
+  label, short, unit: "% of estimate", format: "percent", digits: 1, source: "OEWS",
+  higher_is_better: false, palette: "sequential", group: null, picker: false,
+  aggregate: null, weight: null, rse: null, min: 0, max: 100
+});
+
+// OEWS measures, written per SOC code as "<measure>.<soc>" by fetch-oews.js. Labels follow
+// the occupation title ("Software Developers Annual Mean Wage (OEWS)"). OEWS publishes
+// standard errors for the mean wage and employment only; the percentiles have none.
+export const MEASURES = {
+  wage_mean:   wage("Annual Mean Wage (OEWS)", "Annual Mean Wage", "wage_rse"),
+  wage_median: wage("Annual Median Wage (OEWS)", "Annual Median Wage"),
+  wage_p10:    wage("10th Percentile Wage (OEWS)", "10th Percentile Wage"),
+  wage_p25:    wage("25th Percentile Wage (OEWS)", "25th Percentile Wage"),
+  wage_p75:    wage("75th Percentile Wage (OEWS)", "75th Percentile Wage"),
+  wage_p90:    wage("90th Percentile Wage (OEWS)", "90th Percentile Wage"),
+  employment: {
+    label: "Employment (OEWS)", short: "Employment", unit: "jobs", format: "integer", source: "OEWS",
+    higher_is_better: null, palette: "sequential",
+    aggregate: "sum", weight: null, rse: "employment_rse", min: 0, max: 20000000, integer: true
+  },
+  emp_per_1000: {
+    label: "Jobs per 1,000 (OEWS)", short: "Jobs per 1,000", unit: "per 1,000 jobs", format: "number", digits: 2,
+    source: "OEWS", higher_is_better: null, palette: "sequential",
+    aggregate: "mean", weight: "employment.{soc}", rse: null, min: 0, max: 1000
+  },
+  location_quotient: {
+    label: "Location Quotient (OEWS)", short: "Location Quotient", unit: "× U.S. share", format: "ratio", digits: 2,
+    source: "OEWS", higher_is_better: null, palette: "diverging",
+    aggregate: "mean", weight: "employment.{soc}", rse: null, min: 0, max: 50
+  },
+  wage_rse:       relativeError("Mean Wage Relative Standard Error (OEWS)", "Wage RSE"),
+  employment_rse: relativeError("Employment Relative Standard Error (OEWS)", "Employment RSE")
+};
+
+// config/derived-metrics.json definition -> registry entry (format "number" stays a plain number)
+export function derivedEntry(def) {
+  return {
+    label: `${def.label} (${def.unit})`,
+    short: def.label,
+    unit: def.unit,
+    format: def.format || "number",
+    // "decimals" is how config/derived-metrics.json spells it (it also rounds the stored values)
+    digits: def.digits ?? def.decimals ?? (def.format === "ratio" || def.format === "score" ? 2 : 1),
+    source: "derived",
+    higher_is_better: def.higher_is_better ?? null,
+    palette: def.palette || (def.format === "score" ? "diverging" : "sequential"),
+    group: "Derived",
+    aggregate: "mean",
+    weight: def.per_occupation ? "employment.{soc}" : "labor_force",
+    rse: null,
+    min: def.min ?? null,
+    max: def.max ?? null,
+    formula: def.formula
+  };
+}
+
+/**
+ * The registry as the page reads it:
+ *   { schema_version, metrics: { key: entry }, measures: { measure: entry } }
+ * `metrics` are plain keys, `measures` apply to every occupation in the catalog.
+ *   derived: definitions from config/derived-metrics.json
+ */
+export function buildRegistry(derived = []) {
+  const metrics = { ...AREA_METRICS };
+  const measures = { ...MEASURES };
+  for (const def of derived) {
+    if (metrics[def.key] || measures[def.key]) throw new Error(`Derived metric "${def.key}" clashes with a registry metric`);
+    (def.per_occupation ? measures : metrics)[def.key] = derivedEntry(def);
+  }
+  return { schema_version: REGISTRY_VERSION, metrics, measures };
+}
+
+// Write data/metrics.json and mirror it to docs/data/ (when docs/ exists)
+export function writeRegistry(registry) {
+  fs.mkdirSync(path.dirname(REGISTRY_FILE), { recursive: true });
+  fs.writeFileSync(REGISTRY_FILE, JSON.stringify(registry, null, 2));
+  if (fs.existsSync("docs")) {
+    fs.mkdirSync(path.dirname(DOCS_REGISTRY), { recursive: true });
+    fs.copyFileSync(REGISTRY_FILE, DOCS_REGISTRY);
+  }
+}
@@ -0,0 +1,210 @@
+// scripts/lib/schema.js
+// The data/latest.json schema and its validator.
+//
+// Version 1:
+//   {
+//     "__meta": {
+//       "schema_version": 1,
+//       "as_of": "2025-09-19T14:02:11.000Z",      // last time any metric was refreshed
+//       "metrics": {
+//         "unemployment_rate": {
+//           "source": "LAUS",
+//           "series": "LASST{fips}0000000000003",   // {fips} = the area's 2-digit FIPS
+//           "year": "2025", "period": "M08", "period_name": "August",
+//           "preliminary": true,
+//           "footnotes": ["preliminary"],
+//           "footnote_codes": { "P": "preliminary" },   // BLS footnote code -> text
+//           "area_footnotes": { "CA": ["P"], ... },    // codes on each area's row
+//           "areas": 52,                            // areas with a row for the period
+//           "other_periods": { "PR": "2025-M07" },  // only areas off the common period
+//           "prior": { "CA": { "period": "2025-M07", "value": 5.4 }, ... },  // the month before, as
+//                                                   // of this release (LAUS and JOLTS; see lib/changelog.js)
+//           "fetched_at": "2025-09-19T14:02:11.000Z"
+//         },
+//         "wage_mean.151252": { "source": "OEWS", ..., "national_series": "OEUN000000000000015125204",
+//                               "annualized_from_hourly": ["WA"] }
+//       }
+//     },
+//     "CA": { "unemployment_rate": 5.5, "labor_force": 19432914, "wage_mean.151252": 185750, ... },
+//     "US": { "wage_mean.151252": 144570, ... }     // OEWS national figures
+//   }
+// Metric keys are the AREA_METRICS, "<measure>.<SOC>" (see MEASURES; both in lib/metrics.js), or derived metrics
+// from config/derived-metrics.json ("<key>" or "<key>.<SOC>"; see lib/derived.js).
+
+import { STATES } from "./states.js";
+import { AREA_METRICS, MEASURES } from "./metrics.js";
+
+export const SCHEMA_VERSION = 1;
+
+// Area-wide metrics and OEWS measures, with their plausible ranges (min, max, integer),
+// come from the metric registry
+export { AREA_METRICS, MEASURES };
+
+const PERCENTILES = ["wage_p10", "wage_p25", "wage_median", "wage_p75", "wage_p90"];
+
+export const AREA_KEYS = new Set([...Object.keys(STATES), "US"]);
+
+// Two metrics agreeing in every one of at least this many areas are treated as a copy
+const DUPLICATE_MIN_AREAS = 5;
+
+const derivedRange = (d) => d && { min: d.min ?? -Infinity, max: d.max ?? Infinity };
+
+// { measure, soc, rule } for a known key, or null
+//   derived: definitions from config/derived-metrics.json
+export function metricRule(key, derived = []) {
+  if (AREA_METRICS[key]) return { measure: key, soc: null, rule: AREA_METRICS[key] };
+  const flat = derived.find(d => !d.per_occupation && d.key === key);
+  if (flat) return { measure: key, soc: null, rule: derivedRange(flat) };
+  const m = /^([a-z0-9_]+)\.(\d{6})$/.exec(key);
+  const rule = m && (MEASURES[m[1]] || derivedRange(derived.find(d => d.per_occupation && d.key === m[1])));
+  if (!rule) return null;
+  return { measure: m[1], soc: m[2], rule };
+}
+
+/**
+ * Summarize the latest BLS row of each area's series into one provenance record.
+ *   rowsByArea: { [abbr]: row }   (rows as the API returns them)
+ * The most common year/period is reported; areas on another period are listed, and so are
+ * the footnote codes on each area's row (preliminary, top-coded, model revision, ...).
+ */
+export function provenance(source, series, rowsByArea, extra = {}) {
+  const rows = Object.entries(rowsByArea).filter(([, r]) => r);
+  const periodOf = (r) => `${r.year}-${r.period}`;
+  const tally = {};
+  for (const [, r] of rows) tally[periodOf(r)] = (tally[periodOf(r)] || 0) + 1;
+  const common = Object.keys(tally).sort((a, b) => tally[b] - tally[a] || b.localeCompare(a))[0];
+  const sample = rows.find(([, r]) => periodOf(r) === common)?.[1] || {};
+
+  const footnotes = new Set();
+  const codes = {};     // code -> text
+  const byArea = {};    // abbr -> [code]
+  let preliminary = false;
+  for (const [abbr, r] of rows) {
+    for (const f of r.footnotes || []) {
+      if (!f?.text) continue;
+      footnotes.add(f.text);
+      if (f.code) {
+        codes[f.code] = f.text;
+        (byArea[abbr] ||= []).push(f.code);
+      }
+      if (f.code === "P") preliminary = true;
+    }
+  }
+  const other = Object.fromEntries(rows.filter(([, r]) => periodOf(r) !== common).map(([a, r]) => [a, periodOf(r)]));
+
+  return {
+    source,
+    series,
+    year: sample.year ?? null,
+    period: sample.period ?? null,
+    period_name: sample.periodName ?? null,
+    preliminary,
+    footnotes: [...footnotes],
+    ...(Object.keys(byArea).length ? { footnote_codes: codes, area_footnotes: byArea } : {}),
+    areas: rows.length,
+    ...(Object.keys(other).length ? { other_periods: other } : {}),
+    ...extra
+  };
+}
+
+/**
+ * Provenance extra for the month before each area's latest row, which BLS revises with the
+ * next release: { prior: { [abbr]: { period: "2024-M05", value } } }, or {} when there are none.
+ *   priorRowsByArea: { [abbr]: row }
+ */
+export function priorValues(priorRowsByArea = {}) {
+  const prior = {};
+  for (const [abbr, r] of Object.entries(priorRowsByArea)) {
+    const v = r.value === "" ? NaN : Number(r.value);
+    if (Number.isFinite(v)) prior[abbr] = { period: `${r.year}-${r.period}`, value: v };
+  }
+  return Object.keys(prior).length ? { prior } : {};
+}
+
+/**
+ * Check a parsed latest.json. Returns { errors, warnings } (arrays of strings).
+ *   socs:    catalog SOC codes; when given, occupations outside it are warned about
+ *   derived: derived metric definitions, which become known metrics
+ */
+export function validateLatest(json, { socs = null, derived = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { errors: ["latest.json is not an object"], warnings };
+  }
+
+  const meta = json.__meta;
+  if (!meta || typeof meta !== "object") {
+    errors.push("missing __meta");
+  } else {
+    if (meta.schema_version !== SCHEMA_VERSION) {
+      errors.push(`__meta.schema_version is ${meta.schema_version ?? "(missing)"}; expected ${SCHEMA_VERSION}`);
+    }
+    if (meta.as_of != null && Number.isNaN(Date.parse(meta.as_of))) {
+      errors.push(`__meta.as_of is not a date: ${meta.as_of}`);
+    }
+  }
+
+  const columns = {}; // metric -> { abbr: value }
+  const unknown = {}; // metric -> [abbr]
+  for (const [abbr, rec] of Object.entries(json)) {
+    if (abbr === "__meta") continue;
+    if (!AREA_KEYS.has(abbr)) { errors.push(`unknown area "${abbr}"`); continue; }
+    if (!rec || typeof rec !== "object" || Array.isArray(rec)) { errors.push(`${abbr}: record is not an object`); continue; }
+
+    for (const [key, v] of Object.entries(rec)) {
+      const known = metricRule(key, derived);
+      if (!known) {
+        (unknown[key] ||= []).push(abbr);
+        if (Number.isFinite(v)) (columns[key] ||= {})[abbr] = v;
+        continue;
+      }
+      if (v === null) continue;
+      if (typeof v !== "number" || !Number.isFinite(v)) {
+        errors.push(`${abbr}.${key}: ${JSON.stringify(v)} is not a number or null`);
+        continue;
+      }
+      const { min, max, integer } = known.rule;
+      if (v < min || v > max) errors.push(`${abbr}.${key}: ${v} is outside ${min}–${max}`);
+      else if (integer && !Number.isInteger(v)) errors.push(`${abbr}.${key}: ${v} is not a whole number`);
+      (columns[key] ||= {})[abbr] = v;
+    }
+
+    for (const soc of new Set(Object.keys(rec).map(k => metricRule(k, derived)?.soc).filter(Boolean))) {
+      const p = PERCENTILES.map(m => rec[`${m}.${soc}`]);
+      for (let i = 1; i < p.length; i++) {
+        if (Number.isFinite(p[i - 1]) && Number.isFinite(p[i]) && p[i - 1] > p[i]) {
+          warnings.push(`${abbr}: ${PERCENTILES[i - 1]}.${soc} (${p[i - 1]}) is above ${PERCENTILES[i]}.${soc} (${p[i]})`);
+        }
+      }
+    }
+  }
+
+  for (const [key, abbrs] of Object.entries(unknown)) {
+    errors.push(`unknown metric "${key}" in ${abbrs.length} area(s): ${abbrs.slice(0, 5).join(", ")}${abbrs.length > 5 ? ", …" : ""}`);
+  }
+
+  // A column that matches another one everywhere both have data is almost certainly
+  // a copy (the old placeholder openings_rate was unemployment_rate under another name)
+  const keys = Object.keys(columns).sort();
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      const a = columns[keys[i]], b = columns[keys[j]];
+      const shared = Object.keys(a).filter(k => k in b);
+      if (shared.length >= DUPLICATE_MIN_AREAS && shared.every(k => a[k] === b[k])) {
+        errors.push(`"${keys[j]}" duplicates "${keys[i]}" in all ${shared.length} shared areas`);
+      }
+    }
+  }
+
+  const stale = new Set(keys.map(k => metricRule(k, derived)?.soc).filter(soc => soc && socs && !socs.includes(soc)));
+  for (const soc of stale) warnings.push(`SOC ${soc} has data but is not in the occupation catalog`);
+  const unsourced = keys.filter(k => !(k in unknown) && meta && typeof meta === "object" && !meta.metrics?.[k]);
+  if (unsourced.length) {
+    warnings.push(`${unsourced.length} metric(s) have no provenance in __meta.metrics: ` +
+      unsourced.slice(0, 5).join(", ") + (unsourced.length > 5 ? ", …" : ""));
+  }
+
+  return { errors, warnings };
+}
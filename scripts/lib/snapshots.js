@@ -0,0 +1,109 @@
+// scripts/lib/snapshots.js
+// Content-hashed copies of the published data files and the manifest that points at them,
+// so the page (and any cache in between) never has to guess whether a file is fresh:
+//   data/snapshots/latest.3f9a0c1b2d4e.json    immutable, named by the first 12 hex of its sha256
+//   data/manifest.json
+//     { "schema_version": 1, "generated_at": "...", "as_of": "...",     // as_of from latest.json
+//       "files": { "latest.json": { "path": "snapshots/latest.3f9a0c1b2d4e.json",
+//                                   "sha256": "...", "bytes": 48213 }, ... } }
+// Paths in the manifest are relative to it, so the same file works from data/ and docs/data/.
+// The manifest is only rewritten when a file changed, which keeps its ETag stable between
+// releases. Everything is mirrored to docs/data/ when docs/ exists.
+// The manifest and snapshots are runtime-only and git-ignored (every release would add a
+// hashed copy of each file): they exist where fetch-bls.js runs, e.g. under npm run serve.
+// Without a manifest the page loads the plain data files, as it did before there was one.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const MANIFEST_FILE = path.join("data", "manifest.json");
+const DATA_DIR = "data";
+const DOCS_DATA_DIR = path.join("docs", "data");
+const SNAPSHOT_DIR = "snapshots";
+const MANIFEST_VERSION = 1;
+// The files the page loads at boot; history/ and areas/ are fetched on demand and stay as they are
+export const SNAPSHOT_FILES = ["latest.json", "metrics.json", "changelog.json", "alerts.json"];
+// Older snapshots of each file kept next to the current one (a page loaded just before a
+// release may still ask for them)
+const KEEP_SNAPSHOTS = 3;
+
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+export function readManifest(file = MANIFEST_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+// Copy a file into the snapshot dirs under its hashed name (once) and describe it
+function snapshot(name) {
+  const buf = fs.readFileSync(path.join(DATA_DIR, name));
+  const hash = sha256(buf);
+  const base = path.basename(name, ".json");
+  const rel = `${SNAPSHOT_DIR}/${base}.${hash.slice(0, 12)}.json`;
+  for (const dir of mirrorDirs()) {
+    const dest = path.join(dir, rel);
+    if (fs.existsSync(dest)) continue;
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, buf);
+  }
+  return { path: rel, sha256: hash, bytes: buf.length };
+}
+
+function mirrorDirs() {
+  return fs.existsSync("docs") ? [DATA_DIR, DOCS_DATA_DIR] : [DATA_DIR];
+}
+
+// Drop all but the newest KEEP_SNAPSHOTS superseded copies of each file
+function prune(dir, current) {
+  const snapDir = path.join(dir, SNAPSHOT_DIR);
+  if (!fs.existsSync(snapDir)) return;
+  const keep = new Set(Object.values(current).map(f => path.basename(f.path)));
+  const byBase = {};
+  for (const f of fs.readdirSync(snapDir)) {
+    const m = /^(.+)\.[0-9a-f]{12}\.json$/.exec(f);
+    if (m && !keep.has(f)) (byBase[m[1]] ||= []).push(f);
+  }
+  for (const files of Object.values(byBase)) {
+    const newestFirst = files
+      .map(f => ({ f, mtime: fs.statSync(path.join(snapDir, f)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const { f } of newestFirst.slice(KEEP_SNAPSHOTS)) fs.rmSync(path.join(snapDir, f));
+  }
+}
+
+/**
+ * Snapshot the SNAPSHOT_FILES that exist and rewrite data/manifest.json if any of them
+ * changed. Returns { manifest, changed }.
+ */
+export function writeSnapshots() {
+  const files = {};
+  for (const name of SNAPSHOT_FILES) {
+    if (fs.existsSync(path.join(DATA_DIR, name))) files[name] = snapshot(name);
+  }
+
+  const prev = readManifest();
+  const same = prev && JSON.stringify(prev.files) === JSON.stringify(files);
+  if (same && mirrorDirs().every(dir => fs.existsSync(path.join(dir, "manifest.json")))) {
+    return { manifest: prev, changed: false };
+  }
+
+  let asOf = null;
+  try {
+    asOf = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "latest.json"), "utf-8")).__meta?.as_of ?? null;
+  } catch {}
+  const manifest = same ? prev : {
+    schema_version: MANIFEST_VERSION,
+    generated_at: new Date().toISOString(),
+    as_of: asOf,
+    files
+  };
+  for (const dir of mirrorDirs()) {
+    fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
+    prune(dir, files);
+  }
+  return { manifest, changed: !same };
+}
@@ -0,0 +1,99 @@
+// scripts/lib/static-server.js
+// Static file server for the site with validators, so polling the data manifest costs a
+// 304 and no body when nothing changed:
+//   ETag            strong, from the file's sha1 (cached per path until size or mtime change)
+//   Last-Modified   the file's mtime (the page falls back to it for "Updated:")
+//   Cache-Control   "immutable" for hashed snapshots (lib/snapshots.js), "no-cache" for the
+//                   rest, so browsers revalidate with If-None-Match instead of guessing
+// GET and HEAD only. Paths outside the root and dot-segments (.env, .cache/, .git/) are
+// refused, and with `allow` only the listed files and directories are served.
+
+import fs from "fs";
+import path from "path";
+import http from "http";
+import crypto from "crypto";
+
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js":   "text/javascript; charset=utf-8",
+  ".css":  "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".csv":  "text/csv; charset=utf-8",
+  ".svg":  "image/svg+xml",
+  ".png":  "image/png",
+  ".ico":  "image/x-icon"
+};
+const HASHED = /\/snapshots\/[^/]+\.[0-9a-f]{12}\.json$/;
+
+const etags = new Map(); // file -> { size, mtimeMs, etag }
+
+function etagFor(file, stat, buf) {
+  const hit = etags.get(file);
+  if (hit && hit.size === stat.size && hit.mtimeMs === stat.mtimeMs) return hit.etag;
+  const etag = `"${crypto.createHash("sha1").update(buf).digest("base64url")}"`;
+  etags.set(file, { size: stat.size, mtimeMs: stat.mtimeMs, etag });
+  return etag;
+}
+
+// Absolute file for a request path, or null when it escapes the root or names a dotfile
+function resolve(root, urlPath) {
+  let rel;
+  try {
+    rel = decodeURIComponent(urlPath.split("?")[0]);
+  } catch {
+    return null;
+  }
+  if (rel.split(/[\\/]/).some(s => s.startsWith("."))) return null;
+  const file = path.resolve(root, "." + path.posix.normalize("/" + rel));
+  if (file !== root && !file.startsWith(root + path.sep)) return null;
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) return path.join(file, "index.html");
+  return file;
+}
+
+// "data/latest.json" is allowed by "data/latest.json" or "data/"
+const allowed = (allow, rel) => allow.some(a => a.endsWith("/") ? rel.startsWith(a) : rel === a);
+
+const matches = (header, etag) => !!header && header.split(",").some(t => t.trim().replace(/^W\//, "") === etag);
+
+/**
+ * An http.Server for the files under `root` (not yet listening).
+ *   allow: paths relative to the root that may be served, "dir/" for a whole directory;
+ *          anything else is a 404. null serves every file under the root.
+ *   log:   (method, path, status) => void, called once per request
+ */
+export function createStaticServer({ root = ".", allow = null, log = () => {} } = {}) {
+  const absRoot = path.resolve(root);
+  return http.createServer((req, res) => {
+    const done = (status, headers = {}, body) => {
+      res.writeHead(status, headers);
+      res.end(req.method === "HEAD" ? undefined : body);
+      log(req.method, req.url, status);
+    };
+    if (req.method !== "GET" && req.method !== "HEAD") return done(405, { Allow: "GET, HEAD" }, "Method not allowed\n");
+
+    const file = resolve(absRoot, req.url);
+    if (!file) return done(403, { "Content-Type": "text/plain" }, "Forbidden\n");
+    const notFound = () => done(404, { "Content-Type": "text/plain" }, "Not found\n");
+    if (allow && !allowed(allow, path.relative(absRoot, file).split(path.sep).join("/"))) return notFound();
+    let stat, buf;
+    try {
+      stat = fs.statSync(file);
+      buf = fs.readFileSync(file);
+    } catch {
+      return notFound();
+    }
+
+    const etag = etagFor(file, stat, buf);
+    const headers = {
+      ETag: etag,
+      "Last-Modified": stat.mtime.toUTCString(),
+      "Cache-Control": HASHED.test(file.split(path.sep).join("/")) ? "public, max-age=31536000, immutable" : "no-cache"
+    };
+    if (matches(req.headers["if-none-match"], etag)) return done(304, headers);
+    done(200, {
+      ...headers,
+      "Content-Type": TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+      "Content-Length": buf.length
+    }, buf);
+  });
+}
@@ -0,0 +1,209 @@
+// scripts/lib/watchlist.js
+// Watchlist rules (config/watchlist.json) checked by fetch-bls.js each time it publishes a
+// new latest.json, against the file it replaces:
+//   { "id": "wa-unemployment", "area": "WA", "metric": "unemployment_rate", "when": "rises_above", "value": 5 }
+//   when "rises_above" | "falls_below"   the value crossed `value` (no previous value counts
+//                                        as being on the other side)
+//        "changes_by"                    moved by at least `value` either way
+//        "leaves_top" | "enters_top"     the area's rank left or entered the top `rank`
+//                                        (rank 1 = highest value among the 50 states + DC, as on the map)
+// Rules that fired go to data/alerts.json (the page badges those states) and to a digest,
+// data/digest.md and data/digest.html, all mirrored to docs/data/. A run with no new data
+// leaves the last digest as it is.
+
+import fs from "fs";
+import path from "path";
+import { STATES } from "./states.js";
+
+export const WATCHLIST_FILE = path.join("config", "watchlist.json");
+export const ALERTS_FILE = path.join("data", "alerts.json");
+export const DIGEST_MD = path.join("data", "digest.md");
+export const DIGEST_HTML = path.join("data", "digest.html");
+// Everything writeAlerts writes under data/ (each also mirrored to docs/data/)
+export const ALERT_FILES = [ALERTS_FILE, DIGEST_MD, DIGEST_HTML];
+const ALERTS_VERSION = 1;
+
+const VALUE_RULES = ["rises_above", "falls_below", "changes_by"];
+const RANK_RULES = ["leaves_top", "enters_top"];
+// Ranked areas: PR is outside the national totals, like the page's ranks
+const RANKED = Object.keys(STATES).filter(a => a !== "PR");
+
+export class WatchlistError extends Error {
+  constructor(message) {
+    super(`${WATCHLIST_FILE}: ${message}`);
+    this.name = "WatchlistError";
+  }
+}
+
+const ok = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Registry entry for "unemployment_rate" or "wage_mean.151252"
+function entryFor(registry, key) {
+  const [measure, soc] = key.split(".");
+  return soc ? registry.measures[measure] : registry.metrics[key];
+}
+
+/**
+ * Rules from config/watchlist.json, checked against the metric registry. null when there
+ * is no watchlist; throws WatchlistError on a rule that could never fire as written.
+ *   legacyKeys: { oldKey: newKey } renames (swdev_wage -> wage_mean.151252) applied to rules
+ */
+export function loadWatchlist(registry, { file = WATCHLIST_FILE, legacyKeys = {} } = {}) {
+  if (!fs.existsSync(file)) return null;
+  const doc = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(doc.rules)) throw new WatchlistError("rules must be a list");
+  const ids = new Set();
+  return doc.rules.map((r, i) => {
+    const id = r.id || `rule-${i + 1}`;
+    if (ids.has(id)) throw new WatchlistError(`duplicate rule id "${id}"`);
+    ids.add(id);
+    const metric = legacyKeys[r.metric] || r.metric;
+    if (!r.area || !(r.area in STATES || r.area === "US")) throw new WatchlistError(`${id}: unknown area "${r.area}"`);
+    if (!metric || !entryFor(registry, metric)) throw new WatchlistError(`${id}: "${r.metric}" is not in the metric registry`);
+    if (VALUE_RULES.includes(r.when)) {
+      if (!ok(r.value)) throw new WatchlistError(`${id}: "${r.when}" needs a numeric value`);
+    } else if (RANK_RULES.includes(r.when)) {
+      if (!(Number.isInteger(r.rank) && r.rank >= 1 && r.rank < RANKED.length)) {
+        throw new WatchlistError(`${id}: "${r.when}" needs a rank from 1 to ${RANKED.length - 1}`);
+      }
+      if (!RANKED.includes(r.area)) throw new WatchlistError(`${id}: ${r.area} is not ranked`);
+    } else {
+      throw new WatchlistError(`${id}: when must be one of ${[...VALUE_RULES, ...RANK_RULES].join(", ")}`);
+    }
+    return { id, area: r.area, metric, when: r.when, value: r.value ?? null, rank: r.rank ?? null, note: r.note || null };
+  });
+}
+
+// Rank of `area` for `metric` in a latest.json document (1 = highest; ties share a rank)
+function rankOf(doc, metric, area) {
+  const v = doc[area]?.[metric];
+  if (!ok(v)) return null;
+  return 1 + RANKED.filter(a => ok(doc[a]?.[metric]) && doc[a][metric] > v).length;
+}
+
+/**
+ * The rules that fired going from `prev` to `next` (latest.json documents):
+ *   [{ id, area, metric, when, threshold, previous, value, previous_rank, rank, note }]
+ */
+export function evaluateWatchlist(rules, prev, next) {
+  const fired = [];
+  for (const r of rules) {
+    const was = ok(prev[r.area]?.[r.metric]) ? prev[r.area][r.metric] : null;
+    const now = ok(next[r.area]?.[r.metric]) ? next[r.area][r.metric] : null;
+    if (now == null) continue;
+    let hit = false, wasRank = null, nowRank = null;
+    if (r.when === "rises_above") hit = now > r.value && !(was > r.value);
+    else if (r.when === "falls_below") hit = now < r.value && !(was != null && was < r.value);
+    else if (r.when === "changes_by") hit = was != null && Math.abs(now - was) >= r.value;
+    else {
+      wasRank = rankOf(prev, r.metric, r.area);
+      nowRank = rankOf(next, r.metric, r.area);
+      if (r.when === "leaves_top") hit = wasRank != null && wasRank <= r.rank && nowRank > r.rank;
+      else hit = nowRank <= r.rank && !(wasRank != null && wasRank <= r.rank);
+    }
+    if (hit) {
+      fired.push({ id: r.id, area: r.area, metric: r.metric, when: r.when,
+                   threshold: RANK_RULES.includes(r.when) ? r.rank : r.value,
+                   previous: was, value: now, previous_rank: wasRank, rank: nowRank, note: r.note });
+    }
+  }
+  return fired;
+}
+
+// Printing, as the page does (registry format and digits)
+function formatValue(entry, v) {
+  if (v == null) return "—";
+  const digits = entry?.digits ?? 1;
+  switch (entry?.format) {
+    case "currency": return "$" + Math.round(v).toLocaleString("en-US");
+    case "integer":  return Math.round(v).toLocaleString("en-US");
+    case "percent":  return v.toFixed(digits) + "%";
+    case "ratio":    return v.toFixed(digits) + "×";
+    case "score":    return (v > 0 ? "+" : "") + v.toFixed(digits);
+    default:         return v.toFixed(digits);
+  }
+}
+const ordinal = (n) => {
+  const s = ["th", "st", "nd", "rd"], v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+};
+
+// "WA: Unemployment Rate (LAUS, %) rose above 5.0% (4.8% → 5.2%)"
+export function alertMessage(alert, registry, occupations = []) {
+  const entry = entryFor(registry, alert.metric);
+  const [, soc] = alert.metric.split(".");
+  const title = soc ? occupations.find(o => o.soc === soc)?.title || `SOC ${soc}` : null;
+  const label = `${title ? title + " " : ""}${entry?.label || alert.metric}`;
+  const fmt = v => formatValue(entry, v);
+  const change = `${fmt(alert.previous)} → ${fmt(alert.value)}`;
+  const ranks = `${alert.previous_rank ? ordinal(alert.previous_rank) : "unranked"} → ${ordinal(alert.rank)}`;
+  const what = {
+    rises_above: `rose above ${fmt(alert.threshold)} (${change})`,
+    falls_below: `fell below ${fmt(alert.threshold)} (${change})`,
+    changes_by:  `moved by ${fmt(Math.abs(alert.value - alert.previous)).replace(/^\+/, "")} (${change})`,
+    leaves_top:  `dropped out of the top ${alert.threshold} (${ranks}; ${change})`,
+    enters_top:  `entered the top ${alert.threshold} (${ranks}; ${change})`
+  }[alert.when];
+  return `${alert.area}: ${label} ${what}`;
+}
+
+const escapeHtml = s => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+function digestMarkdown(doc) {
+  const lines = [`# Watchlist digest`, "", `Checked ${doc.checked_at} against data as of ${doc.as_of ?? "—"} ` +
+    `(previous: ${doc.previous_as_of ?? "—"}). ${doc.alerts.length} of ${doc.rules} rule(s) fired.`, ""];
+  for (const a of doc.alerts) lines.push(`- **${a.message}**${a.note ? ` — ${a.note}` : ""} \`${a.id}\``);
+  if (!doc.alerts.length) lines.push("Nothing crossed a threshold in this release.");
+  return lines.join("\n") + "\n";
+}
+
+function digestHtml(doc) {
+  const items = doc.alerts.map(a =>
+    `    <li><strong>${escapeHtml(a.message)}</strong>${a.note ? ` — ${escapeHtml(a.note)}` : ""} <code>${escapeHtml(a.id)}</code></li>`);
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Watchlist digest</title>
+  <style>body{font:15px/1.5 system-ui,sans-serif;max-width:760px;margin:2rem auto;padding:0 1rem}code{opacity:.6}</style>
+</head>
+<body>
+  <h1>Watchlist digest</h1>
+  <p>Checked ${escapeHtml(doc.checked_at)} against data as of ${escapeHtml(doc.as_of ?? "—")}
+     (previous: ${escapeHtml(doc.previous_as_of ?? "—")}). ${doc.alerts.length} of ${doc.rules} rule(s) fired.</p>
+${items.length ? `  <ul>\n${items.join("\n")}\n  </ul>` : "  <p>Nothing crossed a threshold in this release.</p>"}
+</body>
+</html>
+`;
+}
+
+/**
+ * The alerts document for `rules` from `prev` to `next`, messages included; writeAlerts
+ * writes it.
+ */
+export function alertsDocument(rules, prev, next, { registry, occupations = [] }) {
+  const alerts = evaluateWatchlist(rules, prev, next)
+    .map(a => ({ ...a, message: alertMessage(a, registry, occupations) }));
+  return {
+    schema_version: ALERTS_VERSION,
+    checked_at: new Date().toISOString(),
+    as_of: next.__meta?.as_of ?? null,
+    previous_as_of: prev.__meta?.as_of ?? null,
+    rules: rules.length,
+    alerts
+  };
+}
+
+// data/alerts.json and the digests for an alertsDocument (mirrored to docs/data/ when docs/ exists)
+export function writeAlerts(doc) {
+  const outputs = [[ALERTS_FILE, JSON.stringify(doc, null, 2)], [DIGEST_MD, digestMarkdown(doc)], [DIGEST_HTML, digestHtml(doc)]];
+  for (const [file, text] of outputs) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+    if (fs.existsSync("docs")) {
+      const mirror = path.join("docs", file);
+      fs.mkdirSync(path.dirname(mirror), { recursive: true });
+      fs.writeFileSync(mirror, text);
+    }
+  }
+}
@@ -0,0 +1,143 @@
+// scripts/run-pipeline.js
+// Long-running local runner: serves the site with ETags (lib/static-server.js) and runs
+// fetch-bls.js on the BLS release calendar (config/release-calendar.json, lib/calendar.js).
+// A release is fetched delay_minutes after it is due and retried every retry.every_minutes
+// (up to retry.attempts times; the release's own retry, else the calendar's) while
+// data/manifest.json still points at the same latest.json snapshot; the BLS API often lags
+// the news release. Those runs fetch only the due survey (fetch-bls.js --only) and skip the
+// BLS client's disk cache (BLS_NO_CACHE=1), whose 12-hour TTL would hand each retry the
+// pre-release responses again; the --fetch-now run fetches everything through the cache.
+// Open pages poll the manifest and pick up the new snapshot on their own.
+//
+// Usage:
+//   npm run serve                          serve . on 127.0.0.1:8080 and fetch on the calendar
+//   npm run serve -- --root docs           serve the offline build (npm run build) instead
+//   npm run serve -- --port 3000 --fetch-now
+//   npm run serve -- --host 0.0.0.0        listen beyond this machine
+//   npm run serve -- --no-fetch            serve only
+// Serving the checkout (the default root) exposes only the page and what it loads
+// (SITE_FILES), not scripts/, test/ or package.json; dotfiles such as .env are never served.
+//
+// Env: PORT (default 8080), plus everything fetch-bls.js reads (BLS_API_KEY, ...)
+
+import path from "path";
+import { spawn } from "child_process";
+import { createStaticServer } from "./lib/static-server.js";
+import { loadCalendar, upcomingReleases } from "./lib/calendar.js";
+import { readManifest } from "./lib/snapshots.js";
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+};
+const PORT = Number(option("port", process.env.PORT || 8080));
+const HOST = option("host", "127.0.0.1");
+const ROOT = option("root", ".");
+const FETCH = !args.includes("--no-fetch");
+const MINUTE = 60 * 1000;
+const TICK_MS = MINUTE;  // how often due releases are checked
+
+// What the page at the repository root loads; other roots (the docs/ build) hold only the site
+const SITE_FILES = ["index.html", "app.js", "glow_round_favicon.png", "assets/", "config/", "data/", "docs/"];
+
+const log = (...msg) => console.log(`[${new Date().toISOString()}]`, ...msg);
+
+let calendar = null;
+let jobs = [];     // [{ survey, title, at, runAt, attempt }]; survey null = one-off
+let child = null;  // the fetch-bls process while one runs
+let timer = null;
+
+const latestSnapshot = () => readManifest()?.files?.["latest.json"]?.path ?? null;
+
+// Run fetch-bls.js for `surveys`, uncached (null = every survey, cached); resolves
+// { code, changed } (changed = the manifest moved to a new snapshot)
+function runFetch(surveys) {
+  const before = latestSnapshot();
+  return new Promise(resolve => {
+    child = spawn(process.execPath, ["scripts/fetch-bls.js", ...(surveys ? ["--only", surveys.join(",")] : [])], {
+      stdio: "inherit",
+      env: surveys ? { ...process.env, BLS_NO_CACHE: "1" } : process.env
+    });
+    child.on("exit", code => {
+      child = null;
+      resolve({ code, changed: latestSnapshot() !== before });
+    });
+  });
+}
+
+// The survey's next release after `after`, as a job
+function nextJob(survey, after) {
+  const next = upcomingReleases({ ...calendar, releases: calendar.releases.filter(r => r.survey === survey) }, after)[0];
+  return next && { ...next, runAt: new Date(+next.at + calendar.delay_minutes * MINUTE), attempt: 0 };
+}
+
+function logSchedule() {
+  for (const j of [...jobs].sort((a, b) => a.runAt - b.runAt)) {
+    log(`  next: ${j.title || "fetch"} at ${j.runAt.toISOString()}${j.attempt ? ` (retry ${j.attempt})` : ""}`);
+  }
+}
+
+// Every due job shares one fetch-bls run: the due surveys, or all of them for a one-off
+async function tick() {
+  const now = new Date();
+  const due = jobs.filter(j => j.runAt <= now);
+  if (child || !due.length) return;
+
+  log(`Fetching for ${due.map(j => j.title || "startup").join(", ")}`);
+  const surveys = due.some(j => !j.survey) ? null : [...new Set(due.map(j => j.survey))];
+  const { code, changed } = await runFetch(surveys);
+  if (code !== 0) log(`fetch-bls exited with ${code}`);
+  else log(changed ? "New snapshot published" : "No new data yet");
+
+  for (const j of due) {
+    jobs = jobs.filter(x => x !== j);
+    if (!j.survey) continue;
+    const retry = j.retry || calendar.retry;
+    if (!changed && j.attempt < retry.attempts) {
+      jobs.push({ ...j, runAt: new Date(Date.now() + retry.every_minutes * MINUTE), attempt: j.attempt + 1 });
+    } else {
+      if (!changed) log(`Giving up on ${j.title} after ${j.attempt} retries`);
+      const next = nextJob(j.survey, j.at);
+      if (next) jobs.push(next);
+    }
+  }
+  logSchedule();
+}
+
+function shutdown(server) {
+  log("Shutting down");
+  clearInterval(timer);
+  if (child) child.kill("SIGTERM");
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref();
+}
+
+function main() {
+  const server = createStaticServer({
+    root: ROOT,
+    allow: path.resolve(ROOT) === process.cwd() ? SITE_FILES : null,
+    log: (method, url, status) => { if (status >= 400) log(`${method} ${url} ${status}`); }
+  });
+  const host = HOST.includes(":") ? `[${HOST}]` : HOST;
+  server.listen(PORT, HOST, () => log(`Serving ${ROOT} at http://${host}:${server.address().port}/`));
+  process.on("SIGINT", () => shutdown(server));
+  process.on("SIGTERM", () => shutdown(server));
+
+  if (!FETCH) return;
+  calendar = loadCalendar();
+  const now = new Date();
+  jobs = calendar.releases.map(r => nextJob(r.survey, now)).filter(Boolean);
+  if (args.includes("--fetch-now")) jobs.push({ survey: null, title: null, at: now, runAt: now, attempt: 0 });
+  log(`Release calendar: ${calendar.releases.length} releases (${calendar.timezone})`);
+  logSchedule();
+  timer = setInterval(() => tick().catch(err => log(err.stack || err.message)), TICK_MS);
+  tick().catch(err => log(err.stack || err.message));
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.name === "CalendarError" ? err.message : (err.stack || err.message || err));
+  process.exit(1);
+}
@@ -1,5 +1,6 @@
 // scripts/test-oews-one.js
-import axios from "axios";
+// One-off live check of a single OEWS series (bypasses the response cache).
+import { createBlsClient } from "./lib/bls-client.js";
 
 const SEASONAL = "U";          // unadjusted
 const AREATYPE = "S";          // state
@@ -13,20 +14,14 @@ const area_code = `${FIPS_CA}00000`; // 7-digit area_code => '0600000'
 const seriesId = `OE${SEASONAL}${AREATYPE}${area_code}${INDUSTRY}${SOC}${DATATYPE}`;
 console.log("Testing series:", seriesId);
 
-const payload = {
-  seriesid: [seriesId],
-  latest: true,
-  ...(process.env.BLS_API_KEY ? { registrationkey: process.env.BLS_API_KEY } : {})
-};
+const client = createBlsClient({ useCache: false });
+const res = await client.fetchSeries([seriesId], { latest: true });
 
-try {
-  const r = await axios.post("https://api.bls.gov/publicAPI/v2/timeseries/data/", payload, {
-    headers: { "Content-Type": "application/json" },
-    timeout: 60000
-  });
-  console.log("Status:", r.data.status);
-  console.dir(r.data.Results?.series?.[0] || r.data, { depth: null });
-} catch (e) {
-  console.error("Request failed", e.response?.status, e.response?.data || e.message);
+if (res.errors.length) {
+  const e = res.errors[0];
+  console.error("Request failed", e.code, e.status ?? "", e.messages.length ? e.messages : e.message);
   process.exit(1);
 }
+console.log("Messages:", res.messages.length ? res.messages : "(none)");
+console.dir({ seriesID: seriesId, data: res.series[seriesId] || [] }, { depth: null });
+console.log("Quota:", client.quota());
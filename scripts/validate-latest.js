@@ -0,0 +1,14 @@
+// scripts/validate-latest.js
+// Check a latest.json against the schema in lib/schema.js.
+//   node scripts/validate-latest.js [file]     (default data/latest.json)
+// Prints every error and warning; exits 1 when there are errors.
+
+import { OUT_FILE, checkLatest } from "./lib/latest.js";
+
+const file = process.argv[2] || OUT_FILE;
+const { errors, warnings } = checkLatest(file);
+
+for (const w of warnings) console.warn(`warning: ${w}`);
+for (const e of errors) console.error(`error: ${e}`);
+console.log(`${file}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+if (errors.length) process.exit(1);
@@ -0,0 +1,146 @@
+// test/bls-client.test.js
+// Batching, windows, retries, quota accounting, caching and error shapes of the shared client.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { fileURLToPath } from "url";
+import { createBlsClient, BlsError, LIMITS, latestValue } from "../scripts/lib/bls-client.js";
+import { startMockBls, loadFixture } from "./mock-bls-server.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const fixture = (name) => loadFixture(path.join(FIXTURES, `${name}.json`));
+const tmpDirs = [];
+const tmpCache = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bls-cache-"));
+  tmpDirs.push(dir);
+  return dir;
+};
+after(() => tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test("chunks series to the per-request cap for the key tier", async () => {
+  const mock = await startMockBls({ fixture: fixture("success") });
+  try {
+    const ids = Array.from({ length: 60 }, (_, i) => `LASST${String(i).padStart(2, "0")}0000000000003`);
+    const keyed = createBlsClient({ key: "k", apiUrl: mock.url, cacheDir: tmpCache(), useCache: false });
+    await keyed.fetchSeries(ids, { latest: true });
+    assert.deepEqual(mock.requests.map(r => r.seriesid.length), [50, 10]);
+
+    mock.requests.length = 0;
+    const unkeyed = createBlsClient({ key: null, apiUrl: mock.url, cacheDir: tmpCache(), useCache: false });
+    await unkeyed.fetchSeries(ids, { latest: true });
+    assert.deepEqual(mock.requests.map(r => r.seriesid.length), [25, 25, 10]);
+    assert.ok(mock.requests.every(r => !("registrationkey" in r)));
+  } finally {
+    await mock.close();
+  }
+});
+
+test("splits long year spans into API-sized windows", async () => {
+  const mock = await startMockBls({ fixture: fixture("success") });
+  try {
+    const client = createBlsClient({ key: "k", apiUrl: mock.url, cacheDir: tmpCache(), useCache: false });
+    await client.fetchSeries(["LASST060000000000003"], { startyear: 2001, endyear: 2025 });
+    assert.deepEqual(mock.requests.map(r => [r.startyear, r.endyear]), [["2001", "2020"], ["2021", "2025"]]);
+    assert.equal(LIMITS.keyed.yearsPerRequest, 20);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("serves repeat requests from the disk cache without spending quota", async () => {
+  const mock = await startMockBls({ fixture: fixture("success") });
+  try {
+    const cacheDir = tmpCache();
+    const client = createBlsClient({ key: "k", apiUrl: mock.url, cacheDir });
+    const first = await client.fetchSeries(["LASST060000000000003"], { latest: true });
+    const second = await client.fetchSeries(["LASST060000000000003"], { latest: true });
+    assert.equal(mock.requests.length, 1);
+    assert.deepEqual(second.series, first.series);
+    assert.equal(latestValue(second.series.LASST060000000000003), 5.5);
+    assert.equal(client.quota().used, 1);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("retries 5xx responses with backoff, then succeeds", async () => {
+  let calls = 0;
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      calls++;
+      if (calls < 3) { res.statusCode = 503; return res.end("busy"); }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ status: "REQUEST_SUCCEEDED", message: [], Results: { series: [{ seriesID: "A", data: [] }] } }));
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  try {
+    const client = createBlsClient({
+      key: "k", apiUrl: `http://127.0.0.1:${server.address().port}/`, cacheDir: tmpCache(),
+      useCache: false, backoffMs: 5
+    });
+    const res = await client.fetchSeries(["A"], { latest: true });
+    assert.equal(calls, 3);
+    assert.deepEqual(res.errors, []);
+    assert.equal(client.quota().used, 3, "retries count against the daily limit");
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
+
+test("reports quota exhaustion as a structured error and stops requesting", async () => {
+  const mock = await startMockBls({ fixture: fixture("quota-exceeded") });
+  try {
+    const client = createBlsClient({ key: null, apiUrl: mock.url, cacheDir: tmpCache(), useCache: false });
+    const ids = Array.from({ length: 60 }, (_, i) => `ID${i}`);
+    const res = await client.fetchSeries(ids, { latest: true });
+    assert.equal(res.quotaExceeded, true);
+    assert.equal(mock.requests.length, 1);
+    assert.ok(res.errors[0] instanceof BlsError);
+    assert.equal(res.errors[0].code, "QUOTA_EXCEEDED");
+    assert.match(res.errors[0].messages[0], /daily threshold/);
+    assert.equal(res.errors[0].seriesIds.length, 25);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("refuses to send once the local ledger reaches the daily limit", async () => {
+  const mock = await startMockBls({ fixture: fixture("success") });
+  try {
+    const cacheDir = tmpCache();
+    const day = new Date().toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+    fs.writeFileSync(path.join(cacheDir, "quota.json"), JSON.stringify({ day, keyed: 0, unkeyed: 25 }));
+    const client = createBlsClient({ key: null, apiUrl: mock.url, cacheDir, useCache: false });
+    const res = await client.fetchSeries(["LASST060000000000003"], { latest: true });
+    assert.equal(res.quotaExceeded, true);
+    assert.equal(mock.requests.length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("flags a success envelope without Results.series as malformed", async () => {
+  const mock = await startMockBls({ fixture: fixture("malformed-envelope") });
+  try {
+    const client = createBlsClient({ key: "k", apiUrl: mock.url, cacheDir: tmpCache(), useCache: false });
+    const res = await client.fetchSeries(["LASST060000000000003"], { latest: true });
+    assert.equal(res.errors[0].code, "MALFORMED_RESPONSE");
+    assert.equal(res.quotaExceeded, false);
+  } finally {
+    await mock.close();
+  }
+});
+
+test("latestValue treats blanks and suppression markers as missing", () => {
+  assert.equal(latestValue([{ value: "4.2" }]), 4.2);
+  assert.equal(latestValue([{ value: "" }]), null);
+  assert.equal(latestValue([{ value: "-" }]), null);
+  assert.equal(latestValue([]), null);
+  assert.equal(latestValue(undefined), null);
+});
@@ -0,0 +1,92 @@
+// test/build-site.test.js
+// Runs build-site.js in a scratch copy of the site and checks that docs/ loads nothing
+// remote, that every integrity attribute and manifest entry matches the file it names,
+// and that the bundled topology carries state abbreviations.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+
+const run = promisify(execFile);
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const sri = (buf) => "sha384-" + crypto.createHash("sha384").update(buf).digest("base64");
+
+let dir;
+const docs = (...p) => path.join(dir, "docs", ...p);
+
+async function build(...args) {
+  try {
+    const { stdout, stderr } = await run(process.execPath, ["scripts/build-site.js", ...args], { cwd: dir });
+    return { code: 0, stdout, stderr };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "labor-map-site-"));
+  for (const link of ["scripts", "node_modules"]) {
+    fs.symlinkSync(path.join(ROOT, link), path.join(dir, link), "dir");
+  }
+  for (const f of ["index.html", "app.js", "glow_round_favicon.png", "package.json"]) {
+    fs.copyFileSync(path.join(ROOT, f), path.join(dir, f));
+  }
+  fs.cpSync(path.join(ROOT, "assets"), path.join(dir, "assets"), { recursive: true });
+  fs.cpSync(path.join(ROOT, "config"), path.join(dir, "config"), { recursive: true });
+  const res = await build();
+  assert.equal(res.code, 0, res.stderr);
+});
+
+// Removes the node_modules and scripts symlinks, not what they point at
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("docs/index.html loads only local files, each with a matching integrity hash", () => {
+  const html = fs.readFileSync(docs("index.html"), "utf-8");
+  assert.doesNotMatch(html, /(?:src|href)="https?:/);
+  const tags = [...html.matchAll(/(?:src|href)="([^"]+\.(?:js|css)(?:\?[^"]*)?)" integrity="([^"]+)"/g)];
+  assert.deepEqual(tags.map(t => t[1].split("?")[0]).sort(), [
+    "app.js", "assets/style.css", "vendor/chart.umd.min.js", "vendor/chroma.min.js",
+    "vendor/leaflet/leaflet.css", "vendor/leaflet/leaflet.js", "vendor/topojson-client.min.js"
+  ]);
+  for (const [, url, integrity] of tags) {
+    assert.equal(sri(fs.readFileSync(docs(url.split("?")[0]))), integrity, url);
+  }
+});
+
+test("manifest lists every built file with its hash and library versions", () => {
+  const manifest = JSON.parse(fs.readFileSync(docs("manifest.json"), "utf-8"));
+  assert.equal(manifest.libraries.leaflet, "1.9.4");
+  for (const f of ["index.html", "config/census-regions.json", "vendor/leaflet/images/marker-icon.png", "data/topo/states.json", "data/metrics.json"]) {
+    assert.ok(manifest.files[f], f);
+    assert.equal(manifest.files[f].integrity, sri(fs.readFileSync(docs(f))), f);
+  }
+  assert.ok(!("data/latest.json" in manifest.files), "fetched data is not part of the build");
+});
+
+test("bundled topology is simplified and joined to state abbreviations", () => {
+  const states = JSON.parse(fs.readFileSync(docs("data", "topo", "states.json"), "utf-8"));
+  const byName = Object.fromEntries(states.objects.states.geometries.map(g => [g.properties.name, g.properties.abbr]));
+  assert.equal(byName.California, "CA");
+  assert.equal(byName["District of Columbia"], "DC");
+  assert.equal(byName["Puerto Rico"], "PR");
+  const original = fs.statSync(path.join(ROOT, "node_modules", "us-atlas", "states-10m.json")).size;
+  assert.ok(fs.statSync(docs("data", "topo", "states.json")).size < original);
+
+  const counties = JSON.parse(fs.readFileSync(docs("data", "topo", "counties.json"), "utf-8"));
+  const travis = counties.objects.counties.geometries.find(g => g.id === "48453");
+  assert.equal(travis.properties.abbr, "TX");
+});
+
+test("--check passes on a fresh build and names files changed since", async () => {
+  assert.equal((await build("--check")).code, 0);
+  fs.appendFileSync(docs("app.js"), "\n// edited\n");
+  const res = await build("--check");
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /app\.js: contents changed/);
+});
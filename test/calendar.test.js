@@ -0,0 +1,101 @@
+// test/calendar.test.js
+// Release-calendar rules: nth and last weekdays, yearly rules, listed dates, wall-clock
+// times across DST changeovers, and validation of config/release-calendar.json.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCalendar, upcomingReleases, zonedInstant, CalendarError } from "../scripts/lib/calendar.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const tmpDirs = [];
+after(() => tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const calendar = (...releases) => ({ timezone: "America/New_York", releases });
+const release = (rule, extra = {}) => ({ survey: "X", time: "10:00", rule, ...extra });
+const next = (cal, from) => upcomingReleases(cal, new Date(from))[0]?.at.toISOString();
+
+test("zonedInstant converts New York wall-clock times on both sides of DST", () => {
+  assert.equal(zonedInstant(2025, 1, 15, "10:00", "America/New_York").toISOString(), "2025-01-15T15:00:00.000Z");
+  assert.equal(zonedInstant(2025, 7, 15, "10:00", "America/New_York").toISOString(), "2025-07-15T14:00:00.000Z");
+  // Changeover days: 2025-03-09 (spring forward) and 2025-11-02 (fall back)
+  assert.equal(zonedInstant(2025, 3, 9, "10:00", "America/New_York").toISOString(), "2025-03-09T14:00:00.000Z");
+  assert.equal(zonedInstant(2025, 11, 2, "10:00", "America/New_York").toISOString(), "2025-11-02T15:00:00.000Z");
+});
+
+test("monthly rules find the nth and last weekday, and roll over once a release has passed", () => {
+  const third = calendar(release({ every: "month", weekday: "Friday", week: 3 }));
+  // Third Friday of March 2025 is the 21st
+  assert.equal(next(third, "2025-03-01T00:00:00Z"), "2025-03-21T14:00:00.000Z");
+  // Earlier the same day (in New York) still counts; a minute after moves to April 18
+  assert.equal(next(third, "2025-03-21T13:00:00Z"), "2025-03-21T14:00:00.000Z");
+  assert.equal(next(third, "2025-03-21T14:01:00Z"), "2025-04-18T14:00:00.000Z");
+  // December rolls into the next year
+  assert.equal(next(third, "2025-12-20T00:00:00Z"), "2026-01-16T15:00:00.000Z");
+
+  const last = calendar(release({ every: "month", weekday: "Tuesday", week: -1 }));
+  assert.equal(next(last, "2025-09-01T00:00:00Z"), "2025-09-30T14:00:00.000Z");
+});
+
+test("yearly rules wait for their month", () => {
+  const oews = calendar(release({ every: "year", month: 4, weekday: "Wednesday", week: 1 }));
+  assert.equal(next(oews, "2025-01-10T00:00:00Z"), "2025-04-02T14:00:00.000Z");
+  assert.equal(next(oews, "2025-05-01T00:00:00Z"), "2026-04-01T14:00:00.000Z");
+});
+
+test("listed dates take precedence until the last has passed", () => {
+  const cal = calendar(release({ every: "month", weekday: "Friday", week: 3 }, { dates: ["2025-03-28", "2025-04-25"] }));
+  assert.equal(next(cal, "2025-03-01T00:00:00Z"), "2025-03-28T14:00:00.000Z");
+  assert.equal(next(cal, "2025-04-01T00:00:00Z"), "2025-04-25T14:00:00.000Z");
+  assert.equal(next(cal, "2025-04-26T00:00:00Z"), "2025-05-16T14:00:00.000Z", "back to the rule");
+});
+
+test("upcomingReleases lists one entry per release, soonest first", () => {
+  const cal = calendar(
+    release({ every: "month", weekday: "Friday", week: 3 }, { survey: "LAUS", title: "State Employment" }),
+    release({ every: "month", weekday: "Tuesday", week: 3 }, { survey: "JOLTS" })
+  );
+  const list = upcomingReleases(cal, new Date("2025-03-01T00:00:00Z"));
+  assert.deepEqual(list.map(r => [r.survey, r.title, r.at.toISOString()]), [
+    ["JOLTS", "JOLTS", "2025-03-18T14:00:00.000Z"],
+    ["LAUS", "State Employment", "2025-03-21T14:00:00.000Z"]
+  ]);
+});
+
+test("a release's own retry replaces the calendar's", () => {
+  const cal = { ...calendar(
+    release({ every: "month", weekday: "Friday", week: 3 }, { survey: "LAUS" }),
+    release({ every: "year", month: 4, weekday: "Wednesday", week: 1 }, { survey: "OEWS", retry: { every_minutes: 240, attempts: 4 } })
+  ), retry: { every_minutes: 60, attempts: 12 } };
+  const retries = Object.fromEntries(upcomingReleases(cal, new Date("2025-03-01T00:00:00Z")).map(r => [r.survey, r.retry]));
+  assert.deepEqual(retries, { LAUS: { every_minutes: 60, attempts: 12 }, OEWS: { every_minutes: 240, attempts: 4 } });
+});
+
+test("loadCalendar accepts the shipped calendar and rejects malformed entries", () => {
+  const shipped = loadCalendar(path.join(ROOT, "config", "release-calendar.json"));
+  assert.deepEqual(shipped.releases.map(r => r.survey).sort(), ["JOLTS", "LAUS", "OEWS"]);
+  assert.equal(upcomingReleases(shipped).length, 3);
+  // OEWS is ~80 keyed requests a run: its retries have to fit in the 500-a-day quota
+  const oews = upcomingReleases(shipped).find(r => r.survey === "OEWS");
+  assert.ok((oews.retry.attempts + 1) * 80 <= 500, "OEWS retries stay within the daily quota");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "labor-map-calendar-"));
+  tmpDirs.push(dir);
+  const load = (cal) => {
+    const file = path.join(dir, "calendar.json");
+    fs.writeFileSync(file, JSON.stringify(cal));
+    return loadCalendar(file);
+  };
+  assert.deepEqual(load(calendar(release({ every: "month", weekday: "Friday", week: 3 }))).retry,
+    { every_minutes: 60, attempts: 0 }, "defaults");
+  assert.throws(() => load({ releases: [] }), CalendarError);
+  assert.throws(() => load(calendar(release({ every: "month", weekday: "Fri", week: 3 }))), /unknown weekday "Fri"/);
+  assert.throws(() => load(calendar(release({ every: "month", weekday: "Friday", week: 5 }))), /rule.week/);
+  assert.throws(() => load(calendar(release({ every: "year", weekday: "Friday", week: 1 }))), /need a month/);
+  assert.throws(() => load(calendar(release({ every: "month", weekday: "Friday", week: 1 }, { time: "10am" }))), /HH:MM/);
+  assert.throws(() => load(calendar(release({ every: "month", weekday: "Friday", week: 1 }, { dates: ["3/28/2025"] }))), /YYYY-MM-DD/);
+  assert.throws(() => load(calendar(release({ every: "month", weekday: "Friday", week: 1 }, { retry: { every_minutes: 0, attempts: 2 } }))), /retry/);
+});
@@ -0,0 +1,80 @@
+// test/derived.test.js
+// Formula parsing and column-wise evaluation in scripts/lib/derived.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFormula, evaluate, formulaRefs, applyDerived, FormulaError } from "../scripts/lib/derived.js";
+
+const doc = {
+  __meta: {},
+  CA: { unemployment_rate: 5.5, "wage_mean.151252": 185750 },
+  TX: { unemployment_rate: 4.1, "wage_mean.151252": 142060 },
+  WA: { unemployment_rate: 4.6, "wage_mean.151252": null },
+  US: { "wage_median.151252": 133080 }
+};
+const rpp = { CA: 112.6, TX: 97.7, WA: 108.3, US: 100 };
+const lookup = (name, abbr) => (name === "rpp" ? rpp[abbr] : doc[abbr]?.[name]) ?? null;
+const run = (src, soc = "151252") => evaluate(parseFormula(src), { areas: ["CA", "TX", "WA"], lookup, soc });
+
+test("respects precedence, parentheses and unary minus", () => {
+  assert.deepEqual(run("1 + 2 * 3"), { CA: 7, TX: 7, WA: 7 });
+  assert.deepEqual(run("(1 + 2) * 3"), { CA: 9, TX: 9, WA: 9 });
+  assert.deepEqual(run("-2 - -3"), { CA: 1, TX: 1, WA: 1 });
+  assert.deepEqual(run("8 / 4 / 2"), { CA: 1, TX: 1, WA: 1 });
+});
+
+test("resolves fields, {soc} placeholders and bundled inputs per state", () => {
+  const real = run("wage_mean.{soc} / rpp * 100");
+  assert.equal(Math.round(real.CA), 164964);
+  assert.equal(Math.round(real.TX), 145404);
+  assert.equal(real.WA, null, "missing input gives null, not NaN");
+});
+
+test("national() broadcasts the U.S. record", () => {
+  const r = run("wage_mean.{soc} / national(wage_median.{soc})");
+  assert.equal(r.CA.toFixed(3), "1.396");
+  assert.equal(r.WA, null);
+});
+
+test("z() standardizes across states", () => {
+  const z = run("z(unemployment_rate)");
+  const vals = Object.values(z);
+  assert.ok(Math.abs(vals.reduce((a, b) => a + b, 0)) < 1e-9);
+  assert.ok(z.CA > 0 && z.TX < 0);
+});
+
+test("division by zero is null", () => {
+  assert.deepEqual(run("1 / (unemployment_rate - unemployment_rate)"), { CA: null, TX: null, WA: null });
+});
+
+test("reports syntax errors with their position", () => {
+  assert.throws(() => parseFormula("1 +"), /Unexpected end of formula/);
+  assert.throws(() => parseFormula("wage_mean.{soc} ^ 2"), (e) => e instanceof FormulaError && e.pos === 16);
+  assert.throws(() => parseFormula("log(rpp)"), /Unknown function "log"/);
+  assert.throws(() => parseFormula("national(rpp * 2)"), /takes a field name/);
+  assert.throws(() => parseFormula("(1 + 2"), /Expected "\)"/);
+  assert.deepEqual(formulaRefs(parseFormula("0.5 * z(a.{soc}) - national(b)")), ["a.{soc}", "b"]);
+});
+
+test("applyDerived writes per-occupation columns and provenance", () => {
+  const copy = structuredClone(doc);
+  const defs = [
+    { key: "real_wage", per_occupation: true, formula: "wage_mean.{soc} / rpp * 100", decimals: 0 },
+    { key: "wage_to_us_median", per_occupation: true, formula: "wage_mean.{soc} / national(wage_median.{soc})", decimals: 3 }
+  ].map(d => ({ ...d, tree: parseFormula(d.formula) }));
+  const meta = { rpp: { label: "RPP", year: 2022 } };
+  const prov = applyDerived(copy, { metrics: defs, inputs: { rpp }, inputMeta: meta }, ["151252", "999999"]);
+
+  assert.equal(copy.CA["real_wage.151252"], 164964);
+  assert.equal(copy.CA["wage_to_us_median.151252"], 1.396);
+  assert.equal(copy.WA["real_wage.151252"], null);
+  assert.ok(!("real_wage.999999" in copy.CA), "no inputs anywhere -> no column");
+  assert.ok(!("real_wage.151252" in copy.US), "derived metrics are per state");
+  assert.deepEqual(prov["real_wage.151252"], {
+    source: "derived",
+    formula: "wage_mean.151252 / rpp * 100",
+    inputs: ["wage_mean.151252", "rpp"],
+    areas: 2,
+    rpp: { label: "RPP", year: 2022 }
+  });
+});
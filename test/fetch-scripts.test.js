@@ -0,0 +1,476 @@
+// test/fetch-scripts.test.js
+// Runs fetch-laus, fetch-oews and fetch-bls against the offline mock BLS server and
+// checks what lands in data/latest.json (and its docs/ mirror).
+// Each test gets a scratch directory with scripts/ linked in, a one-occupation
+// catalog and a seeded latest.json, since the scripts resolve paths from the cwd.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fileURLToPath } from "url";
+import { startMockBls, loadFixture } from "./mock-bls-server.js";
+
+const run = promisify(execFile);
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const fixture = (name) => loadFixture(path.join(ROOT, "test", "fixtures", `${name}.json`));
+
+const SEED = {
+  CA: { unemployment_rate: 5.0, swdev_wage: 170000 },
+  TX: { unemployment_rate: 4.0, "wage_mean.151252": 140000 },
+  NY: { unemployment_rate: 4.2 }
+};
+
+let mock;
+const workspaces = [];
+before(async () => { mock = await startMockBls({ fixture: fixture("success") }); });
+after(() => {
+  mock.close();
+  workspaces.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function workspace() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "labor-map-"));
+  workspaces.push(dir);
+  fs.symlinkSync(path.join(ROOT, "scripts"), path.join(dir, "scripts"), "dir");
+  fs.mkdirSync(path.join(dir, "config"));
+  fs.writeFileSync(path.join(dir, "config", "occupations.json"), JSON.stringify({
+    default: "151252",
+    occupations: [{ soc: "151252", title: "Software Developers", short: "Software Dev" }]
+  }));
+  fs.mkdirSync(path.join(dir, "data"));
+  fs.mkdirSync(path.join(dir, "docs"));
+  fs.writeFileSync(path.join(dir, "data", "latest.json"), JSON.stringify(SEED, null, 2));
+  return dir;
+}
+
+async function runScript(dir, script, fixtureName, args = []) {
+  mock.setFixture(fixture(fixtureName));
+  const env = {
+    ...process.env,
+    BLS_API_URL: mock.url,
+    BLS_API_KEY: "test-key",
+    BLS_CACHE_DIR: path.join(dir, ".cache"),
+    BLS_NO_CACHE: "1"
+  };
+  try {
+    const { stdout, stderr } = await run(process.execPath, [script, ...args], { cwd: dir, env });
+    return { code: 0, stdout, stderr };
+  } catch (e) {
+    return { code: e.code, stdout: e.stdout, stderr: e.stderr };
+  }
+}
+
+const readLatest = (dir) => JSON.parse(fs.readFileSync(path.join(dir, "data", "latest.json"), "utf-8"));
+const readManifest = (dir, root = ".") =>
+  JSON.parse(fs.readFileSync(path.join(dir, root, "data", "manifest.json"), "utf-8"));
+const withoutMeta = ({ __meta, ...areas }) => areas;
+
+test("fetch-laus maps LASST{FIPS} rate and labor force series back to state abbreviations", async () => {
+  const dir = workspace();
+  const before = mock.requests.length;
+  const res = await runScript(dir, "scripts/fetch-laus.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+
+  const j = readLatest(dir);
+  assert.equal(j.CA.unemployment_rate, 5.5);
+  assert.equal(j.TX.unemployment_rate, 4.1);
+  assert.equal(j.DC.unemployment_rate, 5.6);
+  assert.equal(j.AK.unemployment_rate, 4.7);
+  assert.equal(j.PR.unemployment_rate, 5.4);
+  assert.equal(j.CA.labor_force, 19432914);
+  assert.equal(j.DC.labor_force, 412377);
+  // Unknown-to-the-fixture states come back empty and are written as null
+  assert.equal(j.OH.unemployment_rate, null);
+  // Other fields are left alone
+  assert.equal(j.TX["wage_mean.151252"], 140000);
+
+  const sent = mock.requests.slice(before);
+  assert.equal(sent.length, 3, "2 × 52 series should go out as three requests");
+  const year = new Date().getUTCFullYear();
+  assert.ok(sent.every(p => p.seriesid.length <= 50 && p.registrationkey === "test-key"));
+  assert.ok(sent.every(p => Number(p.startyear) === year - 1 && Number(p.endyear) === year && !p.latest),
+            "this year and last, for the month before the newest");
+
+  assert.equal(j.__meta.schema_version, 1);
+  assert.ok(Date.parse(j.__meta.as_of));
+  const prov = j.__meta.metrics.unemployment_rate;
+  assert.equal(prov.source, "LAUS");
+  assert.equal(prov.series, "LASST{fips}0000000000003");
+  assert.equal(prov.areas, 8);
+  assert.equal(`${prov.year}-${prov.period}`, "2024-M06");
+  assert.equal(prov.preliminary, true);
+  assert.deepEqual(prov.footnotes, ["preliminary."]);
+  assert.deepEqual(prov.area_footnotes.CA, ["P"], "footnote codes are kept per state");
+  assert.equal(j.__meta.metrics.labor_force.series, "LASST{fips}0000000000006");
+  assert.equal(j.__meta.metrics.labor_force.areas, 8);
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "docs", "data", "latest.json"), "utf-8")), j);
+});
+
+test("fetch-laus keeps existing values when a series comes back blank", async () => {
+  const dir = workspace();
+  const res = await runScript(dir, "scripts/fetch-laus.js", "partial-empty");
+  assert.equal(res.code, 0, res.stderr);
+
+  const j = readLatest(dir);
+  assert.equal(j.CA.unemployment_rate, 5.0, "blank value must not overwrite");
+  assert.equal(j.TX.unemployment_rate, 4.0, "no data rows must not overwrite");
+  assert.equal(j.WA.unemployment_rate, 4.6);
+});
+
+test("fetch-laus preserves latest.json on a quota error", async () => {
+  const dir = workspace();
+  const res = await runScript(dir, "scripts/fetch-laus.js", "quota-exceeded");
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stderr, /quota hit/);
+  const j = readLatest(dir);
+  assert.equal(j.__meta.as_of, null, "nothing was refreshed");
+  assert.deepEqual(withoutMeta(j).TX, SEED.TX);
+  assert.equal(j.CA.unemployment_rate, 5.0);
+});
+
+test("fetch-laus tolerates malformed series and fails on a malformed envelope", async () => {
+  const dir = workspace();
+  let res = await runScript(dir, "scripts/fetch-laus.js", "malformed-series");
+  assert.equal(res.code, 0, res.stderr);
+  const j = readLatest(dir);
+  assert.equal(j.CA.unemployment_rate, null, "non-numeric value becomes null");
+  assert.equal(j.TX.unemployment_rate, 4.0, "series without data keeps the old value");
+  assert.equal(j.WA.unemployment_rate, 4.6);
+  assert.ok(Object.keys(withoutMeta(j)).every(k => k.length === 2), "unknown FIPS 99 is skipped");
+
+  res = await runScript(dir, "scripts/fetch-laus.js", "malformed-envelope");
+  assert.notEqual(res.code, 0);
+  assert.match(res.stderr, /Results\.series/);
+});
+
+test("fetch-oews writes namespaced measures, the national row and the hourly fallback", async () => {
+  const dir = workspace();
+  const res = await runScript(dir, "scripts/fetch-oews.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+
+  const j = readLatest(dir);
+  assert.equal(j.CA["wage_mean.151252"], 185750);
+  assert.equal(j.CA["wage_median.151252"], 180070);
+  assert.equal(j.CA["location_quotient.151252"], 1.95);
+  assert.equal(j.CA["wage_p90.151252"], null, "top-coded '-' is not a number");
+  assert.equal(j.TX["wage_mean.151252"], 142060);
+  // WA has no annual mean (04); hourly mean (03) × 2080
+  assert.equal(j.WA["wage_mean.151252"], Math.round(80.25 * 2080));
+  assert.equal(j.US["wage_median.151252"], 133080);
+  assert.equal(j.US["employment.151252"], 1656880);
+  // Relative standard errors for the mean wage and employment
+  assert.equal(j.CA["wage_rse.151252"], 0.8);
+  assert.equal(j.CA["employment_rse.151252"], 2.1);
+  assert.equal(j.US["wage_rse.151252"], 0.3);
+  // Pre-catalog key migrated, LAUS field untouched
+  assert.ok(!("swdev_wage" in j.CA));
+  assert.equal(j.CA.unemployment_rate, 5.0);
+
+  const mean = j.__meta.metrics["wage_mean.151252"];
+  assert.equal(mean.source, "OEWS");
+  assert.equal(mean.series, "OEUS{fips}0000000000015125204");
+  assert.equal(mean.national_series, "OEUN000000000000015125204");
+  assert.equal(mean.preliminary, false);
+  assert.deepEqual(mean.annualized_from_hourly, ["WA"]);
+  assert.match(j.__meta.metrics["wage_p90.151252"].footnotes[0], /\$239,200/);
+  assert.equal(j.__meta.metrics.unemployment_rate, undefined, "LAUS provenance is not OEWS's to write");
+});
+
+test("fetch-oews asks for percentiles and standard errors for the default occupation only", async () => {
+  const dir = workspace();
+  fs.writeFileSync(path.join(dir, "config", "occupations.json"), JSON.stringify({
+    default: "151252",
+    occupations: [{ soc: "151252", title: "Software Developers" }, { soc: "152051", title: "Data Scientists" }]
+  }));
+  const seen = mock.requests.length;
+  const res = await runScript(dir, "scripts/fetch-oews.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+
+  const ids = mock.requests.slice(seen).flatMap(r => r.seriesid);
+  // (03, the hourly mean, is the fallback for areas without an annual mean)
+  const datatypes = soc => new Set(ids.filter(id => id.slice(17, 23) === soc && !id.endsWith("03")).map(id => id.slice(23)));
+  assert.deepEqual([...datatypes("152051")].sort(), ["01", "04", "16", "17"]);
+  assert.deepEqual([...datatypes("151252")].sort(), ["01", "02", "04", "05", "11", "12", "13", "14", "15", "16", "17"]);
+  assert.ok(mock.requests.slice(seen).every(r => r.seriesid.length <= 50));
+});
+
+test("fetch-oews preserves latest.json on a quota error", async () => {
+  const dir = workspace();
+  const res = await runScript(dir, "scripts/fetch-oews.js", "quota-exceeded");
+  assert.equal(res.code, 0, res.stderr);
+  const j = readLatest(dir);
+  assert.equal(j.TX["wage_mean.151252"], 140000);
+  assert.equal(j.CA["wage_mean.151252"], 170000, "legacy swdev_wage is migrated, not dropped");
+});
+
+test("fetch-oews ignores malformed values without losing good ones", async () => {
+  const dir = workspace();
+  const res = await runScript(dir, "scripts/fetch-oews.js", "malformed-series");
+  assert.equal(res.code, 0, res.stderr);
+  const j = readLatest(dir);
+  assert.equal(j.CA["wage_mean.151252"], 170000, "'n/a' keeps the migrated value");
+  assert.equal(j.TX["wage_mean.151252"], 142060);
+});
+
+test("fetch-jolts maps the four JOLTS rates for states and the U.S.", async () => {
+  const dir = workspace();
+  const before = mock.requests.length;
+  const res = await runScript(dir, "scripts/fetch-jolts.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+
+  const j = readLatest(dir);
+  assert.deepEqual(
+    [j.CA.openings_rate, j.CA.hires_rate, j.CA.quits_rate, j.CA.layoffs_rate], [4.6, 3.3, 1.9, 1.1]);
+  assert.equal(j.DC.quits_rate, 2.0);
+  assert.equal(j.US.openings_rate, 4.9);
+  assert.equal(j.OH.openings_rate, null);
+  assert.ok(!("PR" in j), "JOLTS has no Puerto Rico series");
+  assert.equal(j.CA.unemployment_rate, 5.0, "LAUS field untouched");
+
+  const sent = mock.requests.slice(before).flatMap(p => p.seriesid);
+  assert.equal(sent.length, 4 * 52);
+  assert.ok(sent.includes("JTS000000060000000JOR") && sent.includes("JTS000000000000000LDR"));
+
+  const prov = j.__meta.metrics.quits_rate;
+  assert.equal(prov.source, "JOLTS");
+  assert.equal(prov.series, "JTS000000{fips}0000000QUR");
+  assert.equal(prov.national_series, "JTS000000000000000QUR");
+  assert.equal(`${prov.year}-${prov.period}`, "2024-M05");
+  assert.equal(prov.preliminary, true);
+  assert.equal(prov.areas, 6);
+});
+
+test("fetch-bls runs OEWS, LAUS and JOLTS and merges them into latest.json", async () => {
+  const dir = workspace();
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+
+  const j = readLatest(dir);
+  assert.equal(j.CA.unemployment_rate, 5.5);
+  assert.equal(j.CA["wage_mean.151252"], 185750);
+  assert.equal(j.WA["wage_mean.151252"], 166920);
+  assert.equal(j.HI.unemployment_rate, 3.0);
+  assert.equal(j.TX.openings_rate, 5.2);
+  assert.ok(!("price_parity" in j.CA), "no derived-metrics config in this workspace");
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "docs", "data", "latest.json"), "utf-8")), j);
+});
+
+test("fetch-bls --only fetches just the named surveys and keeps the others' values", async () => {
+  const dir = workspace();
+  const before = mock.requests.length;
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success", ["--only", "laus"]);
+  assert.equal(res.code, 0, res.stderr);
+  assert.doesNotMatch(res.stdout, /=== OEWS|=== JOLTS/);
+  const sent = mock.requests.slice(before).flatMap(p => p.seriesid);
+  assert.ok(sent.length && sent.every(id => id.startsWith("LASST")), "LAUS series only");
+
+  const j = readLatest(dir);
+  assert.equal(j.CA.unemployment_rate, 5.5);
+  assert.equal(j.TX["wage_mean.151252"], 140000, "OEWS values are left as they were");
+  assert.ok(!j.__meta.metrics["wage_mean.151252"]);
+
+  const bad = await runScript(dir, "scripts/fetch-bls.js", "success", ["--only", "CES"]);
+  assert.equal(bad.code, 1);
+  assert.match(bad.stderr, /--only takes .*OEWS, LAUS, JOLTS; unknown: CES/);
+});
+
+test("fetch-bls computes derived metrics from the bundled config", async () => {
+  const dir = workspace();
+  for (const f of ["derived-metrics.json", "rpp.csv"]) {
+    fs.copyFileSync(path.join(ROOT, "config", f), path.join(dir, "config", f));
+  }
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+
+  const j = readLatest(dir);
+  assert.equal(j.CA.price_parity, 112.6);
+  assert.equal(j.CA["real_wage.151252"], Math.round(185750 / 112.6 * 100));
+  assert.equal(j.WA["wage_to_us_median.151252"], +(166920 / 133080).toFixed(3));
+  // CA, TX, WA have wage, unemployment and openings; DC and NY lack the wage
+  const scored = Object.keys(j).filter(a => typeof j[a]["opportunity_index.151252"] === "number");
+  assert.deepEqual(scored.sort(), ["CA", "TX", "WA"]);
+  assert.equal(j.PR.price_parity, null, "BEA publishes no RPP for Puerto Rico");
+  assert.equal(j.__meta.metrics["opportunity_index.151252"].source, "derived");
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "docs", "data", "latest.json"), "utf-8")), j);
+
+  // The page's metric registry lists the derived metrics next to the BLS ones
+  const registry = JSON.parse(fs.readFileSync(path.join(dir, "docs", "data", "metrics.json"), "utf-8"));
+  assert.equal(registry.metrics.price_parity.group, "Derived");
+  assert.equal(registry.measures.real_wage.weight, "employment.{soc}");
+  assert.equal(registry.measures.wage_to_us_median.palette, "diverging");
+});
+
+test("fetch-bls refuses to mirror a latest.json that fails validation", async () => {
+  const dir = workspace();
+  const seeded = { ...SEED, OH: { unemployment_rate: 4.5, vacancy_rate: 4.5 } };
+  fs.writeFileSync(path.join(dir, "data", "latest.json"), JSON.stringify(seeded, null, 2));
+
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.notEqual(res.code, 0);
+  assert.match(res.stderr, /unknown metric "vacancy_rate"/);
+  assert.ok(!fs.existsSync(path.join(dir, "docs", "data", "latest.json")), "docs/ must not be touched");
+  assert.deepEqual(readLatest(dir), seeded, "data/latest.json must not be touched");
+});
+
+test("fetch-bls checks the watchlist against the file it replaces and writes alerts and a digest", async () => {
+  const dir = workspace();
+  fs.writeFileSync(path.join(dir, "config", "watchlist.json"), JSON.stringify({ rules: [
+    { id: "ca-unemployment", area: "CA", metric: "unemployment_rate", when: "rises_above", value: 5.2 },
+    { id: "ca-swdev", area: "CA", metric: "swdev_wage", when: "changes_by", value: 10000, note: "legacy key" },
+    { id: "tx-unemployment", area: "TX", metric: "unemployment_rate", when: "rises_above", value: 10 }
+  ] }));
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stdout, /2 of 3 rule\(s\) fired/);
+
+  const alerts = JSON.parse(fs.readFileSync(path.join(dir, "data", "alerts.json"), "utf-8"));
+  assert.equal(alerts.rules, 3);
+  assert.deepEqual(alerts.alerts.map(a => [a.id, a.metric, a.previous, a.value]), [
+    ["ca-unemployment", "unemployment_rate", 5.0, 5.5],
+    ["ca-swdev", "wage_mean.151252", 170000, 185750]
+  ]);
+  assert.equal(alerts.alerts[0].message, "CA: Unemployment Rate (LAUS, %) rose above 5.2% (5.0% → 5.5%)");
+  assert.match(alerts.alerts[1].message, /^CA: Software Developers .* moved by \$15,750/);
+  const md = fs.readFileSync(path.join(dir, "data", "digest.md"), "utf-8");
+  assert.match(md, /\*\*CA: Unemployment Rate \(LAUS, %\) rose above 5\.2%/);
+  assert.match(md, /legacy key/);
+  assert.match(fs.readFileSync(path.join(dir, "docs", "data", "digest.html"), "utf-8"), /2 of 3 rule\(s\) fired/);
+  assert.ok(readManifest(dir).files["alerts.json"], "the page loads alerts through the manifest");
+});
+
+test("fetch-bls leaves latest.json and the changelog as they were when writing the alerts fails", async () => {
+  const dir = workspace();
+  fs.writeFileSync(path.join(dir, "config", "watchlist.json"), JSON.stringify({ rules: [
+    { id: "ca-unemployment", area: "CA", metric: "unemployment_rate", when: "rises_above", value: 5.2 }
+  ] }));
+  // A directory where data/alerts.json goes makes the write fail
+  fs.mkdirSync(path.join(dir, "data", "alerts.json"));
+  const before = fs.readFileSync(path.join(dir, "data", "latest.json"), "utf-8");
+
+  const failed = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.equal(failed.code, 1);
+  assert.match(failed.stderr, /alerts\.json/);
+  assert.equal(fs.readFileSync(path.join(dir, "data", "latest.json"), "utf-8"), before, "latest.json not advanced");
+  assert.ok(!fs.existsSync(path.join(dir, "data", "changelog.json")));
+  assert.ok(!fs.existsSync(path.join(dir, "docs", "data", "latest.json")));
+
+  // Once the alerts can be written, the next run records the release and its alert
+  fs.rmdirSync(path.join(dir, "data", "alerts.json"));
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+  assert.equal(readLatest(dir).CA.unemployment_rate, 5.5);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, "data", "changelog.json"), "utf-8")).releases.length, 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "data", "alerts.json"), "utf-8")).alerts.map(a => a.id),
+                   ["ca-unemployment"]);
+});
+
+test("fetch-bls stops before fetching when a watchlist rule is invalid", async () => {
+  const dir = workspace();
+  fs.writeFileSync(path.join(dir, "config", "watchlist.json"), JSON.stringify({ rules: [
+    { id: "typo", area: "WA", metric: "unemployment", when: "rises_above", value: 5 }
+  ] }));
+  const before = fs.readFileSync(path.join(dir, "data", "latest.json"), "utf-8");
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.equal(res.code, 1);
+  assert.match(res.stderr, /watchlist\.json: typo: "unemployment" is not in the metric registry/);
+  assert.doesNotMatch(res.stdout, /=== OEWS/);
+  assert.equal(fs.readFileSync(path.join(dir, "data", "latest.json"), "utf-8"), before);
+});
+
+test("fetch-bls records new periods and revisions, and writes nothing when nothing changed", async () => {
+  const dir = workspace();
+  const changelog = () => JSON.parse(fs.readFileSync(path.join(dir, "data", "changelog.json"), "utf-8"));
+  assert.equal((await runScript(dir, "scripts/fetch-bls.js", "success")).code, 0);
+  const first = changelog().releases;
+  assert.equal(first.length, 1);
+  const ca = first[0].entries.find(e => e.area === "CA" && e.metric === "unemployment_rate");
+  assert.deepEqual(ca, {
+    type: "new_period", metric: "unemployment_rate", area: "CA", series: "LASST060000000000003",
+    period: "2024-M06", value: 5.5, previous_value: 5.0, preliminary: true, previous_period: null
+  });
+  assert.ok(!first[0].entries.some(e => e.metric === "swdev_wage"), "legacy keys are migrated, not missing");
+  assert.equal(first[0].entries.find(e => e.area === "US" && e.metric === "openings_rate").series, "JTS000000000000000JOR");
+
+  const manifest = readManifest(dir);
+
+  // Same data again: latest.json, the changelog and the manifest stay as they are
+  const written = fs.readFileSync(path.join(dir, "data", "latest.json"), "utf-8");
+  const res = await runScript(dir, "scripts/fetch-bls.js", "success");
+  assert.equal(res.code, 0, res.stderr);
+  assert.match(res.stdout, /No new or revised values/);
+  assert.equal(fs.readFileSync(path.join(dir, "data", "latest.json"), "utf-8"), written);
+  assert.equal(changelog().releases.length, 1);
+  assert.deepEqual(readManifest(dir), manifest);
+  assert.equal(manifest.schema_version, 1);
+  assert.deepEqual(Object.keys(manifest.files).sort(), ["changelog.json", "latest.json", "metrics.json"]);
+  assert.equal(fs.readFileSync(path.join(dir, "data", manifest.files["latest.json"].path), "utf-8"), written);
+  assert.deepEqual(readManifest(dir, "docs"), manifest);
+
+  // BLS revises CA's June rate and publishes July for TX
+  const revised = fixture("success");
+  revised.series.LASST060000000000003[0].value = "5.4";
+  revised.series.LASST480000000000003[0] = { ...revised.series.LASST480000000000003[0], period: "M07", periodName: "July" };
+  mock.setFixture(revised);
+  const env = { ...process.env, BLS_API_URL: mock.url, BLS_API_KEY: "test-key", BLS_NO_CACHE: "1",
+                BLS_CACHE_DIR: path.join(dir, ".cache") };
+  await run(process.execPath, ["scripts/fetch-bls.js"], { cwd: dir, env });
+
+  const [latest] = changelog().releases;
+  assert.equal(changelog().releases.length, 2);
+  assert.deepEqual(latest.counts, { new_period: 1, revision: 1 });
+  const byArea = Object.fromEntries(latest.entries.map(e => [e.area, e]));
+  assert.deepEqual([byArea.CA.type, byArea.CA.period, byArea.CA.previous_value, byArea.CA.value],
+                   ["revision", "2024-M06", 5.5, 5.4]);
+  assert.deepEqual([byArea.TX.type, byArea.TX.previous_period, byArea.TX.period],
+                   ["new_period", "2024-M06", "2024-M07"]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "docs", "data", "changelog.json"), "utf-8")), changelog());
+  assert.ok(!fs.existsSync(path.join(dir, ".cache", "latest.staging.json")));
+
+  // The manifest moves to new snapshots; the old ones stay for pages loaded before the release
+  const moved = readManifest(dir);
+  assert.notEqual(moved.files["latest.json"].path, manifest.files["latest.json"].path);
+  assert.notEqual(moved.generated_at, manifest.generated_at);
+  for (const [name, f] of Object.entries(moved.files)) {
+    const buf = fs.readFileSync(path.join(dir, "docs", "data", f.path));
+    assert.equal(buf.length, f.bytes, name);
+    assert.equal(crypto.createHash("sha256").update(buf).digest("hex"), f.sha256, name);
+  }
+  assert.ok(fs.existsSync(path.join(dir, "data", manifest.files["latest.json"].path)));
+});
+
+test("fetch-bls records a revision to the prior month published with the next one", async () => {
+  const dir = workspace();
+  const changelog = () => JSON.parse(fs.readFileSync(path.join(dir, "data", "changelog.json"), "utf-8"));
+  const row = (period, periodName, value, prelim) =>
+    ({ year: "2024", period, periodName, value, footnotes: prelim ? [{ code: "P", text: "preliminary." }] : [{}] });
+
+  // June release: June preliminary, May final (and the annual-average row a window can carry)
+  const june = fixture("success");
+  june.series.LASST060000000000003 = [row("M06", "June", "5.5", true), row("M05", "May", "5.0"), row("M13", "Annual", "5.1")];
+  mock.setFixture(june);
+  const env = { ...process.env, BLS_API_URL: mock.url, BLS_API_KEY: "test-key", BLS_NO_CACHE: "1",
+                BLS_CACHE_DIR: path.join(dir, ".cache") };
+  await run(process.execPath, ["scripts/fetch-bls.js"], { cwd: dir, env });
+  const j = readLatest(dir);
+  assert.equal(j.CA.unemployment_rate, 5.5);
+  assert.deepEqual(j.__meta.metrics.unemployment_rate.prior.CA, { period: "2024-M05", value: 5.0 });
+
+  // July release: July preliminary, June revised from 5.5 to 5.4
+  const july = fixture("success");
+  july.series.LASST060000000000003 = [row("M07", "July", "5.6", true), row("M06", "June", "5.4")];
+  mock.setFixture(july);
+  await run(process.execPath, ["scripts/fetch-bls.js"], { cwd: dir, env });
+
+  assert.equal(readLatest(dir).CA.unemployment_rate, 5.6);
+  const ca = changelog().releases[0].entries.filter(e => e.area === "CA" && e.metric === "unemployment_rate");
+  assert.deepEqual(ca.map(e => [e.type, e.period, e.previous_value, e.value]), [
+    ["revision", "2024-M06", 5.5, 5.4],
+    ["new_period", "2024-M07", 5.5, 5.6]
+  ]);
+});
@@ -0,0 +1,50 @@
+// test/metrics.test.js
+// The metric registry in scripts/lib/metrics.js and what it exposes to the page.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REGISTRY_VERSION, AREA_METRICS, MEASURES, buildRegistry } from "../scripts/lib/metrics.js";
+import { metricRule } from "../scripts/lib/schema.js";
+
+const FIELDS = ["label", "short", "unit", "format", "source", "higher_is_better", "palette", "aggregate", "weight", "rse"];
+
+test("every registry entry says how to label, format, color and aggregate it", () => {
+  for (const [key, entry] of Object.entries({ ...AREA_METRICS, ...MEASURES })) {
+    for (const f of FIELDS) assert.ok(f in entry, `${key} lacks ${f}`);
+    assert.ok(["mean", "sum", null].includes(entry.aggregate), key);
+    if (entry.rse) assert.equal(MEASURES[entry.rse]?.aggregate, null, `${key}: ${entry.rse} is an error measure`);
+    if (entry.aggregate === "sum") assert.equal(entry.weight, null, key);
+  }
+  assert.equal(AREA_METRICS.unemployment_rate.higher_is_better, false);
+  assert.equal(AREA_METRICS.labor_force.picker, false, "labor force is a weight, not a map metric");
+});
+
+test("derived metrics join the registry under the right section", () => {
+  const registry = buildRegistry([
+    { key: "real_wage_mean", label: "Real Mean Wage", unit: "2017 $", per_occupation: true, formula: "wage_mean.{soc} / rpp * 100" },
+    { key: "slack_score", label: "Slack", unit: "z", format: "score", higher_is_better: false, formula: "unemployment_rate" }
+  ]);
+  assert.equal(registry.schema_version, REGISTRY_VERSION);
+  assert.deepEqual(
+    { ...registry.measures.real_wage_mean, formula: undefined },
+    { label: "Real Mean Wage (2017 $)", short: "Real Mean Wage", unit: "2017 $", format: "number", digits: 1,
+      source: "derived", higher_is_better: null, palette: "sequential", group: "Derived",
+      aggregate: "mean", weight: "employment.{soc}", rse: null, min: null, max: null, formula: undefined }
+  );
+  const score = registry.metrics.slack_score;
+  assert.equal(score.palette, "diverging");
+  assert.equal(score.digits, 2);
+  assert.equal(buildRegistry([{ key: "ratio_x", label: "X", unit: "×", format: "ratio", decimals: 3, formula: "1" }])
+    .metrics.ratio_x.digits, 3, "config/derived-metrics.json's decimals set the printed digits");
+  assert.equal(score.weight, "labor_force");
+  assert.ok(!("slack_score" in AREA_METRICS), "building does not mutate the base tables");
+});
+
+test("a derived key may not shadow a registry metric", () => {
+  assert.throws(() => buildRegistry([{ key: "quits_rate", label: "Quits", unit: "%", formula: "1" }]), /clashes/);
+});
+
+test("the validator takes its ranges from the registry", () => {
+  assert.equal(metricRule("wage_median.151252").rule, MEASURES.wage_median);
+  assert.equal(metricRule("openings_rate").rule.max, AREA_METRICS.openings_rate.max);
+});
@@ -0,0 +1,80 @@
+// test/mock-bls-server.js
+// Local stand-in for the BLS timeseries endpoint, driven by a fixture in test/fixtures/.
+//   { "series": { "<seriesID>": [rows...] | null }, "extra": [series...] }
+//       -> REQUEST_SUCCEEDED; every requested ID gets its rows (empty when unknown,
+//          with a "Series does not exist" message like the live API; null drops `data`),
+//          and `extra` entries are appended verbatim
+//   { "response": { ... } }
+//       -> that body as-is (quota errors, malformed envelopes)
+//
+// Tests import startMockBls(); run it by hand for offline pipeline work:
+//   node test/mock-bls-server.js test/fixtures/success.json [port]
+//   BLS_API_URL=http://127.0.0.1:8787/ npm run fetch-bls
+
+import fs from "fs";
+import http from "http";
+import { pathToFileURL } from "url";
+
+export function loadFixture(file) {
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+function respond(fixture, payload) {
+  if (fixture.response) return fixture.response;
+
+  const message = [];
+  const series = (payload.seriesid || []).map(id => {
+    if (!(id in (fixture.series || {}))) {
+      message.push(`Series does not exist for Series ${id}`);
+      return { seriesID: id, data: [] };
+    }
+    const rows = fixture.series[id];
+    return rows === null ? { seriesID: id } : { seriesID: id, data: rows };
+  });
+  return {
+    status: "REQUEST_SUCCEEDED",
+    responseTime: 1,
+    message,
+    Results: { series: [...series, ...(fixture.extra || [])] }
+  };
+}
+
+/**
+ * Start the mock on a free port (or `port`). Resolves to
+ *   { url, requests, setFixture(fixture), close() }
+ * where `requests` collects every parsed POST body in order.
+ */
+export function startMockBls({ fixture, port = 0 } = {}) {
+  let current = fixture;
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      let payload;
+      try { payload = JSON.parse(body || "{}"); } catch { payload = {}; }
+      requests.push(payload);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(respond(current, payload)));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/publicAPI/v2/timeseries/data/`,
+        requests,
+        setFixture: (f) => { current = f; },
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const [file = "test/fixtures/success.json", port = "8787"] = process.argv.slice(2);
+  const mock = await startMockBls({ fixture: loadFixture(file), port: Number(port) });
+  console.log(`Mock BLS serving ${file}`);
+  console.log(`BLS_API_URL=${mock.url}`);
+}
@@ -0,0 +1,93 @@
+// test/schema.test.js
+// The latest.json validator and provenance summary in scripts/lib/schema.js.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SCHEMA_VERSION, validateLatest, provenance, metricRule } from "../scripts/lib/schema.js";
+
+const meta = (metrics = {}) => ({ schema_version: SCHEMA_VERSION, as_of: "2025-09-19T14:02:11.000Z", metrics });
+const sourced = { unemployment_rate: {}, "wage_mean.151252": {} };
+
+test("accepts a well-formed v1 document", () => {
+  const { errors, warnings } = validateLatest({
+    __meta: meta(sourced),
+    CA: { unemployment_rate: 5.5, "wage_mean.151252": 185750 },
+    TX: { unemployment_rate: null, "wage_mean.151252": 142060 },
+    US: { "wage_mean.151252": 144570 }
+  }, { socs: ["151252"] });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+});
+
+test("requires __meta with the current schema version", () => {
+  assert.deepEqual(validateLatest({ CA: { unemployment_rate: 5 } }).errors, ["missing __meta"]);
+  const { errors } = validateLatest({ __meta: { ...meta(), schema_version: 99 } });
+  assert.match(errors[0], /schema_version is 99; expected 1/);
+});
+
+test("rejects unknown metrics, areas and out-of-range values", () => {
+  const { errors } = validateLatest({
+    __meta: meta(sourced),
+    CA: { unemployment_rate: 55, "wage_mean.151252": 185750, swdev_wage: 1, "wage_mode.151252": 3 },
+    TX: { unemployment_rate: "4.1", "employment.151252": 12.5 },
+    ZZ: { unemployment_rate: 4 }
+  });
+  assert.ok(errors.some(e => /unknown area "ZZ"/.test(e)));
+  assert.ok(errors.some(e => /CA\.unemployment_rate: 55 is outside 0–40/.test(e)));
+  assert.ok(errors.some(e => /TX\.unemployment_rate: "4\.1" is not a number/.test(e)));
+  assert.ok(errors.some(e => /TX\.employment\.151252: 12\.5 is not a whole number/.test(e)));
+  assert.ok(errors.some(e => /unknown metric "swdev_wage" in 1 area\(s\): CA/.test(e)));
+  assert.ok(errors.some(e => /unknown metric "wage_mode\.151252"/.test(e)));
+});
+
+test("flags a column that copies another one", () => {
+  const areas = { AL: 2.9, AZ: 4.1, AR: 3.8, CA: 5.5, CO: 4.2 };
+  const doc = { __meta: meta(sourced) };
+  for (const [abbr, v] of Object.entries(areas)) {
+    doc[abbr] = { unemployment_rate: v, "emp_per_1000.151252": v };
+  }
+  const { errors } = validateLatest(doc);
+  assert.deepEqual(errors, ['"unemployment_rate" duplicates "emp_per_1000.151252" in all 5 shared areas']);
+
+  // Fewer shared areas than the threshold is coincidence, not a copy
+  delete doc.CO;
+  assert.deepEqual(validateLatest(doc).errors, []);
+});
+
+test("warns about crossed percentiles, stale occupations and missing provenance", () => {
+  const { errors, warnings } = validateLatest({
+    __meta: meta({ unemployment_rate: {} }),
+    CA: { unemployment_rate: 5.5, "wage_p25.151252": 150000, "wage_median.151252": 140000, "wage_mean.999999": 50000 }
+  }, { socs: ["151252"] });
+  assert.deepEqual(errors, []);
+  assert.ok(warnings.some(w => /wage_p25\.151252 \(150000\) is above wage_median\.151252 \(140000\)/.test(w)));
+  assert.ok(warnings.some(w => /SOC 999999 .* not in the occupation catalog/.test(w)));
+  assert.ok(warnings.some(w => /3 metric\(s\) have no provenance/.test(w)));
+});
+
+test("provenance reports the common period, footnotes and preliminary flag", () => {
+  const row = (year, period, footnotes = [{}]) => ({ year, period, periodName: "June", value: "4", footnotes });
+  const p = provenance("LAUS", "LASST{fips}0000000000003", {
+    CA: row("2024", "M06", [{ code: "P", text: "preliminary." }]),
+    TX: row("2024", "M06", [{ code: "P", text: "preliminary." }]),
+    PR: row("2024", "M05")
+  });
+  assert.equal(p.year, "2024");
+  assert.equal(p.period, "M06");
+  assert.equal(p.period_name, "June");
+  assert.equal(p.preliminary, true);
+  assert.deepEqual(p.footnotes, ["preliminary."]);
+  assert.deepEqual(p.footnote_codes, { P: "preliminary." });
+  assert.deepEqual(p.area_footnotes, { CA: ["P"], TX: ["P"] }, "PR's row carries no footnote");
+  assert.equal(p.areas, 3);
+  assert.deepEqual(p.other_periods, { PR: "2024-M05" });
+});
+
+test("metricRule splits measure and SOC", () => {
+  assert.deepEqual(metricRule("wage_p90.151252").soc, "151252");
+  assert.equal(metricRule("unemployment_rate").soc, null);
+  assert.equal(metricRule("openings_rate").soc, null);
+  assert.equal(metricRule("labor_force").rule.integer, true);
+  assert.equal(metricRule("vacancy_rate"), null);
+  assert.equal(metricRule("wage_mean.15125"), null);
+});
@@ -0,0 +1,119 @@
+// test/static-server.test.js
+// The runner's static server: ETags and 304s, cache headers for hashed snapshots, HEAD,
+// requests that try to leave the root or reach dotfiles, and the allowlist.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { createStaticServer } from "../scripts/lib/static-server.js";
+
+let dir, server, base;
+
+// Raw request (fetch would normalise "../" out of the path)
+function request(urlPath, { method = "GET", headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${base}${urlPath}`, { method, headers, path: urlPath }, res => {
+      let body = "";
+      res.on("data", c => { body += c; });
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "labor-map-serve-"));
+  fs.mkdirSync(path.join(dir, "site", "data", "snapshots"), { recursive: true });
+  fs.writeFileSync(path.join(dir, "site", "index.html"), "<!doctype html><title>map</title>");
+  fs.writeFileSync(path.join(dir, "site", "data", "manifest.json"), '{"schema_version":1}');
+  fs.writeFileSync(path.join(dir, "site", "data", "snapshots", "latest.0123456789ab.json"), "{}");
+  fs.writeFileSync(path.join(dir, "site", "package.json"), '{"name":"labor-map"}');
+  fs.writeFileSync(path.join(dir, "site", ".env"), "BLS_API_KEY=secret-key");
+  fs.mkdirSync(path.join(dir, "site", ".cache"));
+  fs.writeFileSync(path.join(dir, "site", ".cache", "bls.json"), '{"secret-key":1}');
+  fs.writeFileSync(path.join(dir, "secret.txt"), "outside the root");
+  server = createStaticServer({ root: path.join(dir, "site") });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("files carry an ETag and revalidate to 304 until they change", async () => {
+  const first = await request("/data/manifest.json");
+  assert.equal(first.status, 200);
+  assert.equal(first.body, '{"schema_version":1}');
+  assert.match(first.headers["content-type"], /^application\/json/);
+  assert.equal(first.headers["cache-control"], "no-cache");
+  assert.ok(first.headers["last-modified"]);
+  const etag = first.headers.etag;
+  assert.match(etag, /^"[\w-]+"$/);
+
+  const again = await request("/data/manifest.json", { headers: { "If-None-Match": etag } });
+  assert.equal(again.status, 304);
+  assert.equal(again.body, "");
+  assert.equal((await request("/data/manifest.json", { headers: { "If-None-Match": `"other", W/${etag}` } })).status, 304);
+
+  fs.writeFileSync(path.join(dir, "site", "data", "manifest.json"), '{"schema_version":1,"as_of":"2025-06"}');
+  const changed = await request("/data/manifest.json", { headers: { "If-None-Match": etag } });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.headers.etag, etag);
+});
+
+test("hashed snapshots are immutable; directories serve index.html", async () => {
+  const snap = await request("/data/snapshots/latest.0123456789ab.json");
+  assert.equal(snap.status, 200);
+  assert.match(snap.headers["cache-control"], /immutable/);
+
+  const index = await request("/?v=1");
+  assert.equal(index.status, 200);
+  assert.match(index.headers["content-type"], /^text\/html/);
+  assert.match(index.body, /<title>map<\/title>/);
+});
+
+test("HEAD has headers and no body; other methods, missing files and escapes are refused", async () => {
+  const head = await request("/index.html", { method: "HEAD" });
+  assert.equal(head.status, 200);
+  assert.equal(head.body, "");
+  assert.ok(Number(head.headers["content-length"]) > 0);
+
+  const post = await request("/index.html", { method: "POST" });
+  assert.equal(post.status, 405);
+  assert.equal(post.headers.allow, "GET, HEAD");
+  assert.equal((await request("/nope.json")).status, 404);
+
+  for (const p of ["/../secret.txt", "/%2e%2e/secret.txt", "/data/..%2f..%2fsecret.txt"]) {
+    const res = await request(p);
+    assert.ok(res.status === 403 || res.status === 404, `${p}: ${res.status}`);
+    assert.doesNotMatch(res.body, /outside the root/);
+  }
+});
+
+test("dotfiles and dot-directories are refused", async () => {
+  for (const p of ["/.env", "/%2eenv", "/.cache/bls.json", "/data/../.env", "/.git/config"]) {
+    const res = await request(p);
+    assert.ok(res.status === 403 || res.status === 404, `${p}: ${res.status}`);
+    assert.doesNotMatch(res.body, /secret-key/);
+  }
+});
+
+test("with an allowlist, only the listed files and directories are served", async () => {
+  const site = createStaticServer({ root: path.join(dir, "site"), allow: ["index.html", "data/"] });
+  await new Promise(resolve => site.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${site.address().port}`;
+  try {
+    assert.equal((await fetch(`${url}/`)).status, 200);
+    assert.equal((await fetch(`${url}/data/manifest.json`)).status, 200);
+    assert.equal((await fetch(`${url}/package.json`)).status, 404);
+    assert.equal((await fetch(`${url}/data`)).status, 404, "data/index.html is not there");
+  } finally {
+    await new Promise(resolve => site.close(resolve));
+  }
+});
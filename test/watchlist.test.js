@@ -0,0 +1,88 @@
+// test/watchlist.test.js
+// Watchlist rules: validation against the metric registry, each kind of rule firing (and
+// not firing) between two latest.json documents, and the alert messages in the digest.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildRegistry } from "../scripts/lib/metrics.js";
+import { loadWatchlist, evaluateWatchlist, alertMessage, WatchlistError } from "../scripts/lib/watchlist.js";
+
+const registry = buildRegistry();
+const occupations = [{ soc: "151252", title: "Software Developers" }];
+const tmpDirs = [];
+after(() => tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function load(rules, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "labor-map-watchlist-"));
+  tmpDirs.push(dir);
+  const file = path.join(dir, "watchlist.json");
+  fs.writeFileSync(file, JSON.stringify({ rules }));
+  return loadWatchlist(registry, { file, ...options });
+}
+
+// A latest.json with `metric` for the given states
+const doc = (metric, values) => Object.fromEntries(Object.entries(values).map(([a, v]) => [a, { [metric]: v }]));
+
+test("loadWatchlist fills ids, renames legacy keys and rejects rules that can't fire", () => {
+  assert.equal(loadWatchlist(registry, { file: "/nonexistent/watchlist.json" }), null);
+  const rules = load([{ area: "WA", metric: "swdev_wage", when: "leaves_top", rank: 10 }],
+                     { legacyKeys: { swdev_wage: "wage_mean.151252" } });
+  assert.deepEqual(rules, [{ id: "rule-1", area: "WA", metric: "wage_mean.151252", when: "leaves_top",
+                             value: null, rank: 10, note: null }]);
+
+  const bad = (rule, re) => assert.throws(() => load([rule]), err => err instanceof WatchlistError && re.test(err.message));
+  bad({ area: "ZZ", metric: "unemployment_rate", when: "rises_above", value: 5 }, /unknown area "ZZ"/);
+  bad({ area: "WA", metric: "unemployment", when: "rises_above", value: 5 }, /not in the metric registry/);
+  bad({ area: "WA", metric: "unemployment_rate", when: "rises_above" }, /needs a numeric value/);
+  bad({ area: "WA", metric: "unemployment_rate", when: "leaves_top", rank: 0 }, /needs a rank/);
+  bad({ area: "PR", metric: "unemployment_rate", when: "enters_top", rank: 5 }, /PR is not ranked/);
+  bad({ area: "WA", metric: "unemployment_rate", when: "above", value: 5 }, /when must be one of/);
+  assert.throws(() => load([{ id: "a", area: "WA", metric: "unemployment_rate", when: "rises_above", value: 5 },
+                            { id: "a", area: "OR", metric: "unemployment_rate", when: "rises_above", value: 5 }]),
+                /duplicate rule id "a"/);
+});
+
+test("threshold rules fire on the crossing, not while a value stays past it", () => {
+  const rules = [
+    { id: "up", area: "WA", metric: "unemployment_rate", when: "rises_above", value: 5 },
+    { id: "down", area: "OR", metric: "unemployment_rate", when: "falls_below", value: 4 },
+    { id: "move", area: "ID", metric: "unemployment_rate", when: "changes_by", value: 0.5 }
+  ];
+  const fired = (prev, next) => evaluateWatchlist(rules, doc("unemployment_rate", prev), doc("unemployment_rate", next)).map(a => a.id);
+  assert.deepEqual(fired({ WA: 4.8, OR: 4.2, ID: 3.0 }, { WA: 5.2, OR: 3.9, ID: 3.5 }), ["up", "down", "move"]);
+  assert.deepEqual(fired({ WA: 5.1, OR: 3.8, ID: 3.0 }, { WA: 5.2, OR: 3.9, ID: 2.6 }), [], "already past; moved 0.4");
+  assert.deepEqual(fired({ WA: 5.0 }, { WA: 5.0 }), [], "equal to the threshold is not above it");
+  assert.deepEqual(fired({}, { WA: 5.2, OR: 3.9, ID: 3.0 }), ["up", "down"], "a first value counts as crossing");
+  assert.deepEqual(fired({ WA: 4.8, OR: 4.2, ID: 3.0 }, {}), [], "no value now, nothing fires");
+});
+
+test("rank rules compare places among the 50 states + DC, highest first", () => {
+  const rules = [
+    { id: "out", area: "WA", metric: "wage_mean.151252", when: "leaves_top", rank: 2 },
+    { id: "in", area: "TX", metric: "wage_mean.151252", when: "enters_top", rank: 2 }
+  ];
+  const prev = doc("wage_mean.151252", { CA: 180000, WA: 170000, TX: 150000, PR: 200000 });
+  const next = doc("wage_mean.151252", { CA: 180000, WA: 150000, TX: 175000, PR: 200000 });
+  const fired = evaluateWatchlist(rules, prev, next);
+  assert.deepEqual(fired.map(a => [a.id, a.previous_rank, a.rank]), [["out", 2, 3], ["in", 3, 2]]);
+
+  // Ties share a place
+  const tied = doc("wage_mean.151252", { CA: 180000, WA: 180000, TX: 175000 });
+  assert.deepEqual(evaluateWatchlist(rules, prev, tied).map(a => [a.id, a.rank]), []);
+  assert.deepEqual(evaluateWatchlist([rules[0]], tied, next).map(a => [a.id, a.previous_rank]), [["out", 1]]);
+});
+
+test("alertMessage reads like the page: registry labels, formats and ordinals", () => {
+  const [up] = evaluateWatchlist([{ id: "up", area: "WA", metric: "unemployment_rate", when: "rises_above", value: 5 }],
+                                 doc("unemployment_rate", { WA: 4.8 }), doc("unemployment_rate", { WA: 5.2 }));
+  assert.equal(alertMessage(up, registry), "WA: Unemployment Rate (LAUS, %) rose above 5.0% (4.8% → 5.2%)");
+
+  const prev = doc("wage_mean.151252", { CA: 180000, WA: 170000, TX: 150000 });
+  const next = doc("wage_mean.151252", { CA: 180000, WA: 150000, TX: 175000 });
+  const [out] = evaluateWatchlist([{ id: "out", area: "WA", metric: "wage_mean.151252", when: "leaves_top", rank: 2 }], prev, next);
+  assert.match(alertMessage(out, registry, occupations),
+               /^WA: Software Developers .+ dropped out of the top 2 \(2nd → 3rd; \$170,000 → \$150,000\)$/);
+});